@@ -0,0 +1,78 @@
+"use strict";
+/**
+ * AbortSignal helpers for the game loop
+ * Every wait in the engine (player decisions, visual delays, pauses) takes the
+ * game's signal, so aborting it unwinds the loop at its next step.
+ */
+
+/**
+ * Create the error an aborted wait rejects with
+ * @param {*} [reason] - Abort reason (an Error is passed through as-is)
+ * @returns {Error} Error named 'AbortError'
+ */
+export function abortError(reason) {
+    if (reason instanceof Error && reason.name === 'AbortError') return reason;
+    const error = new Error(typeof reason === 'string' ? reason : 'The game was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * @param {*} error - Caught value
+ * @returns {boolean} Whether it signals cancellation rather than a failure
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ * @throws {Error} AbortError
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw abortError(signal.reason);
+}
+
+/**
+ * Wait for a promise, giving up as soon as the signal aborts
+ * @template T
+ * @param {Promise<T>} promise - Promise to wait for
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>} Settles like the promise, or rejects with an AbortError
+ */
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortError(signal.reason));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal.reason));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+            (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+        );
+    });
+}
+
+/**
+ * Sleep that ends early (rejecting) when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    if (signal?.aborted) return Promise.reject(abortError(signal.reason));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal.reason));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -1,8 +1,29 @@
 "use strict";
 /**
  * Adapter to integrate LeekhaHeuristicBot with the game engine
+ * Compatibility shim for the string-based bots in tools/botsim/bots: hands as
+ * [H, S, D, C] arrays of "Th"-style strings, seats relative to the bot. New
+ * bots should read the engine's decision context instead (decision-context.js,
+ * NativeBotAdapter); createBotAdapter() picks the right adapter for a bot.
  */
 import { RANKS } from './card.js';
+import { NativeBotAdapter } from './native-bot-adapter.js';
+
+/** Cards the string-based bots pick for a pass, whatever rules.passCount is */
+const BOT_PASS_PICKS = 3;
+
+/**
+ * Wrap a bot for a seat: bots declaring contextVersion get the decision context, others the legacy format
+ * @param {Object} bot - Bot instance (see bot-registry.js)
+ * @param {number} playerIndex - Seat the bot decides for
+ * @param {GameState} gameState
+ * @returns {BotAdapter|NativeBotAdapter}
+ */
+export function createBotAdapter(bot, playerIndex, gameState) {
+    return bot.contextVersion !== undefined
+        ? new NativeBotAdapter(bot, playerIndex, gameState)
+        : new BotAdapter(bot, playerIndex, gameState);
+}
 
 export class BotAdapter {
     constructor(heuristicBot, playerIndex, gameState) {
@@ -104,12 +125,24 @@ export class BotAdapter {
     }
 
     /**
-     * Choose 3 cards to pass
+     * Number of cards to pass under the game's rules
+     */
+    getPassCount() {
+        return this.gameState.rules?.passCount ?? 3;
+    }
+
+    /**
+     * Choose cards to pass (rules.passCount, 3 by default).
+     * Bots always propose BOT_PASS_PICKS cards: with a smaller pass count their
+     * first picks are kept, with a larger one the highest remaining cards make up the rest.
      */
     choosePassCards(hand) {
-        if (!hand || hand.length < 3) {
+        const passCount = this.getPassCount();
+        const highestFirst = (cards) => [...cards].sort((a, b) => b.value - a.value);
+
+        if (!hand || hand.length < passCount) {
             console.error('Invalid hand for passing:', hand);
-            return hand.slice(0, 3); // Return first 3 cards as fallback
+            return hand.slice(0, passCount); // Return first cards as fallback
         }
 
         const botHand = this.convertHandToBotFormat(hand);
@@ -120,37 +153,79 @@ export class BotAdapter {
             botCards = this.bot.choosePass(botHand, ctx);
         } catch (error) {
             console.error('Error calling bot choosePass:', error);
-            // Fallback: pass highest 3 cards
-            const sorted = [...hand].sort((a, b) => b.value - a.value);
-            return sorted.slice(0, 3);
+            // Fallback: pass highest cards
+            return highestFirst(hand).slice(0, passCount);
         }
 
-        if (!botCards || !Array.isArray(botCards) || botCards.length !== 3) {
+        if (!botCards || !Array.isArray(botCards) || botCards.length < Math.min(passCount, BOT_PASS_PICKS)) {
             console.error('Bot returned invalid pass cards:', botCards);
-            // Fallback: pass highest 3 cards
-            const sorted = [...hand].sort((a, b) => b.value - a.value);
-            return sorted.slice(0, 3);
+            // Fallback: pass highest cards
+            return highestFirst(hand).slice(0, passCount);
         }
 
-        // Convert back to Card objects, filtering out any null/undefined results
+        // Convert back to Card objects
         const cards = botCards
-            .map(botCard => this.convertBotCardToCard(botCard, hand))
-            .filter(card => card !== null && card !== undefined);
-
-        // Ensure we have exactly 3 cards
-        if (cards.length !== 3) {
-            console.warn('Bot pass conversion resulted in', cards.length, 'cards, using fallback');
-            const sorted = [...hand].sort((a, b) => b.value - a.value);
-            return sorted.slice(0, 3);
+            .slice(0, passCount)
+            .map(botCard => this.convertBotCardToCard(botCard, hand));
+
+        // Every pick must be a distinct card from the hand
+        if (cards.some(card => card === null || card === undefined) || new Set(cards).size !== cards.length) {
+            console.warn('Bot pass conversion failed for', botCards, ', using fallback');
+            return highestFirst(hand).slice(0, passCount);
         }
 
-        return cards;
+        // Larger pass counts: the bot's picks, then the highest cards it kept
+        const rest = highestFirst(hand.filter(card => !cards.includes(card)));
+        return [...cards, ...rest.slice(0, passCount - cards.length)];
+    }
+
+    /**
+     * Rule values bots may want to read (score limit, scoring mode, forced Leekha, point values, pass count)
+     */
+    buildRulesContext() {
+        const rules = this.gameState.rules;
+        if (!rules) return null;
+        return {
+            scoreLimit: rules.scoreLimit,
+            scoringMode: rules.scoringMode,
+            forcedLeekha: rules.forcedLeekha,
+            passCount: rules.passCount,
+            points: { ...rules.points }
+        };
     }
 
     buildPassContext() {
+        const passDirection = this.gameState.getPassDirection ? this.gameState.getPassDirection() : 'left';
         return {
             scores: [...this.gameState.scores],
-            playerIndex: this.playerIndex
+            playerIndex: this.playerIndex,
+            rules: this.buildRulesContext(),
+            passCount: this.getPassCount(),
+            passDirection: passDirection,
+            // Seat receiving our cards, relative to us (1 = right, 2 = partner, 3 = left)
+            passTo: this.gameState.getPassTarget
+                ? (this.gameState.getPassTarget(this.playerIndex, passDirection) - this.playerIndex + 4) % 4
+                : 3
+        };
+    }
+
+    /**
+     * Convert a Card object to bot format ("Th", "Qs", ...)
+     */
+    convertCardToBotFormat(card) {
+        return (card.rank === '10' ? 'T' : card.rank) + card.suit.toLowerCase();
+    }
+
+    /**
+     * The cards this bot passed this round and to whom, or null if it did not pass
+     * @returns {{to: number, cards: string[]}|null} to: receiving seat relative to us (1 = right, 2 = partner, 3 = left)
+     */
+    buildPassedContext() {
+        const pass = this.gameState.passes?.find(p => p.from === this.playerIndex);
+        if (!pass) return null;
+        return {
+            to: (pass.to - this.playerIndex + 4) % 4,
+            cards: pass.cards.map(card => this.convertCardToBotFormat(card))
         };
     }
 
@@ -220,7 +295,9 @@ export class BotAdapter {
             playedCards: tracker.getPlayedCards(),
             trick: [],
             scores: [...this.gameState.scores],
-            playerIndex: this.playerIndex
+            playerIndex: this.playerIndex,
+            passed: this.buildPassedContext(),
+            rules: this.buildRulesContext()
         };
     }
 
@@ -259,7 +336,8 @@ export class BotAdapter {
 
         if (highestRank < 0) highestRank = 0;
 
-        const trickPoints = trick.reduce((sum, play) => sum + play.card.points, 0);
+        const pointsOf = (card) => this.gameState.getCardPoints ? this.gameState.getCardPoints(card) : card.points;
+        const trickPoints = trick.reduce((sum, play) => sum + pointsOf(play.card), 0);
 
         return {
             playerPosition: trick.length, // 0 = first to play, 3 = last
@@ -277,7 +355,9 @@ export class BotAdapter {
             pointsInTrick: trickPoints,
             trick: trick,
             scores: [...this.gameState.scores],
-            playerIndex: this.playerIndex
+            playerIndex: this.playerIndex,
+            passed: this.buildPassedContext(),
+            rules: this.buildRulesContext()
         };
     }
 
@@ -0,0 +1,140 @@
+"use strict";
+/**
+ * Round lifecycle hooks for bots
+ * Every seat gets its own bot instance (see GameState.initializeBots()), so a
+ * bot may remember what it passed, what it received and what the others have
+ * shown. BotHooks follows the engine's events as that seat sees them
+ * (redactEvent) and calls whichever of these hooks the bot implements:
+ *
+ *   onRoundStart({roundNumber, dealerIndex, passDirection, playerIndex, hand})  hands dealt
+ *   onPassReceived({from, cards, to, passed})  after the pass: cards received, and the cards passed to `to`
+ *   onCardPlayed({playerIndex, card, position})  any seat's play, own plays included
+ *   onTrickComplete({winnerIndex, points, trick})
+ *   onRoundEnd({roundNumber, roundPoints, scores})
+ *   onRoundRestored(ctx)  a saved game was resumed or plays were taken back:
+ *                         the DecisionContext of the restored position, to rebuild from
+ *
+ * Cards are copies of the engine's Card objects and seats are absolute (0-3).
+ * A hook that throws is logged and the game carries on.
+ */
+import { Card } from './card.js';
+import { GameEvents } from './events.js';
+import { redactEvent } from './event-views.js';
+import { buildDecisionContext } from './decision-context.js';
+
+/** Hook methods a bot may implement */
+export const BOT_HOOKS = [
+    'onRoundStart',
+    'onPassReceived',
+    'onCardPlayed',
+    'onTrickComplete',
+    'onRoundEnd',
+    'onRoundRestored'
+];
+
+const copy = (card) => new Card(card.suit, card.rank);
+
+export class BotHooks {
+    /**
+     * @param {Object} bot - Bot instance of this seat
+     * @param {number} playerIndex - Seat the bot plays
+     * @param {GameState} gameState - Game whose engine events are followed
+     */
+    constructor(bot, playerIndex, gameState) {
+        /** @type {Object} */
+        this.bot = bot;
+        /** @type {number} */
+        this.playerIndex = playerIndex;
+        /** @type {GameState} */
+        this.gameState = gameState;
+        /** @type {{roundNumber: number, dealerIndex: number, passDirection: string}|null} ROUND_START of the round being dealt */
+        this.round = null;
+
+        // Handlers get the payloads as this seat sees them
+        const seatView = (event, handler) => [event, (data) => handler(redactEvent(event, data, playerIndex))];
+
+        /** @type {Array<[string, Function]>} Subscribed handlers, kept for detach() */
+        this.handlers = [
+            seatView(GameEvents.ROUND_START, ({ roundNumber, dealerIndex, passDirection }) => {
+                this.round = { roundNumber, dealerIndex, passDirection };
+            }),
+            seatView(GameEvents.HANDS_DEALT, ({ hands }) => this.call('onRoundStart', {
+                ...this.round,
+                playerIndex,
+                hand: hands[playerIndex].map(copy)
+            })),
+            seatView(GameEvents.PASS_PHASE_COMPLETE, ({ passes }) => this.handlePasses(passes)),
+            seatView(GameEvents.CARD_PLAYED, ({ playerIndex: seat, card, position }) => this.call('onCardPlayed', {
+                playerIndex: seat,
+                card: copy(card),
+                position
+            })),
+            seatView(GameEvents.TRICK_COMPLETE, ({ winnerIndex, points, trick }) => this.call('onTrickComplete', {
+                winnerIndex,
+                points,
+                trick: trick.map(play => ({ player: play.player, card: copy(play.card) }))
+            })),
+            seatView(GameEvents.ROUND_END, ({ roundNumber, roundPoints, players }) => this.call('onRoundEnd', {
+                roundNumber,
+                roundPoints: [...roundPoints],
+                scores: players.map(player => player.score)
+            })),
+            seatView(GameEvents.GAME_RESUMED, () => this.handleRestored()),
+            seatView(GameEvents.GAME_UNDONE, () => this.handleRestored())
+        ];
+
+        // Bots without hooks need no subscriptions
+        if (!BOT_HOOKS.some(hook => typeof bot[hook] === 'function')) {
+            this.handlers = [];
+        }
+
+        for (const [event, handler] of this.handlers) {
+            this.gameState.events.on(event, handler);
+        }
+    }
+
+    /**
+     * Stop calling the bot
+     */
+    detach() {
+        for (const [event, handler] of this.handlers) {
+            this.gameState.events.off(event, handler);
+        }
+        this.handlers = [];
+    }
+
+    /**
+     * @param {Array<{from: number, to: number, cards: Card[]}>} passes - The seat's view: the pass it gave and the one it received
+     */
+    handlePasses(passes) {
+        const received = passes.find(pass => pass.to === this.playerIndex);
+        const given = passes.find(pass => pass.from === this.playerIndex);
+        if (!received && !given) return;
+        this.call('onPassReceived', {
+            from: received?.from ?? null,
+            cards: received?.cards.map(copy) ?? [],
+            to: given?.to ?? null,
+            passed: given?.cards.map(copy) ?? []
+        });
+    }
+
+    handleRestored() {
+        // Between rounds there is nothing to rebuild; the next deal calls onRoundStart
+        if (this.gameState.players[this.playerIndex].hand.length === 0) return;
+        this.call('onRoundRestored', buildDecisionContext(this.gameState, this.playerIndex, 'play'));
+    }
+
+    /**
+     * Call a hook if the bot has it
+     * @param {string} hook - One of BOT_HOOKS
+     * @param {*} payload
+     */
+    call(hook, payload) {
+        if (typeof this.bot[hook] !== 'function') return;
+        try {
+            this.bot[hook](payload);
+        } catch (error) {
+            console.error(`Bot hook ${hook} failed for seat ${this.playerIndex}:`, error);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+"use strict";
+/**
+ * Bot registry
+ * Every selectable bot registers here once — its type, name, description,
+ * version and capabilities, plus a loader that imports the implementation on
+ * first use. The game, the simulator, the tests and the settings bot picker
+ * all work from this list, so adding a bot is one registerBot() call in
+ * tools/botsim/bots/index.js.
+ */
+import { RANKS } from './card.js';
+
+/**
+ * What a bot can do beyond picking passes and plays
+ * @enum {string}
+ */
+export const BOT_CAPABILITIES = {
+    PASS: 'pass',           // Chooses the cards to pass
+    PLAY: 'play',           // Chooses leads and follows
+    RULES: 'rules',         // Reads ctx.rules (house rule variants)
+    PASSED: 'passed',       // Uses ctx.passed (the cards it passed this round)
+    SEARCH: 'search',       // Searches at decision time; much slower than the heuristic bots
+    BUDGET: 'budget'        // Search budget adjustable with setBudget()
+};
+
+/** Ranks as the bots expect them: single characters, '10' is 'T' */
+export const BOT_RANK_REFERENCE = Object.freeze(RANKS.map(rank => (rank === '10' ? 'T' : rank)));
+
+/** @type {Map<string, {info: Object, load: () => Promise<Function>, loading: Promise<Function>|null}>} */
+const registry = new Map();
+
+/**
+ * Make a bot selectable. Bot files do not call this themselves: a bot that
+ * registered itself would have to be imported to be listed, so the calls stay
+ * together in tools/botsim/bots/index.js and `load` imports the file on first use.
+ * @param {Object} descriptor
+ * @param {string} descriptor.type - Key used in bot assignments, URLs and saved games (e.g. 'lmts')
+ * @param {string} [descriptor.name] - Display name (the type in capitals if omitted)
+ * @param {string} [descriptor.description] - One line for pickers and listings
+ * @param {string} [descriptor.version] - Version of the implementation
+ * @param {string[]} [descriptor.capabilities] - BOT_CAPABILITIES values (pass and play if omitted)
+ * @param {() => Promise<Function>} descriptor.load - Imports the module and resolves to the bot class
+ * @returns {Object} The registered info
+ * @throws {Error} If the type is missing or taken, or there is no loader
+ */
+export function registerBot({ type, name, description = '', version = '1.0.0', capabilities, load }) {
+    if (typeof type !== 'string' || !/^[a-z0-9]+$/.test(type)) {
+        throw new Error(`registerBot: invalid bot type "${type}" (lowercase letters and digits only)`);
+    }
+    if (registry.has(type)) {
+        throw new Error(`registerBot: bot type "${type}" is already registered`);
+    }
+    if (typeof load !== 'function') {
+        throw new Error(`registerBot: bot type "${type}" has no load function`);
+    }
+
+    const info = Object.freeze({
+        type,
+        name: name || type.toUpperCase(),
+        description,
+        version,
+        capabilities: Object.freeze([...(capabilities ?? [BOT_CAPABILITIES.PASS, BOT_CAPABILITIES.PLAY])])
+    });
+    registry.set(type, { info, load, loading: null });
+    return info;
+}
+
+/**
+ * @param {string} type
+ * @returns {boolean} Whether the type is registered
+ */
+export function isBotType(type) {
+    return registry.has(type);
+}
+
+/**
+ * Registered bot types, in registration order
+ * @param {Object} [filter]
+ * @param {string} [filter.capability] - Only bots with this capability
+ * @param {string} [filter.without] - Only bots without this capability
+ * @returns {string[]}
+ */
+export function getBotTypes({ capability, without } = {}) {
+    return listBots()
+        .filter(info => !capability || info.capabilities.includes(capability))
+        .filter(info => !without || !info.capabilities.includes(without))
+        .map(info => info.type);
+}
+
+/**
+ * @param {string} type
+ * @returns {{type: string, name: string, description: string, version: string, capabilities: string[]}|null}
+ */
+export function getBotInfo(type) {
+    return registry.get(type)?.info ?? null;
+}
+
+/**
+ * @returns {Array<{type: string, name: string, description: string, version: string, capabilities: string[]}>} Every registered bot
+ */
+export function listBots() {
+    return [...registry.values()].map(entry => entry.info);
+}
+
+/**
+ * Import a bot's implementation (once; later calls share the result)
+ * @param {string} type - A registered bot type
+ * @returns {Promise<Function>} The bot class
+ * @throws {Error} If the type is unknown or its module does not provide a class
+ */
+export async function loadBot(type) {
+    const entry = registry.get(type);
+    if (!entry) {
+        throw new Error(`loadBot: unknown bot type "${type}" (available: ${getBotTypes().join(', ')})`);
+    }
+
+    entry.loading ??= Promise.resolve()
+        .then(() => entry.load())
+        .then((BotClass) => {
+            if (typeof BotClass !== 'function') {
+                throw new Error(`loadBot: the module of bot type "${type}" did not provide a bot class`);
+            }
+            return BotClass;
+        })
+        .catch((error) => {
+            // Let a later call try again (e.g. a chunk that failed to download)
+            entry.loading = null;
+            throw error;
+        });
+    return entry.loading;
+}
+
+/**
+ * Create a bot, ready to be wrapped by createBotAdapter()
+ * @param {string} type - A registered bot type
+ * @param {Object} [options] - Passed to the bot's constructor after the rank reference
+ * @returns {Promise<Object>} Bot instance
+ * @throws {Error} If the type is unknown or fails to load
+ */
+export async function createBot(type, options) {
+    const BotClass = await loadBot(type);
+    return new BotClass([...BOT_RANK_REFERENCE], options);
+}
@@ -0,0 +1,114 @@
+"use strict";
+/**
+ * Card counting for the human player
+ * Keeps a CardTracker in step with the (per-seat) event stream — only public
+ * plays go into it — and emits a CARD_COUNT_UPDATED summary after every card and trick:
+ * the cards of each suit still out, the voids players have shown, and whether
+ * the Leekha cards (Q♠, 10♦) are still live.
+ */
+import { GameEvents } from './events.js';
+import { CardTracker } from './card-tracker.js';
+import { SUITS, RANKS } from './card.js';
+import { DEFAULT_RULES } from './rules.js';
+
+export class CardCounter {
+    /**
+     * Start counting; summaries are emitted as CARD_COUNT_UPDATED on the same emitter
+     * @param {GameEventEmitter} eventEmitter - Event stream the UI listens to
+     */
+    constructor(eventEmitter) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {CardTracker} Fed from CARD_PLAYED and TRICK_COMPLETE only */
+        this.tracker = new CardTracker(DEFAULT_RULES);
+        /** @type {Array<{player: number, card: Card}>} Plays of the trick in progress */
+        this.trick = [];
+        /** @type {Array<[string, Function]>} Subscribed handlers, kept for detach() */
+        this.handlers = [
+            [GameEvents.GAME_STARTED, (data) => this.handleGameStarted(data)],
+            [GameEvents.GAME_RESUMED, (data) => this.handleRestored(data)],
+            [GameEvents.GAME_UNDONE, (data) => this.handleRestored(data)],
+            [GameEvents.ROUND_START, () => this.reset()],
+            [GameEvents.CARD_PLAYED, (data) => this.handleCardPlayed(data)],
+            [GameEvents.TRICK_COMPLETE, () => this.handleTrickComplete()]
+        ];
+
+        for (const [event, handler] of this.handlers) {
+            this.events.on(event, handler);
+        }
+    }
+
+    /**
+     * Stop counting
+     */
+    detach() {
+        for (const [event, handler] of this.handlers) {
+            this.events.off(event, handler);
+        }
+        this.handlers = [];
+    }
+
+    handleGameStarted(data) {
+        this.tracker.rules = data.rules ?? DEFAULT_RULES;
+        this.reset();
+    }
+
+    /**
+     * A saved game was resumed or plays were taken back: count from the engine's tracker state
+     */
+    handleRestored(data) {
+        if (data.rules) this.tracker.rules = data.rules;
+        if (data.cardTracker) {
+            this.tracker.restore(data.cardTracker);
+        } else {
+            this.tracker.reset();
+        }
+        this.trick = [...(data.trick ?? [])];
+        this.emitUpdate();
+    }
+
+    reset() {
+        this.tracker.reset();
+        this.trick = [];
+        this.emitUpdate();
+    }
+
+    handleCardPlayed({ card, playerIndex }) {
+        this.tracker.recordCardPlayed(card, playerIndex, this.trick);
+        this.trick.push({ player: playerIndex, card });
+        this.emitUpdate();
+    }
+
+    handleTrickComplete() {
+        this.tracker.endTrick();
+        this.trick = [];
+        this.emitUpdate();
+    }
+
+    /**
+     * What the counting panel shows
+     * @returns {{remaining: Object<string, string[]>, voids: Array<Object<string, boolean>>, queenOfSpadesLive: boolean, tenOfDiamondsLive: boolean, heartsBroken: boolean, tricksPlayed: number, remainingPoints: number}}
+     *   remaining: unplayed ranks per suit (low to high); voids: per seat, suits it has shown out of
+     */
+    getSummary() {
+        const tracker = this.tracker;
+        const remaining = {};
+        for (const suit of SUITS) {
+            remaining[suit] = RANKS.filter(rank => !tracker.playedCards[suit].has(rank));
+        }
+
+        return {
+            remaining,
+            voids: tracker.playerVoids.map(voids => ({ ...voids })),
+            queenOfSpadesLive: !tracker.queenOfSpadesPlayed,
+            tenOfDiamondsLive: !tracker.tenOfDiamondsPlayed,
+            heartsBroken: tracker.heartsBroken,
+            tricksPlayed: tracker.tricksPlayed,
+            remainingPoints: tracker.getRemainingPoints()
+        };
+    }
+
+    emitUpdate() {
+        this.events.emit(GameEvents.CARD_COUNT_UPDATED, this.getSummary());
+    }
+}
@@ -3,9 +3,14 @@
  * Tracks cards played and player information for bot AI
  */
 import { RANKS } from './card.js';
+import { DEFAULT_RULES, cardPoints } from './rules.js';
 
 export class CardTracker {
-    constructor() {
+    /**
+     * @param {Object} [rules] - House rules (point values), classic rules if omitted
+     */
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules;
         this.reset();
     }
 
@@ -32,6 +37,7 @@ export class CardTracker {
         this.tenOfDiamondsPlayed = false;
         this.tricksPlayed = 0;
         this.firstTrickRevealedVoid = 100; // sentinel value
+        this.pointsPlayed = 0;
     }
 
     /**
@@ -40,6 +46,7 @@ export class CardTracker {
     recordCardPlayed(card, playerIndex, trick) {
         // Mark card as played
         this.playedCards[card.suit].add(card.rank);
+        this.pointsPlayed += cardPoints(card, this.rules);
 
         // Check for special cards
         if (card.suit === 'S' && card.rank === 'Q') {
@@ -90,6 +97,15 @@ export class CardTracker {
         return counts;
     }
 
+    /**
+     * Points still in play this round under the house rules
+     * @returns {number}
+     */
+    getRemainingPoints() {
+        const total = 13 * this.rules.points.heart + this.rules.points.queenOfSpades + this.rules.points.tenOfDiamonds;
+        return total - this.pointsPlayed;
+    }
+
     /**
      * Get our rank positions in each suit
      * For example, if we have 2♥, 5♥, 9♥ and 2♥, 3♥, 4♥, 5♥ haven't been played,
@@ -152,6 +168,44 @@ export class CardTracker {
 
         return hasPlayers;
     }
+
+    /**
+     * Serialize tracker state to plain JSON-friendly data
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            playedCards: this.getPlayedCards(),
+            playerVoids: this.playerVoids.map(voids => ({ ...voids })),
+            heartsBroken: this.heartsBroken,
+            queenOfSpadesPlayed: this.queenOfSpadesPlayed,
+            tenOfDiamondsPlayed: this.tenOfDiamondsPlayed,
+            tricksPlayed: this.tricksPlayed,
+            firstTrickRevealedVoid: this.firstTrickRevealedVoid,
+            pointsPlayed: this.pointsPlayed
+        };
+    }
+
+    /**
+     * Restore tracker state produced by serialize()
+     * @param {Object} data - Serialized tracker state
+     */
+    restore(data) {
+        this.reset();
+        for (const suit in this.playedCards) {
+            this.playedCards[suit] = new Set(data.playedCards?.[suit] || []);
+        }
+        if (Array.isArray(data.playerVoids)) {
+            this.playerVoids = data.playerVoids.map(voids => ({ ...voids }));
+        }
+        this.heartsBroken = !!data.heartsBroken;
+        this.queenOfSpadesPlayed = !!data.queenOfSpadesPlayed;
+        this.tenOfDiamondsPlayed = !!data.tenOfDiamondsPlayed;
+        this.tricksPlayed = data.tricksPlayed || 0;
+        this.firstTrickRevealedVoid = data.firstTrickRevealedVoid ?? 100;
+        this.pointsPlayed = data.pointsPlayed || 0;
+    }
+
     getPlayedCards() {
         return {
             'H': Array.from(this.playedCards['H']),
@@ -1,4 +1,6 @@
 "use strict";
+import { cardPoints } from './rules.js';
+
 export class Card {
     constructor(suit, rank) {
         this.suit = suit; // 'H', 'D', 'S', 'C'
@@ -19,11 +21,30 @@ export class Card {
         return ranks.indexOf(this.rank);
     }
 
+    /**
+     * Points under the classic rules; the engine scores with cardPoints(card, rules)
+     * @returns {number}
+     */
     get points() {
-        if (this.suit === 'H') return 1;
-        if (this.suit === 'S' && this.rank === 'Q') return 13;
-        if (this.suit === 'D' && this.rank === '10') return 10;
-        return 0;
+        return cardPoints(this);
+    }
+
+    /**
+     * Rebuild a card from its id (e.g. "10H", "QS")
+     * @param {string} id - Card id as produced by the id getter
+     * @returns {Card}
+     * @throws {Error} If the id is not one of the 52 cards
+     */
+    static fromId(id) {
+        if (!id || typeof id !== 'string' || id.length < 2) {
+            throw new Error(`Invalid card ID format: "${id}"`);
+        }
+        const suit = id.slice(-1);
+        const rank = id.slice(0, -1);
+        if (!SUITS.includes(suit) || !RANKS.includes(rank)) {
+            throw new Error(`Invalid card ID: "${id}"`);
+        }
+        return new Card(suit, rank);
     }
 
     toString() {
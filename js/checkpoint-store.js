@@ -0,0 +1,57 @@
+"use strict";
+/**
+ * Persistence for in-progress game checkpoints
+ * GameState hands checkpoints to a store after every card; the store decides where they live.
+ */
+
+/** Bump when the checkpoint layout changes incompatibly */
+export const CHECKPOINT_VERSION = 1;
+
+/**
+ * Stores the latest checkpoint in localStorage under a single key
+ */
+export class LocalStorageCheckpointStore {
+    /**
+     * @param {string} [key] - localStorage key
+     * @param {Storage} [storage] - Storage implementation (defaults to window.localStorage)
+     */
+    constructor(key = 'leekha.checkpoint', storage = globalThis.localStorage) {
+        this.key = key;
+        this.storage = storage;
+    }
+
+    /**
+     * Persist a checkpoint, replacing any previous one
+     * @param {Object} checkpoint - Checkpoint from GameState.createCheckpoint()
+     */
+    save(checkpoint) {
+        if (!this.storage) return;
+        this.storage.setItem(this.key, JSON.stringify(checkpoint));
+    }
+
+    /**
+     * Load the saved checkpoint
+     * @returns {Object|null} The checkpoint, or null if none or unreadable/incompatible
+     */
+    load() {
+        if (!this.storage) return null;
+        try {
+            const raw = this.storage.getItem(this.key);
+            if (!raw) return null;
+            const checkpoint = JSON.parse(raw);
+            if (checkpoint?.version !== CHECKPOINT_VERSION) return null;
+            return checkpoint;
+        } catch (error) {
+            console.warn('Ignoring unreadable checkpoint:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the saved checkpoint
+     */
+    clear() {
+        if (!this.storage) return;
+        this.storage.removeItem(this.key);
+    }
+}
@@ -16,6 +16,43 @@ export const GAME_RULES = {
     TRICKS_PER_ROUND: 13
 };
 
+// =============================================================================
+// PASSING
+// =============================================================================
+
+export const PASS_DIRECTIONS = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    ACROSS: 'across',
+    NONE: 'none'
+};
+
+// Use as the pass direction to cycle through PASS_ROTATION round by round
+export const PASS_DIRECTION_ROTATE = 'rotate';
+
+// Order used by PASS_DIRECTION_ROTATE (round 1 uses the first entry)
+export const PASS_ROTATION = [
+    PASS_DIRECTIONS.LEFT,
+    PASS_DIRECTIONS.RIGHT,
+    PASS_DIRECTIONS.ACROSS,
+    PASS_DIRECTIONS.NONE
+];
+
+// Seat offset from passer to receiver (seats run anticlockwise: 0 bottom, 1 right, 2 top, 3 left)
+export const PASS_OFFSETS = {
+    left: 3,
+    right: 1,
+    across: 2,
+    none: 0
+};
+
+export const PASS_DIRECTION_LABELS = {
+    left: 'to your Left',
+    right: 'to your Right',
+    across: 'Across',
+    none: 'No passing'
+};
+
 // =============================================================================
 // TIMING (in milliseconds)
 // =============================================================================
@@ -30,6 +67,13 @@ export const TIMING = {
     TRICK_COLLECTION_DELAY: 300,     // Faster collection
     ROUND_END_DELAY: 500,            // Faster round end
     ROUND_START_DELAY: 1000,         // Faster new round
+    BOT_THINK_MIN: 300,              // Bot "thinking" before playing...
+    BOT_THINK_RANGE: 200,            // ...plus up to this much more
+
+    // Networked play
+    RECONNECT_GRACE: 30000,          // A dropped player's seat waits this long before a bot takes over
+    RECONNECT_WINDOW: 300000,        // With nobody left connected, the bots play on this long for a player to return
+    RECONNECT_RETRY: 2000,           // Client waits this long between reconnect attempts
 
     // Notification durations
     NOTIFICATION_DEFAULT: 3000,      // Default toast duration
@@ -37,6 +81,33 @@ export const TIMING = {
     NOTIFICATION_FADE: 300           // Fade out animation duration
 };
 
+/**
+ * Game speed settings: multipliers applied to every engine delay (see GameState.delay)
+ */
+export const GAME_SPEEDS = {
+    slow: 2,
+    normal: 1,
+    fast: 0.4,
+    instant: 0
+};
+
+export const GAME_SPEED_LABELS = {
+    slow: 'Slow',
+    normal: 'Normal',
+    fast: 'Fast',
+    instant: 'Instant'
+};
+
+export const DEFAULT_GAME_SPEED = 'normal';
+
+/**
+ * Turn clock choices for human players, in seconds (0 = no limit); when it runs
+ * out a bot plays the card (see GameState.requestCard)
+ */
+export const TURN_TIME_LIMITS = [0, 15, 30, 60];
+
+export const DEFAULT_TURN_TIME_LIMIT = 0;
+
 // =============================================================================
 // PLAYER POSITIONS
 // =============================================================================
@@ -75,7 +146,10 @@ export const CARD_DISPLAY = {
         { x: 250, y: 0 },     // Right - move right
         { x: 0, y: -200 },    // Top - move up
         { x: -250, y: 0 }     // Left - move left
-    ]
+    ],
+
+    // Entries kept in the spectator play-by-play log
+    ANNOTATION_LOG_LIMIT: 80
 };
 
 // =============================================================================
@@ -0,0 +1,113 @@
+"use strict";
+/**
+ * Decision context for bots
+ * Everything a seat is entitled to know when it has to pass or play, in the
+ * engine's own terms: Card objects, absolute seat numbers (0-3, partner is
+ * seat + 2), the round's full trick history and passes. Bots that declare
+ * `contextVersion` get this object directly (see NativeBotAdapter); the
+ * string-based bots keep going through BotAdapter.
+ *
+ * The shape is versioned. Fields may be added within a version; anything
+ * renamed, removed or changed in meaning bumps DECISION_CONTEXT_VERSION.
+ */
+import { Card, SUITS, RANKS } from './card.js';
+import { PASS_DIRECTIONS } from './constants.js';
+
+/** Version of the context built by buildDecisionContext() */
+export const DECISION_CONTEXT_VERSION = 1;
+
+/**
+ * @typedef {Object} DecisionContext
+ * @property {number} version - DECISION_CONTEXT_VERSION
+ * @property {'pass'|'play'} decision - What is being decided
+ * @property {number} playerIndex - Deciding seat
+ * @property {number} partner - Partner's seat
+ * @property {Card[]} hand - The seat's cards, sorted; answers must be cards from it
+ * @property {Card[]} legalMoves - Cards that may be played now (the whole hand when passing)
+ * @property {Object} rules - The game's rules (createRules() shape)
+ * @property {number} roundNumber - 1-based
+ * @property {number} dealer - Dealer's seat
+ * @property {number[]} scores - Game scores by seat, before this round
+ * @property {number[]} roundPoints - Points taken so far this round, by seat
+ * @property {string} passDirection - This round's PASS_DIRECTIONS value
+ * @property {number} passCount - Cards each seat passes (0 when nobody passes)
+ * @property {number|null} passTo - Seat receiving this seat's pass (null when nobody passes)
+ * @property {Array<{from: number, to: number, cards: Card[]|null}>} passes - This round's passes; cards are
+ *   known for the pass this seat gave and the one it received, null for the others (empty while passing)
+ * @property {Array<{leader: number, plays: Array<{player: number, card: Card}>, winner: number, points: number}>} tricks -
+ *   Completed tricks of this round, oldest first
+ * @property {Array<{player: number, card: Card}>} trick - Trick in progress (empty when leading or passing)
+ * @property {string|null} leadSuit - Suit led in the trick in progress
+ * @property {Array<Object<string, boolean>>} voids - By seat: suits it has shown out of this round
+ * @property {Card[]} unseen - Cards neither in this hand nor played yet (held by the other seats)
+ * @property {boolean} heartsBroken
+ * @property {boolean} queenOfSpadesPlayed
+ * @property {boolean} tenOfDiamondsPlayed
+ */
+
+/**
+ * Build the context for a seat's pass or play
+ * Every card is a copy, so a bot cannot change the game through the context.
+ * @param {GameState} game
+ * @param {number} playerIndex - Deciding seat
+ * @param {'pass'|'play'} decision
+ * @returns {DecisionContext}
+ * @throws {Error} If the decision kind is unknown
+ */
+export function buildDecisionContext(game, playerIndex, decision) {
+    if (decision !== 'pass' && decision !== 'play') {
+        throw new Error(`buildDecisionContext: unknown decision "${decision}"`);
+    }
+
+    const copy = (card) => new Card(card.suit, card.rank);
+    const copyPlay = (play) => ({ player: play.player, card: copy(play.card) });
+    const tracker = game.cardTracker;
+    const hand = game.players[playerIndex].hand;
+    const trick = decision === 'play' ? game.trick : [];
+
+    const passDirection = game.getPassDirection();
+    const passing = passDirection !== PASS_DIRECTIONS.NONE && game.rules.passCount > 0;
+
+    // Only the pass a seat gave and the pass it received have known cards
+    const passes = game.passes.map(pass => ({
+        from: pass.from,
+        to: pass.to,
+        cards: pass.from === playerIndex || pass.to === playerIndex ? pass.cards.map(copy) : null
+    }));
+
+    const inHand = new Set(hand.map(card => card.id));
+    const unseen = [];
+    for (const suit of SUITS) {
+        for (const rank of RANKS) {
+            if (!tracker.playedCards[suit].has(rank) && !inHand.has(`${rank}${suit}`)) {
+                unseen.push(new Card(suit, rank));
+            }
+        }
+    }
+
+    return {
+        version: DECISION_CONTEXT_VERSION,
+        decision,
+        playerIndex,
+        partner: (playerIndex + 2) % 4,
+        hand: hand.map(copy),
+        legalMoves: (decision === 'play' ? game.getValidMoves(hand, trick) : hand).map(copy),
+        rules: structuredClone(game.rules),
+        roundNumber: game.roundNumber,
+        dealer: game.dealerIndex,
+        scores: game.players.map(player => player.score),
+        roundPoints: game.players.map(player => player.currentRoundPoints),
+        passDirection,
+        passCount: passing ? game.rules.passCount : 0,
+        passTo: passing ? game.getPassTarget(playerIndex, passDirection) : null,
+        passes,
+        tricks: game.roundTricks.map(t => ({ ...t, plays: t.plays.map(copyPlay) })),
+        trick: trick.map(copyPlay),
+        leadSuit: trick.length > 0 ? trick[0].card.suit : null,
+        voids: tracker.playerVoids.map(voids => ({ ...voids })),
+        unseen,
+        heartsBroken: tracker.heartsBroken,
+        queenOfSpadesPlayed: tracker.queenOfSpadesPlayed,
+        tenOfDiamondsPlayed: tracker.tenOfDiamondsPlayed
+    };
+}
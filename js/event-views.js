@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * Per-seat views of the engine's event stream
+ * GameState emits omniscient payloads: every hand, every pass and the seed that
+ * reproduces the deals. A view re-emits that stream with only what one seat may
+ * know — its own hand, the other hands' sizes, the passes it sent or received.
+ * Only spectator/debug subscribers (game records, bot-vs-bot watching) should
+ * listen to the engine emitter itself or use the OMNISCIENT view.
+ */
+import { GameEvents } from './events.js';
+
+/** Viewer that sees every hand (debug and bot-vs-bot spectating) */
+export const OMNISCIENT = 'omniscient';
+
+/** Viewer with no seat: public information only */
+export const PUBLIC = null;
+
+/**
+ * @typedef {number|null|'omniscient'} Viewer - Seat index (0-3), PUBLIC or OMNISCIENT
+ */
+
+/**
+ * Hide every hand but the viewer's
+ * @param {Card[][]} hands - All four hands
+ * @param {Viewer} viewer
+ * @returns {{hands: Array<Card[]|null>, handSizes: number[]}} Hands with null for hidden seats, plus every hand's size
+ */
+export function redactHands(hands, viewer) {
+    return {
+        hands: hands.map((hand, seat) => (viewer === OMNISCIENT || viewer === seat ? hand : null)),
+        handSizes: hands.map(hand => hand.length)
+    };
+}
+
+/**
+ * Payload of an engine event as a viewer may see it
+ * @param {string} event - GameEvents name
+ * @param {*} data - Omniscient payload from GameState
+ * @param {Viewer} viewer
+ * @returns {*} Payload for the viewer (the same object when nothing is hidden)
+ */
+export function redactEvent(event, data, viewer) {
+    if (viewer === OMNISCIENT || !data) return data;
+
+    switch (event) {
+        case GameEvents.HANDS_DEALT:
+        case GameEvents.HAND_UPDATED:
+            return { ...data, ...redactHands(data.hands, viewer) };
+
+        case GameEvents.GAME_STARTED: {
+            // The seed reproduces every deal
+            const { seed, ...visible } = data;
+            return visible;
+        }
+
+        case GameEvents.GAME_RESUMED:
+        case GameEvents.GAME_UNDONE: {
+            const { seed, ...visible } = data;
+            return { ...visible, ...redactHands(data.hands, viewer) };
+        }
+
+        case GameEvents.PASS_PHASE_COMPLETE:
+            return {
+                ...data,
+                passes: data.passes.filter(pass => pass.from === viewer || pass.to === viewer)
+            };
+
+        default:
+            return data;
+    }
+}
+
+/**
+ * Re-emits one emitter's game events on another, redacted for a viewer
+ */
+export class EventView {
+    /**
+     * @param {GameEventEmitter} source - Omniscient engine emitter (what GameState emits on)
+     * @param {GameEventEmitter} target - Emitter the viewer's UI listens to
+     * @param {Viewer} viewer - Who is looking
+     */
+    constructor(source, target, viewer) {
+        if (source === target) {
+            throw new Error('EventView: source and target must be different emitters');
+        }
+        /** @type {GameEventEmitter} */
+        this.source = source;
+        /** @type {GameEventEmitter} */
+        this.target = target;
+        /** @type {Viewer} */
+        this.viewer = viewer;
+        /** @type {Card[][]|null} Latest omniscient hands, re-sent when the viewer changes */
+        this.lastHands = null;
+        /** @type {Array<[string, Function]>} Subscribed handlers, kept for detach() */
+        this.handlers = Object.values(GameEvents).map(event => [event, (data) => this.forward(event, data)]);
+
+        for (const [event, handler] of this.handlers) {
+            this.source.on(event, handler);
+        }
+    }
+
+    /**
+     * @param {string} event
+     * @param {*} data - Omniscient payload
+     */
+    forward(event, data) {
+        if (data?.hands && (event === GameEvents.HANDS_DEALT || event === GameEvents.HAND_UPDATED
+            || event === GameEvents.GAME_RESUMED || event === GameEvents.GAME_UNDONE)) {
+            this.lastHands = data.hands;
+        }
+        this.target.emit(event, redactEvent(event, data, this.viewer));
+    }
+
+    /**
+     * Look through another seat's eyes (hot-seat handoffs), re-sending the hands for it
+     * @param {Viewer} viewer
+     */
+    setViewer(viewer) {
+        if (viewer === this.viewer) return;
+        this.viewer = viewer;
+        if (this.lastHands) {
+            this.target.emit(GameEvents.HAND_UPDATED, redactHands(this.lastHands, viewer));
+        }
+    }
+
+    /**
+     * Stop forwarding events
+     */
+    detach() {
+        for (const [event, handler] of this.handlers) {
+            this.source.off(event, handler);
+        }
+        this.handlers = [];
+    }
+}
@@ -6,9 +6,16 @@ export const GameEvents = {
   // Game lifecycle
   GAME_INITIALIZED: 'GAME_INITIALIZED',
   GAME_STARTED: 'GAME_STARTED',
+  GAME_RESUMED: 'GAME_RESUMED',
+  GAME_UNDONE: 'GAME_UNDONE',
   ROUND_START: 'ROUND_START',
   ROUND_END: 'ROUND_END',
   GAME_OVER: 'GAME_OVER',
+  GAME_ABANDONED: 'GAME_ABANDONED',
+  GAME_PAUSE_CHANGED: 'GAME_PAUSE_CHANGED',
+  GAME_SPEED_CHANGED: 'GAME_SPEED_CHANGED',
+  GAME_RESTART_REQUESTED: 'GAME_RESTART_REQUESTED',
+  NEW_GAME_REQUESTED: 'NEW_GAME_REQUESTED',
 
   // Card and hand events
   HANDS_DEALT: 'HANDS_DEALT',
@@ -24,6 +31,7 @@ export const GameEvents = {
 
   // UI state
   TURN_CHANGED: 'TURN_CHANGED',
+  TURN_TIME_EXPIRED: 'TURN_TIME_EXPIRED',
   STATUS_MESSAGE: 'STATUS_MESSAGE',
   ENABLE_CARD_SELECTION: 'ENABLE_CARD_SELECTION',
   DISABLE_CARD_SELECTION: 'DISABLE_CARD_SELECTION',
@@ -34,6 +42,35 @@ export const GameEvents = {
 
   // Errors
   ERROR_OCCURRED: 'ERROR_OCCURRED',
+
+  // Hot-seat (pass-and-play)
+  HOT_SEAT_HANDOFF: 'HOT_SEAT_HANDOFF',
+  HOT_SEAT_READY: 'HOT_SEAT_READY',
+  VIEW_SEAT_CHANGED: 'VIEW_SEAT_CHANGED',
+
+  // Networked play
+  ROOM_UPDATED: 'ROOM_UPDATED',
+  SEAT_CONTROL_CHANGED: 'SEAT_CONTROL_CHANGED',
+
+  // Hints
+  HINT_REQUESTED: 'HINT_REQUESTED',
+  HINT_READY: 'HINT_READY',
+
+  // Practice games
+  UNDO_REQUESTED: 'UNDO_REQUESTED',
+
+  // Card counting
+  CARD_COUNT_UPDATED: 'CARD_COUNT_UPDATED',
+
+  // Coaching
+  COACH_WARNING: 'COACH_WARNING',
+  COACH_ROUND_SUMMARY: 'COACH_ROUND_SUMMARY',
+
+  // Spectating
+  PLAY_ANNOTATED: 'PLAY_ANNOTATED',
+
+  // Replay
+  REPLAY_POSITION_CHANGED: 'REPLAY_POSITION_CHANGED',
 };
 
 /**
@@ -0,0 +1,126 @@
+"use strict";
+/**
+ * Game lifecycle
+ * Owns the GameState for the page: starts games, restarts after game over,
+ * starts new games with different bots or rules, and abandons a game in progress.
+ */
+import { GameEvents } from './events.js';
+
+export class GameLifecycle {
+    /**
+     * @param {GameEventEmitter} eventEmitter - Event emitter shared by every game on the page
+     * @param {Object} factories
+     * @param {(options: Object) => GameState} factories.createGame - Builds a GameState from { seed, rules }
+     * @param {(settings: Object) => Player[]} factories.createPlayers - Builds a fresh set of 4 players from { humanSeats }
+     * @param {{clear: Function}} [factories.checkpointStore] - Cleared when a game is abandoned
+     */
+    constructor(eventEmitter, { createGame, createPlayers, checkpointStore = null }) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {(options: Object) => GameState} */
+        this.createGame = createGame;
+        /** @type {(settings: Object) => Player[]} */
+        this.createPlayers = createPlayers;
+        /** @type {{clear: Function}|null} */
+        this.checkpointStore = checkpointStore;
+        /** @type {GameState|null} Game in progress (or last finished game) */
+        this.game = null;
+        /** @type {{rules: Object, botAssignments: Object<number, string>, humanSeats: number[]}} Settings the next restart reuses */
+        this.settings = { rules: undefined, botAssignments: {}, humanSeats: [0] };
+
+        this.events.on(GameEvents.GAME_RESTART_REQUESTED, () => this.run(() => this.restart()));
+        this.events.on(GameEvents.NEW_GAME_REQUESTED, (data) => this.run(() => this.newGame(data)));
+    }
+
+    /**
+     * Start a game, abandoning the current one if any
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - Seed for the deals (random if omitted)
+     * @param {Object} [options.rules] - House rules (see rules.js)
+     * @param {Object<number, string>} [options.botAssignments] - Maps seat index to bot type
+     * @param {number[]} [options.humanSeats] - Seats played by people sharing this screen
+     * @param {Object} [options.checkpoint] - Checkpoint to resume instead of dealing a new game
+     * @returns {Promise<GameState>} The started game
+     */
+    async start({ seed, rules, botAssignments = {}, humanSeats = [0], checkpoint = null } = {}) {
+        if (this.isInProgress()) {
+            this.game.abandon();
+        }
+
+        this.settings = { rules, botAssignments, humanSeats };
+
+        const game = this.createGame({ seed, rules });
+        const players = this.createPlayers(this.settings);
+        this.game = game;
+
+        // Bots need their adapters before the first pass is asked for
+        game.players = players;
+        await game.initializeBots(botAssignments);
+        game.initialize(players, { checkpoint });
+
+        // A resumed game keeps the rules it was saved under, and so do its restarts
+        if (checkpoint) {
+            this.settings.rules = game.rules;
+        }
+
+        return game;
+    }
+
+    /**
+     * Start over with the same rules and bots (fresh seed)
+     * @returns {Promise<GameState>}
+     */
+    restart() {
+        return this.start({ ...this.settings });
+    }
+
+    /**
+     * Abandon the current game and start a new one with different settings
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - New house rules (current rules if omitted)
+     * @param {Object<number, string>} [options.botAssignments] - New bots (current bots if omitted)
+     * @param {number[]} [options.humanSeats] - New human seats (current seats if omitted)
+     * @returns {Promise<GameState>}
+     */
+    newGame({ rules, botAssignments, humanSeats } = {}) {
+        this.abandon();
+        return this.start({
+            rules: rules ?? this.settings.rules,
+            botAssignments: botAssignments ?? this.settings.botAssignments,
+            humanSeats: humanSeats ?? this.settings.humanSeats
+        });
+    }
+
+    /**
+     * Abandon the game in progress and discard its saved checkpoint
+     */
+    abandon() {
+        if (!this.isInProgress()) return;
+        this.game.abandon();
+        this.checkpointStore?.clear();
+    }
+
+    /**
+     * @returns {boolean} Whether a game is being played (started, not over, not abandoned)
+     */
+    isInProgress() {
+        return !!this.game && !this.game.abandoned && !this.game.finished;
+    }
+
+    /**
+     * Run a lifecycle action from an event handler, reporting failures to the UI
+     * @param {() => Promise<GameState>} action
+     */
+    async run(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Game lifecycle action failed:', error);
+            this.events.emit(GameEvents.ERROR_OCCURRED, {
+                type: 'game_lifecycle',
+                message: `Could not start a new game: ${error.message}`,
+                error
+            });
+        }
+    }
+}
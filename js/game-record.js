@@ -0,0 +1,264 @@
+"use strict";
+/**
+ * Game record subsystem
+ * Listens to engine events and builds a complete, versioned, move-by-move
+ * record of a game that can be exported as JSON and re-imported later.
+ */
+import { GameEvents } from './events.js';
+
+/** Identifies a JSON document as a Leekha game record */
+export const GAME_RECORD_FORMAT = 'leekha-game-record';
+
+/** Bump when the record layout changes incompatibly */
+export const GAME_RECORD_VERSION = 1;
+
+/**
+ * Records a whole game from the engine's event stream.
+ *
+ * Record layout (version 1):
+ * {
+ *   format, version, seed, createdAt,
+ *   rules?: Object,                               // house rules the game was played under (see rules.js)
+ *   resumedFrom?: { roundNumber, tricksPlayed },   // only when recording began from a saved game
+ *   players: [{ name, position }],
+ *   rounds: [{
+ *     roundNumber, dealerIndex, passDirection, startScores: number[],
+ *     deal: string[][],                         // hands as dealt, per seat (card ids)
+ *     passes: [{ from, to, cards: string[] }],  // one entry per seat
+ *     tricks: [{ leader, plays: [{ player, card }], winner, points }],
+ *     roundPoints: number[], scores: number[], teamScores?: number[]   // teamScores only under team scoring
+ *   }],
+ *   result: { loser, loserTeam?, myTeamLost, scores, teamScores? } | null
+ * }
+ */
+export class GameRecorder {
+    /**
+     * Create a recorder and start listening to game events
+     * @param {GameEventEmitter} eventEmitter - Event emitter to record from
+     */
+    constructor(eventEmitter) {
+        /** @type {GameEventEmitter} Event source */
+        this.events = eventEmitter;
+        /** @type {Object|null} Record of the game in progress (or last finished game) */
+        this.record = null;
+        /** @type {Object|null} Round currently being recorded */
+        this.currentRound = null;
+        /** @type {Object|null} Trick currently being recorded */
+        this.currentTrick = null;
+        /** @type {Array<[string, Function]>} Subscribed handlers, kept for detach() */
+        this.handlers = [];
+
+        this.attach();
+    }
+
+    /**
+     * Subscribe to the game events that make up a record
+     */
+    attach() {
+        if (this.handlers.length > 0) return;
+
+        this.handlers = [
+            [GameEvents.GAME_STARTED, (data) => this.handleGameStarted(data)],
+            [GameEvents.GAME_RESUMED, (data) => this.handleGameResumed(data)],
+            [GameEvents.GAME_UNDONE, (data) => this.handleGameUndone(data)],
+            [GameEvents.ROUND_START, (data) => this.handleRoundStart(data)],
+            [GameEvents.HANDS_DEALT, (data) => this.handleHandsDealt(data)],
+            [GameEvents.PASS_PHASE_COMPLETE, (data) => this.handlePassPhaseComplete(data)],
+            [GameEvents.CARD_PLAYED, (data) => this.handleCardPlayed(data)],
+            [GameEvents.TRICK_COMPLETE, (data) => this.handleTrickComplete(data)],
+            [GameEvents.ROUND_END, (data) => this.handleRoundEnd(data)],
+            [GameEvents.GAME_OVER, (data) => this.handleGameOver(data)]
+        ];
+
+        for (const [event, handler] of this.handlers) {
+            this.events.on(event, handler);
+        }
+    }
+
+    /**
+     * Stop listening to game events
+     */
+    detach() {
+        for (const [event, handler] of this.handlers) {
+            this.events.off(event, handler);
+        }
+        this.handlers = [];
+    }
+
+    handleGameStarted(data) {
+        this.record = {
+            format: GAME_RECORD_FORMAT,
+            version: GAME_RECORD_VERSION,
+            seed: data?.seed ?? null,
+            rules: data?.rules ?? null,
+            createdAt: new Date().toISOString(),
+            players: (data?.players || []).map(p => ({ name: p.name, position: p.position })),
+            rounds: [],
+            result: null
+        };
+        this.currentRound = null;
+        this.currentTrick = null;
+    }
+
+    /**
+     * A saved game was resumed: the interrupted round cannot be recorded in full,
+     * so start a fresh record that picks up from the next round.
+     */
+    handleGameResumed(data) {
+        this.handleGameStarted(data);
+        this.record.resumedFrom = {
+            roundNumber: data.roundNumber,
+            tricksPlayed: data.tricksPlayed
+        };
+    }
+
+    /**
+     * Plays were taken back in a practice game: drop them from the round so
+     * the record only holds the plays that stood.
+     */
+    handleGameUndone(data) {
+        if (!this.currentRound) return;
+
+        const tricks = this.currentRound.tricks;
+        tricks.length = Math.min(tricks.length, data.tricksPlayed + (data.trick.length > 0 ? 1 : 0));
+        this.currentTrick = null;
+        if (data.trick.length > 0 && tricks.length > data.tricksPlayed) {
+            // The trick may have been completed before the undo: it has no taker yet
+            this.currentTrick = tricks[tricks.length - 1];
+            this.currentTrick.plays.length = data.trick.length;
+            this.currentTrick.winner = null;
+            this.currentTrick.points = 0;
+        }
+    }
+
+    handleRoundStart(data) {
+        if (!this.record) return;
+
+        this.currentRound = {
+            roundNumber: data.roundNumber,
+            dealerIndex: data.dealerIndex ?? null,
+            passDirection: data.passDirection ?? 'left',
+            startScores: data.scores ? [...data.scores] : null,
+            deal: [],
+            passes: [],
+            tricks: [],
+            roundPoints: null,
+            scores: null
+        };
+        this.currentTrick = null;
+        this.record.rounds.push(this.currentRound);
+    }
+
+    handleHandsDealt(data) {
+        if (!this.currentRound) return;
+        this.currentRound.deal = data.hands.map(hand => hand.map(card => card.id));
+    }
+
+    handlePassPhaseComplete(data) {
+        if (!this.currentRound || !data?.passes) return;
+        this.currentRound.passes = data.passes.map(pass => ({
+            from: pass.from,
+            to: pass.to,
+            cards: pass.cards.map(card => card.id)
+        }));
+    }
+
+    handleCardPlayed(data) {
+        if (!this.currentRound) return;
+
+        if (!this.currentTrick) {
+            this.currentTrick = {
+                leader: data.playerIndex,
+                plays: [],
+                winner: null,
+                points: 0
+            };
+            this.currentRound.tricks.push(this.currentTrick);
+        }
+
+        this.currentTrick.plays.push({ player: data.playerIndex, card: data.card.id });
+    }
+
+    handleTrickComplete(data) {
+        if (!this.currentTrick) return;
+        this.currentTrick.winner = data.winnerIndex;
+        this.currentTrick.points = data.points;
+        this.currentTrick = null;
+    }
+
+    handleRoundEnd(data) {
+        if (!this.currentRound) return;
+        this.currentRound.roundPoints = data.roundPoints ? [...data.roundPoints] : null;
+        this.currentRound.scores = data.players.map(p => p.score);
+        if (data.teams) {
+            this.currentRound.teamScores = data.teams.map(t => t.score);
+        }
+        this.currentRound = null;
+    }
+
+    handleGameOver(data) {
+        if (!this.record) return;
+        this.record.result = {
+            loser: data.loserPlayer?.name ?? null,
+            myTeamLost: !!data.myTeamLost,
+            scores: data.players.map(p => p.score)
+        };
+        if (data.teams) {
+            this.record.result.loserTeam = data.loserTeam?.name ?? null;
+            this.record.result.teamScores = data.teams.map(t => t.score);
+        }
+    }
+
+    /**
+     * Get a deep copy of the current record
+     * @returns {Object|null} Game record, or null if no game has started
+     */
+    getRecord() {
+        return this.record ? JSON.parse(JSON.stringify(this.record)) : null;
+    }
+
+    /**
+     * Serialize the current record
+     * @returns {string} Pretty-printed JSON
+     */
+    exportJSON() {
+        return JSON.stringify(this.record, null, 2);
+    }
+
+    /**
+     * Parse and validate an exported game record
+     * @param {string|Object} json - JSON text or already-parsed object
+     * @returns {Object} The validated record
+     * @throws {Error} If the input is not a compatible game record
+     */
+    static parse(json) {
+        const record = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!record || record.format !== GAME_RECORD_FORMAT) {
+            throw new Error('GameRecorder.parse: not a Leekha game record');
+        }
+
+        if (record.version !== GAME_RECORD_VERSION) {
+            throw new Error(`GameRecorder.parse: unsupported record version ${record.version} (expected ${GAME_RECORD_VERSION})`);
+        }
+
+        if (!Array.isArray(record.players) || record.players.length !== 4) {
+            throw new Error('GameRecorder.parse: record must list exactly 4 players');
+        }
+
+        if (!Array.isArray(record.rounds)) {
+            throw new Error('GameRecorder.parse: record is missing rounds');
+        }
+
+        record.rounds.forEach((round, i) => {
+            if (!Array.isArray(round.deal) || round.deal.length !== 4) {
+                throw new Error(`GameRecorder.parse: round ${i + 1} has an invalid deal`);
+            }
+            if (!Array.isArray(round.passes) || !Array.isArray(round.tricks)) {
+                throw new Error(`GameRecorder.parse: round ${i + 1} is missing passes or tricks`);
+            }
+        });
+
+        return record;
+    }
+}
@@ -1,24 +1,34 @@
 "use strict";
 import { Card, SUITS, RANKS } from './card.js';
-import { HumanPlayer } from './player.js';
+import { HumanPlayer, BotPlayer } from './player.js';
 import { CardTracker } from './card-tracker.js';
-import { BotAdapter } from './bot-adapter.js';
-import { LMBot as LMGBot } from '../tools/botsim/bots/LMG.js';
-import { LMBot as LMLMBot } from '../tools/botsim/bots/LMLM.js';
-import { LMBot as LMXBot } from '../tools/botsim/bots/LMX.js';
-import { LMBot as LMABot } from '../tools/botsim/bots/lma.js';
-import { LMBot as LMX2Bot } from '../tools/botsim/bots/lmx2.js';
-import { LMBot as LMCBot } from '../tools/botsim/bots/lmc.js';
-import { LMBot as LMA1Bot } from '../tools/botsim/bots/lma.1.js';
-import { LMBot as LMTSBot } from '../tools/botsim/bots/lmts.js';
+import { createBotAdapter } from './bot-adapter.js';
+import { BotHooks } from './bot-hooks.js';
+import { createBot, isBotType } from './bot-registry.js';
+import '../tools/botsim/bots/index.js';
 import { GameEvents } from './events.js';
+import { createRng, normalizeSeed, randomSeed } from './rng.js';
+import { abortable, abortError, isAbortError, sleep, throwIfAborted } from './abort.js';
+import { TurnClock } from './turn-clock.js';
+import { CHECKPOINT_VERSION } from './checkpoint-store.js';
+import { createRules, cardPoints, FIRST_LEADER, LATER_LEADER, SCORING_MODES } from './rules.js';
 import {
     GAME_RULES,
     TIMING,
     PLAYER_POSITIONS,
-    DEFAULT_BOT_TYPE
+    DEFAULT_BOT_TYPE,
+    PASS_DIRECTIONS,
+    PASS_DIRECTION_ROTATE,
+    PASS_ROTATION,
+    PASS_OFFSETS,
+    PASS_DIRECTION_LABELS,
+    GAME_SPEEDS,
+    DEFAULT_GAME_SPEED
 } from './constants.js';
 
+/** Abort reason of a human decision withdrawn by undo() */
+const PLAY_TAKEN_BACK = 'Play taken back';
+
 /**
  * Manages the state and logic for a Leekha card game.
  * Handles game flow, player turns, scoring, and card tracking.
@@ -27,10 +37,29 @@ export class GameState {
     /**
      * Create a new GameState instance
      * @param {GameEventEmitter} eventEmitter - Event emitter for game events
+     * @param {Object} [options] - Game options
+     * @param {number|string} [options.seed] - Seed for reproducible deals (random if omitted)
+     * @param {{save: Function, clear: Function}} [options.checkpointStore] - Where to persist checkpoints (none if omitted)
+     * @param {Object} [options.rules] - House rules overrides (see rules.js), classic rules if omitted
+     * @param {AbortSignal} [options.signal] - Aborting it abandons the game (same as abandon())
+     * @param {string} [options.speed] - Key of GAME_SPEEDS scaling every delay (normal if omitted)
+     * @param {number} [options.turnTimeLimit] - Seconds a human has for each play, then a bot plays for them (0/omitted: no limit)
+     * @param {string} [options.autoPlayBot] - Bot type that plays for humans who run out of time (DEFAULT_BOT_TYPE if omitted)
+     * @param {boolean} [options.practice] - Practice game: humans may take back their plays (see undo())
      */
-    constructor(eventEmitter) {
+    constructor(eventEmitter, options = {}) {
         /** @type {GameEventEmitter} Event emitter for broadcasting game state changes */
         this.events = eventEmitter;
+        /** @type {number} Seed driving all game randomness (recorded in getCurrentState()) */
+        this.seed = normalizeSeed(options.seed) ?? randomSeed();
+        /** @type {() => number} Seeded RNG for shuffling and dealer selection */
+        this.rng = createRng(this.seed);
+        /** @type {() => number} Separate seeded RNG for bot think delays and fallback moves, so neither shifts the deals */
+        this.thinkRng = createRng(this.seed ^ 0x9E3779B9);
+        /** @type {{save: Function, clear: Function}|null} Receives a checkpoint after every card */
+        this.checkpointStore = options.checkpointStore || null;
+        /** @type {Readonly<Object>} House rules every part of the engine reads from */
+        this.rules = createRules(options.rules);
         /** @type {Player[]} Array of 4 players in the game */
         this.players = [];
         /** @type {Card[]} The deck of cards */
@@ -44,7 +73,7 @@ export class GameState {
         /** @type {number[]} Cumulative scores for each player */
         this.scores = [0, 0, 0, 0];
         /** @type {CardTracker} Tracks played cards and player voids */
-        this.cardTracker = new CardTracker();
+        this.cardTracker = new CardTracker(this.rules);
         /** @type {Object|null} Heuristic bot instance */
         this.heuristicBot = null;
         /** @type {Object<number, string>} Maps player index to bot type */
@@ -52,24 +81,185 @@ export class GameState {
         /** @type {Object} Simulation configuration for bot testing */
         this.simulation = {
             enabled: false,
+            quiet: false,           // Skip the progress and result lines too (tournaments report their own)
             target: 0,
             completed: 0,
             wins: { copy: 0, original: 0 }
         };
         /** @type {string[][]} Initial hands for each player (for debugging) */
         this.initialHands = [];
+        /** @type {Array<{from: number, to: number, cards: Card[]}>} Passes of the current round (empty when nobody passed) */
+        this.passes = [];
+        /** @type {Array<{leader: number, plays: Array<{player: number, card: Card}>, winner: number, points: number}>} Completed tricks of the current round */
+        this.roundTricks = [];
         /** @type {number} Index of the current dealer */
         this.dealerIndex = 0;
         /** @type {number|null} Index of player who captured Queen of Spades */
         this.queenOfSpadesCapturedBy = null;
+        /** @type {number} Index of the player who led (or will lead) the current trick */
+        this.trickLeader = 0;
+        /** @type {boolean} Set once GAME_OVER has been emitted */
+        this.finished = false;
+        /** @type {AbortController} Aborted by abandon() */
+        this.abortController = new AbortController();
+        /** @type {AbortSignal} Passed to every wait in the game loop (player decisions, delays, pauses) */
+        this.signal = this.abortController.signal;
+        /** @type {BotHooks[]} Round hooks of the seats' bots (see initializeBots()) */
+        this.botHooks = [];
+        this.signal.addEventListener('abort', () => this.detachBotHooks(), { once: true });
+        /** @type {string} Key of GAME_SPEEDS in effect */
+        this.speed = options.speed in GAME_SPEEDS ? options.speed : DEFAULT_GAME_SPEED;
+        /** @type {boolean} Whether the loop is held at its next step (see pause()) */
+        this.paused = false;
+        /** @type {Promise<void>|null} Settles when the game is resumed */
+        this.pauseGate = null;
+        /** @type {Function|null} Resolves pauseGate */
+        this.releasePause = null;
+        /** @type {number} Milliseconds a human has for each play (0: no limit) */
+        this.turnTimeLimit = options.turnTimeLimit > 0 ? options.turnTimeLimit * 1000 : 0;
+        /** @type {string} Bot type that plays for humans who run out of time */
+        this.autoPlayBot = isBotType(options.autoPlayBot) ? options.autoPlayBot : DEFAULT_BOT_TYPE;
+        /** @type {TurnClock|null} Clock of the human turn in progress */
+        this.turnClock = null;
+        /** @type {Promise<void>|null} The running game loop (settles once it stops or hands over to the next round) */
+        this.loop = null;
+        /** @type {boolean} Practice game: plays can be taken back (never set for rated or networked games) */
+        this.practice = !!options.practice;
+        /** @type {Object[]} Checkpoints taken at each human play decision of the round (practice games only) */
+        this.undoSnapshots = [];
+        /** @type {AbortController|null} Withdraws the human decision in progress when a play is taken back */
+        this.undoController = null;
+        /** @type {boolean} Set while undo() waits for the loop to unwind */
+        this.undoing = false;
+
+        this.signal.addEventListener('abort', () => {
+            this.events.emit(GameEvents.GAME_ABANDONED, {
+                roundNumber: this.roundNumber,
+                players: this.getPlayersData()
+            });
+        }, { once: true });
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                this.abortController.abort(options.signal.reason);
+            } else {
+                options.signal.addEventListener('abort', () => this.abandon(options.signal.reason), { once: true });
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the game was abandoned (its signal aborted)
+     */
+    get abandoned() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * Stop this game for good: pending human input, delays and the wait for
+     * the next round all reject, and the game loop unwinds without playing
+     * further cards. Emits GAME_ABANDONED.
+     * @param {*} [reason] - Abort reason
+     */
+    abandon(reason = 'Game abandoned') {
+        if (this.abandoned) return;
+        this.abortController.abort(reason);
+    }
+
+    /**
+     * Stop telling the bots about the game (it is over or abandoned)
+     */
+    detachBotHooks() {
+        for (const hooks of this.botHooks) {
+            hooks.detach();
+        }
+        this.botHooks = [];
+    }
+
+    /**
+     * Hold the game loop at its next step (before the next turn or after the current delay)
+     * Emits GAME_PAUSE_CHANGED.
+     */
+    pause() {
+        if (this.paused || this.abandoned) return;
+        this.paused = true;
+        this.pauseGate = new Promise(resolve => { this.releasePause = resolve; });
+        this.turnClock?.pause();
+        this.events.emit(GameEvents.GAME_PAUSE_CHANGED, { paused: true });
+    }
+
+    /**
+     * Let a paused game loop continue
+     * Emits GAME_PAUSE_CHANGED.
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        const release = this.releasePause;
+        this.pauseGate = null;
+        this.releasePause = null;
+        release();
+        this.turnClock?.resume();
+        this.events.emit(GameEvents.GAME_PAUSE_CHANGED, { paused: false });
+    }
+
+    /**
+     * Change how fast the game plays; applies from the next delay on
+     * Emits GAME_SPEED_CHANGED.
+     * @param {string} speed - Key of GAME_SPEEDS
+     * @throws {Error} If the speed is unknown
+     */
+    setSpeed(speed) {
+        if (!(speed in GAME_SPEEDS)) {
+            throw new Error(`GameState.setSpeed: unknown speed "${speed}"`);
+        }
+        this.speed = speed;
+        this.events.emit(GameEvents.GAME_SPEED_CHANGED, { speed });
+    }
+
+    /**
+     * Wait while the game is paused
+     * @returns {Promise<void>}
+     * @throws {Error} AbortError if the game is abandoned meanwhile
+     */
+    async waitWhilePaused() {
+        while (this.pauseGate) {
+            await abortable(this.pauseGate, this.signal);
+        }
+        throwIfAborted(this.signal);
     }
 
     /**
-     * Initialize the game with players and start a new game
+     * Run a stretch of the game loop detached from its caller.
+     * Abandoning the game ends it quietly; anything else is reported.
+     * @param {() => Promise<void>} step - Loop entry point (e.g. startRound)
+     * @returns {Promise<void>}
+     */
+    runLoop(step) {
+        this.loop = (async () => {
+            try {
+                await step();
+            } catch (error) {
+                if (isAbortError(error)) return;
+                console.error('Game loop failed:', error);
+                this.events.emit(GameEvents.ERROR_OCCURRED, {
+                    type: 'game_loop',
+                    message: `Game stopped unexpectedly: ${error.message}`,
+                    error
+                });
+            }
+        })();
+        return this.loop;
+    }
+
+    /**
+     * Initialize the game with players and start a new game (or resume a saved one)
      * @param {Player[]} players - Array of exactly 4 player instances
+     * @param {Object} [options] - Initialization options
+     * @param {Object} [options.checkpoint] - Checkpoint to resume instead of starting a new game
      * @throws {Error} If players array is invalid or players are missing required methods
      */
-    initialize(players) {
+    initialize(players, options = {}) {
         // Validate players array
         if (!Array.isArray(players)) {
             throw new Error('GameState.initialize: players must be an array');
@@ -112,15 +302,18 @@ export class GameState {
         });
 
         // Emit initial score update
-        this.events.emit(GameEvents.SCORE_UPDATED, {
-            players: this.getPlayersData()
-        });
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
 
-        this.startNewGame();
+        if (options.checkpoint) {
+            this.resumeFromCheckpoint(options.checkpoint);
+        } else {
+            this.startNewGame();
+        }
     }
 
     /**
      * Initialize bot players with their AI adapters
+     * Each seat gets its own bot, told about the round through BotHooks until the game ends.
      * @param {Object<number, string>} botAssignments - Maps player index to bot type
      * @throws {Error} If bot modules fail to load
      * @returns {Promise<void>}
@@ -129,40 +322,19 @@ export class GameState {
         try {
             this.botAssignments = botAssignments;
 
-            const botInstances = {};
-
-            // Determine which bot types are needed
-            const neededTypes = new Set(Object.values(botAssignments));
-            if (neededTypes.size === 0) neededTypes.add(DEFAULT_BOT_TYPE);
-
-            // Bot expects single-character ranks: ['2', '3', ..., '9', 'T', 'J', 'Q', 'K', 'A']
-            const botRankReference = RANKS.map(r => r === '10' ? 'T' : r);
-
-            // Use statically imported bot classes
-            const BOT_CLASSES = {
-                'lmg': LMGBot,
-                'lmlm': LMLMBot,
-                'lmx': LMXBot,
-                'lma': LMABot,
-                'lmx2': LMX2Bot,
-                'lmc': LMCBot,
-                'lma1': LMA1Bot,
-                'lmts': LMTSBot
-            };
-
-            for (const type of neededTypes) {
-                const BotClass = BOT_CLASSES[type] || LMGBot;
-                botInstances[type] = new BotClass(botRankReference);
-            }
+            this.detachBotHooks();
 
-            // Setup adapters for each bot player
+            // Every seat gets its own bot instance, so bots may keep memory of the round
+            // (implementations are imported on first use, see bot-registry.js)
             for (let i = 0; i < this.players.length; i++) {
                 const player = this.players[i];
-                if (player.constructor.name === 'BotPlayer') {
-                    const botType = botAssignments[i] || DEFAULT_BOT_TYPE;
-                    const botInstance = botInstances[botType] || botInstances[DEFAULT_BOT_TYPE];
-                    const adapter = new BotAdapter(botInstance, i, this);
-                    player.setAdapter(adapter);
+                // Bots, remote seats a bot can take over when their player drops,
+                // and humans a bot plays for when their turn clock runs out
+                if (typeof player.setAdapter === 'function') {
+                    const botType = botAssignments[i] || (player instanceof HumanPlayer ? this.autoPlayBot : DEFAULT_BOT_TYPE);
+                    const bot = await createBot(botType);
+                    player.setAdapter(createBotAdapter(bot, i, this));
+                    this.botHooks.push(new BotHooks(bot, i, this));
                 }
             }
 
@@ -176,7 +348,7 @@ export class GameState {
                 if (this.simulation.wins[this.simulation.team1] === undefined) this.simulation.wins[this.simulation.team1] = 0;
             }
 
-            console.log('Bots initialized successfully');
+            if (!this.simulation?.enabled) console.log('Bots initialized successfully');
         } catch (error) {
             const errorMessage = `Failed to initialize bots: ${error.message}`;
             console.error(errorMessage, error);
@@ -202,7 +374,7 @@ export class GameState {
         this.roundNumber = 0;
 
         // Set random dealer for the first round
-        this.dealerIndex = Math.floor(Math.random() * 4);
+        this.dealerIndex = Math.floor(this.rng() * 4);
         this.queenOfSpadesCapturedBy = null;
 
         // Reset all player scores
@@ -213,20 +385,21 @@ export class GameState {
 
         // Emit game start event
         this.events.emit(GameEvents.GAME_STARTED, {
-            players: this.getPlayersData()
+            players: this.getPlayersData(),
+            seed: this.seed,
+            rules: this.rules,
+            practice: this.practice
         });
 
         // Emit score update
-        this.events.emit(GameEvents.SCORE_UPDATED, {
-            players: this.getPlayersData()
-        });
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
 
-        this.startRound();
+        this.runLoop(() => this.startRound());
     }
 
     /**
      * Create and shuffle a new 52-card deck
-     * Uses Fisher-Yates shuffle algorithm
+     * Uses Fisher-Yates shuffle algorithm driven by the seeded RNG
      */
     createDeck() {
         this.deck = [];
@@ -237,7 +410,7 @@ export class GameState {
         }
         // Shuffle
         for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.rng() * (i + 1));
             [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
         }
     }
@@ -273,21 +446,30 @@ export class GameState {
      * @returns {Promise<void>}
      */
     async startRound() {
+        await this.waitWhilePaused();
+
         this.events.emit(GameEvents.TRICK_PILE_CLEAR);
 
         this.roundNumber++;
+        this.trick = [];
+        this.undoSnapshots = []; // Plays are only taken back within the round
+        this.passes = [];
+        this.roundTricks = [];
         this.cardTracker.reset(); // Reset card tracking for new round
         this.queenOfSpadesCapturedBy = null; // Reset Q??? tracking for new round
 
         // Emit round start
+        const passDirection = this.getPassDirection();
+
         this.events.emit(GameEvents.ROUND_START, {
-            roundNumber: this.roundNumber
+            roundNumber: this.roundNumber,
+            dealerIndex: this.dealerIndex,
+            passDirection,
+            scores: this.players.map(p => p.score)
         });
 
         // Emit score update
-        this.events.emit(GameEvents.SCORE_UPDATED, {
-            players: this.getPlayersData()
-        });
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
 
         this.events.emit(GameEvents.STATUS_MESSAGE, {
             message: `Round ${this.roundNumber}: Dealing...`
@@ -297,45 +479,108 @@ export class GameState {
 
         // 1. Passing Phase
         this.events.emit(GameEvents.STATUS_MESSAGE, {
-            message: "Pass 3 cards to your Left"
+            message: passDirection === PASS_DIRECTIONS.NONE
+                ? "No passing this round"
+                : `Pass ${this.rules.passCount} cards ${PASS_DIRECTION_LABELS[passDirection]}`
         });
 
-        await this.handlePassingPhase();
+        await this.handlePassingPhase(passDirection);
 
         // 2. Play Phase
         this.events.emit(GameEvents.STATUS_MESSAGE, {
             message: "Game On!"
         });
 
-        // Determine leader: the player who captured the Queen of Spades in the previous round starts.
-        // For the first round, we start with the randomly selected dealer.
-        let leader = this.dealerIndex;
-        if (this.roundNumber === 1) {
-            console.log(`[DEBUG] Round 1: Random dealer selected as starting leader = Player ${leader} (${this.players[leader].name})`);
-        } else {
-            console.log(`[DEBUG] Round ${this.roundNumber}: Player who captured the Queen of Spades starts = Player ${leader} (${this.players[leader].name})`);
+        const leader = this.getRoundLeader();
+        const leaderRule = this.roundNumber === 1 ? this.rules.firstLeader : this.rules.laterLeader;
+        if (!this.simulation?.enabled) {
+            console.log(`[DEBUG] Round ${this.roundNumber}: starting leader (${leaderRule}) = Player ${leader} (${this.players[leader].name})`);
         }
 
-        for (let trickNum = 0; trickNum < 13; trickNum++) {
-            leader = await this.playTrick(leader);
+        this.trickLeader = leader;
+        this.saveCheckpoint('play');
+
+        await this.playRemainingTricks(leader);
+    }
+
+    /**
+     * Play out the rest of the round, then end it
+     * @param {number} leader - Index of the player leading the next trick
+     * @param {Array<{player: number, card: Card}>} [partialTrick] - Cards already played in that trick (when resuming)
+     * @returns {Promise<void>}
+     */
+    async playRemainingTricks(leader, partialTrick = []) {
+        let resumed = partialTrick;
+        for (let trickNum = this.cardTracker.tricksPlayed; trickNum < GAME_RULES.TRICKS_PER_ROUND; trickNum++) {
+            leader = await this.playTrick(leader, resumed);
+            resumed = [];
         }
 
-        this.endRound();
+        await this.endRound();
+    }
+
+    /**
+     * Determine who leads the first trick of the current round (call after passing)
+     * Round 1 follows rules.firstLeader, later rounds rules.laterLeader; by default
+     * the dealer leads (random in round 1, the Q♠ taker afterwards).
+     * @returns {number} Index of the leading player
+     */
+    getRoundLeader() {
+        const rule = this.roundNumber === 1 ? this.rules.firstLeader : this.rules.laterLeader;
+        if (rule === FIRST_LEADER.TWO_OF_CLUBS || rule === LATER_LEADER.TWO_OF_CLUBS) {
+            const holder = this.players.findIndex(p => p.hand.some(c => c.suit === 'C' && c.rank === '2'));
+            if (holder >= 0) return holder;
+        }
+        return this.dealerIndex;
+    }
+
+    /**
+     * Get the pass direction for a round
+     * @param {number} [roundNumber] - Round number (1-based), defaults to the current round
+     * @returns {string} One of PASS_DIRECTIONS
+     */
+    getPassDirection(roundNumber = this.roundNumber) {
+        if (this.rules.passCount === 0) {
+            return PASS_DIRECTIONS.NONE;
+        }
+        if (this.rules.passDirection !== PASS_DIRECTION_ROTATE) {
+            return this.rules.passDirection;
+        }
+        const index = (Math.max(1, roundNumber) - 1) % PASS_ROTATION.length;
+        return PASS_ROTATION[index];
+    }
+
+    /**
+     * Get the seat that receives a player's passed cards
+     * @param {number} playerIndex - Passing player
+     * @param {string} [direction] - Pass direction, defaults to this round's
+     * @returns {number} Receiving player index (the passer itself when there is no passing)
+     */
+    getPassTarget(playerIndex, direction = this.getPassDirection()) {
+        return (playerIndex + PASS_OFFSETS[direction]) % 4;
     }
 
     /**
      * Handle the card passing phase at the start of each round
-     * Each player passes 3 cards to the player on their left
+     * Each player passes rules.passCount cards in this round's pass direction (or nobody passes)
+     * @param {string} [direction] - Pass direction, defaults to this round's
      * @returns {Promise<void>}
      */
-    async handlePassingPhase() {
+    async handlePassingPhase(direction = this.getPassDirection()) {
+        if (direction === PASS_DIRECTIONS.NONE) {
+            this.initialHands = this.players.map(p => p.hand.map(card => card.id));
+            this.events.emit(GameEvents.PASS_PHASE_COMPLETE, { direction, passes: [] });
+            return;
+        }
+
         // Emit pass phase start
-        this.events.emit(GameEvents.PASS_PHASE_START);
+        this.events.emit(GameEvents.PASS_PHASE_START, { direction });
 
         // Get passing choices from all players
-        const promises = this.players.map(p => p.choosePassCards(this));
+        const promises = this.players.map(p => p.choosePassCards(this, this.signal));
 
         const choices = await Promise.all(promises);
+        throwIfAborted(this.signal);
 
         // Remove cards passed from hands first
         for (let i = 0; i < 4; i++) {
@@ -343,11 +588,9 @@ export class GameState {
         }
 
         // Add received cards
-        // P0 gets from P1, P3 gets from P0, P2 gets from P3, P1 gets from P2
-        this.players[0].receiveCards(choices[1]);
-        this.players[3].receiveCards(choices[0]);
-        this.players[2].receiveCards(choices[3]);
-        this.players[1].receiveCards(choices[2]);
+        for (let i = 0; i < 4; i++) {
+            this.players[this.getPassTarget(i, direction)].receiveCards(choices[i]);
+        }
 
         // Emit hand updated
         this.events.emit(GameEvents.HAND_UPDATED, {
@@ -357,28 +600,160 @@ export class GameState {
         // Save initial hands for debugging
         this.initialHands = this.players.map(p => p.hand.map(card => card.id));
 
+        // Remember who passed what to whom (bots may read their own pass back)
+        this.passes = choices.map((cards, from) => ({
+            from,
+            to: this.getPassTarget(from, direction),
+            cards: [...cards]
+        }));
+
         // Emit pass phase complete
-        this.events.emit(GameEvents.PASS_PHASE_COMPLETE);
+        this.events.emit(GameEvents.PASS_PHASE_COMPLETE, {
+            direction,
+            passes: this.passes.map(pass => ({ ...pass, cards: [...pass.cards] }))
+        });
+    }
+
+    /**
+     * @param {number} playerIndex
+     * @returns {number|null} Milliseconds the player has for a play, or null if they are not on the clock
+     */
+    getTurnTimeLimit(playerIndex) {
+        return this.turnTimeLimit && this.players[playerIndex] instanceof HumanPlayer ? this.turnTimeLimit : null;
+    }
+
+    /**
+     * Ask a player for their card, on the turn clock if they have one
+     * When the clock runs out the selection is withdrawn, TURN_TIME_EXPIRED is
+     * emitted and the player's auto-play bot picks the card.
+     * @param {number} playerIndex
+     * @returns {Promise<Card>}
+     */
+    async requestCard(playerIndex) {
+        const player = this.players[playerIndex];
+        const timeLimit = this.getTurnTimeLimit(playerIndex);
+        let signal = this.signal;
+
+        // In practice games every human decision is a point undo() can return to
+        if (this.isUndoPoint(playerIndex)) {
+            this.undoSnapshots.push(this.createCheckpoint('play'));
+            this.undoController = new AbortController();
+            signal = AbortSignal.any([this.signal, this.undoController.signal]);
+        }
+
+        if (!timeLimit) {
+            try {
+                return await player.playCard(this, signal);
+            } finally {
+                this.undoController = null;
+            }
+        }
+
+        const clock = new TurnClock(timeLimit, signal);
+        this.turnClock = clock;
+        if (this.paused) clock.pause();
+
+        try {
+            return await player.playCard(this, clock.signal);
+        } catch (error) {
+            if (!clock.expired || this.abandoned) throw error;
+            this.events.emit(GameEvents.TURN_TIME_EXPIRED, {
+                playerIndex,
+                playerName: player.name
+            });
+            return player.autoPlayCard(this);
+        } finally {
+            clock.stop();
+            this.turnClock = null;
+            this.undoController = null;
+        }
+    }
+
+    /**
+     * @param {number} playerIndex
+     * @returns {boolean} Whether the player's next decision can be returned to with undo()
+     */
+    isUndoPoint(playerIndex) {
+        return this.practice && this.players[playerIndex] instanceof HumanPlayer;
+    }
+
+    /**
+     * @returns {boolean} Whether undo() would take a play back right now: a human
+     *   is choosing a card and made an earlier play decision this round
+     */
+    canUndo() {
+        return this.practice && !!this.undoController && this.undoSnapshots.length > 1
+            && !this.undoing && !this.abandoned;
+    }
+
+    /**
+     * Take back the last human play of a practice game, with every bot play that
+     * followed it: the decision on screen is withdrawn, the state of the previous
+     * human decision (hands, trick, scores, card tracking) is restored and play
+     * continues from there. Emits GAME_UNDONE.
+     * @returns {Promise<boolean>} Whether a play was taken back
+     * @throws {Error} If this is not a practice game
+     */
+    async undo() {
+        if (!this.practice) {
+            throw new Error('GameState.undo: plays can only be taken back in practice games');
+        }
+        if (!this.canUndo()) return false;
+
+        this.undoing = true;
+        try {
+            this.undoSnapshots.pop(); // The decision in progress
+            const snapshot = this.undoSnapshots.pop(); // Taken again when that decision is asked for
+            this.undoController.abort(abortError(PLAY_TAKEN_BACK));
+            await this.loop;
+            if (this.abandoned) return false;
+
+            this.restoreCheckpoint(snapshot);
+
+            this.events.emit(GameEvents.GAME_UNDONE, this.getResumeData());
+
+            this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
+
+            this.events.emit(GameEvents.STATUS_MESSAGE, {
+                message: `${this.players[snapshot.currentTurn].name}: play taken back`
+            });
+
+            this.saveCheckpoint('play');
+            this.continuePlay();
+            return true;
+        } finally {
+            this.undoing = false;
+        }
     }
 
     /**
      * Play a single trick (4 cards, one from each player)
      * @param {number} leaderIndex - Index of the player who leads this trick
+     * @param {Array<{player: number, card: Card}>} [partialTrick] - Cards already played (when resuming mid-trick)
      * @returns {Promise<number>} Index of the trick winner (who leads next)
      */
-    async playTrick(leaderIndex) {
-        this.trick = [];
-        let currentPlayerIndex = leaderIndex;
-        let leadSuit = null;
+    async playTrick(leaderIndex, partialTrick = []) {
+        this.trick = [...partialTrick];
+        this.trickLeader = leaderIndex;
+        let currentPlayerIndex = (leaderIndex + this.trick.length) % 4;
+        let leadSuit = this.trick.length > 0 ? this.trick[0].card.suit : null;
 
         // Clear trick pile
-        this.events.emit(GameEvents.TRICK_PILE_CLEAR);
+        if (this.trick.length === 0) {
+            this.events.emit(GameEvents.TRICK_PILE_CLEAR);
+        }
+
+        for (let i = this.trick.length; i < 4; i++) {
+            await this.waitWhilePaused();
+            this.currentTurn = currentPlayerIndex;
 
-        for (let i = 0; i < 4; i++) {
             // Emit turn change
             this.events.emit(GameEvents.TURN_CHANGED, {
                 playerIndex: currentPlayerIndex,
-                playerName: this.players[currentPlayerIndex].name
+                playerName: this.players[currentPlayerIndex].name,
+                isHuman: !(this.players[currentPlayerIndex] instanceof BotPlayer),
+                timeLimit: this.getTurnTimeLimit(currentPlayerIndex),
+                canUndo: this.isUndoPoint(currentPlayerIndex) && this.undoSnapshots.length > 0
             });
 
             this.events.emit(GameEvents.STATUS_MESSAGE, {
@@ -387,8 +762,9 @@ export class GameState {
 
             let card;
             try {
-                card = await this.players[currentPlayerIndex].playCard(this);
+                card = await this.requestCard(currentPlayerIndex);
             } catch (error) {
+                if (isAbortError(error)) throw error;
                 this.events.emit(GameEvents.ERROR_OCCURRED, {
                     type: 'play_card_error',
                     message: error.message || 'Failed to get card from player, using fallback card',
@@ -397,6 +773,8 @@ export class GameState {
                 });
             }
 
+            throwIfAborted(this.signal);
+
             const player = this.players[currentPlayerIndex];
             if (!card || !player.hand.includes(card)) {
                 try {
@@ -436,6 +814,9 @@ export class GameState {
 
             // Next player (Anticlockwise)
             currentPlayerIndex = (currentPlayerIndex + 1) % 4;
+            this.currentTurn = currentPlayerIndex;
+
+            this.saveCheckpoint('play');
         }
 
         // Evaluate Winner
@@ -445,7 +826,7 @@ export class GameState {
 
         // Move cards to winner's pile (logic only, no visual pile needed except for score)
         // Count points
-        const points = this.trick.reduce((acc, t) => acc + t.card.points, 0);
+        const points = this.trick.reduce((acc, t) => acc + this.getCardPoints(t.card), 0);
         this.players[winnerIndex].currentRoundPoints += points;
 
         // Check if Queen of Spades was in this trick
@@ -466,11 +847,10 @@ export class GameState {
         await this.delay(TIMING.TRICK_COLLECTION_DELAY);
 
         // Emit score update
-        this.events.emit(GameEvents.SCORE_UPDATED, {
-            players: this.getPlayersData()
-        });
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
 
         // Mark trick as complete for card tracking
+        this.roundTricks.push({ leader: this.trick[0].player, plays: [...this.trick], winner: winnerIndex, points });
         this.cardTracker.endTrick();
 
         return winnerIndex;
@@ -503,10 +883,25 @@ export class GameState {
         return trick[winnerLocalIndex].player;
     }
 
-    getValidMoves(hand) {
+    /**
+     * Point value of a card under this game's rules
+     * @param {Card} card
+     * @returns {number}
+     */
+    getCardPoints(card) {
+        return cardPoints(card, this.rules);
+    }
+
+    /**
+     * Cards of a hand that may legally be played
+     * @param {Card[]} hand
+     * @param {Array<{player: number, card: Card}>} [trick] - Trick to play to (the current trick if omitted)
+     * @returns {Card[]}
+     */
+    getValidMoves(hand, trick = this.trick) {
         // If not leading, must follow suit
-        // Implement Forced Leekha
-        const leadCard = this.trick.length > 0 ? this.trick[0].card : null;
+        // Implement Forced Leekha (when the house rules enable it)
+        const leadCard = trick.length > 0 ? trick[0].card : null;
         if (!leadCard) return hand; // Can lead anything
 
         const leadSuit = leadCard.suit;
@@ -517,6 +912,8 @@ export class GameState {
         }
 
         // Void in suit
+        if (!this.rules.forcedLeekha) return hand;
+
         // Check Forced Leekha (Queen of Spades or 10 of Diamonds)
         const leekhaCards = hand.filter(card =>
             (card.suit === 'S' && card.rank === 'Q') ||
@@ -537,7 +934,6 @@ export class GameState {
 
         // Add round points to total score
         let limitReached = false;
-        let loser = null;
 
         // Visual delay
         await this.delay(TIMING.ROUND_END_DELAY);
@@ -545,52 +941,76 @@ export class GameState {
         // Clear table (remove last trick)
         this.events.emit(GameEvents.TRICK_PILE_CLEAR);
 
+        const roundPoints = this.players.map(p => p.currentRoundPoints);
+
         for (const player of this.players) {
             player.score += player.currentRoundPoints;
             player.currentRoundPoints = 0; // Reset for next calculation or just keep in history
-
-            if (player.score >= GAME_RULES.SCORE_LIMIT) {
-                limitReached = true;
-            }
         }
 
+        // Individual scoring ends the game when any player reaches the limit, team scoring when a partnership does
+        const contenders = this.isTeamScoring() ? this.getTeamsData() : this.players;
+        limitReached = contenders.some(c => c.score >= this.rules.scoreLimit);
+
         // Emit round end
         this.events.emit(GameEvents.ROUND_END, {
-            players: this.getPlayersData()
+            roundNumber: this.roundNumber,
+            roundPoints,
+            players: this.getPlayersData(),
+            teams: this.getTeamsData()
         });
 
         // Emit score update
-        this.events.emit(GameEvents.SCORE_UPDATED, {
-            players: this.getPlayersData()
-        });
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
 
         if (limitReached) {
+            this.clearCheckpoint();
             this.handleGameOver();
         } else {
-            // Update dealer: player who captured the Queen of Spades becomes the new dealer
-            if (this.queenOfSpadesCapturedBy !== null) {
-                this.dealerIndex = this.queenOfSpadesCapturedBy;
+            // Update dealer: by default the player who captured the Queen of Spades becomes the new dealer,
+            // otherwise the deal moves one seat
+            if (this.rules.laterLeader === LATER_LEADER.QUEEN_OF_SPADES_TAKER) {
+                if (this.queenOfSpadesCapturedBy !== null) {
+                    this.dealerIndex = this.queenOfSpadesCapturedBy;
+                }
+            } else {
+                this.dealerIndex = (this.dealerIndex + 1) % 4;
             }
 
+            this.saveCheckpoint('roundEnd');
+
             // Next Round
-            if (this.simulation?.enabled) {
-                this.startRound();
-            } else {
-                setTimeout(() => this.startRound(), TIMING.ROUND_START_DELAY);
-            }
+            this.runLoop(async () => {
+                await this.delay(TIMING.ROUND_START_DELAY);
+                await this.startRound();
+            });
         }
     }
 
     handleGameOver() {
-        // Determine loser (highest score over 101)
-        const playersOver = this.players.filter(p => p.score >= 101).sort((a, b) => b.score - a.score);
-        const loserPlayer = playersOver[0];
+        // Determine loser (highest score over the limit)
+        const playersOver = this.players.filter(p => p.score >= this.rules.scoreLimit).sort((a, b) => b.score - a.score);
+        let loserPlayer = playersOver[0];
+        let loserTeam = null;
 
         // Teams: 0 & 2 (You & Partner), 1 & 3 (East & West)
-        const myTeam = [this.players[0], this.players[2]];
-        const enemyTeam = [this.players[1], this.players[3]];
+        if (this.isTeamScoring()) {
+            // The partnership with the higher total loses; a tie goes against the team of the highest individual
+            const [team0, team1] = this.getTeamsData();
+            const highest = [...this.players].sort((a, b) => b.score - a.score)[0];
+            if (team0.score !== team1.score) {
+                loserTeam = team0.score > team1.score ? team0 : team1;
+            } else {
+                loserTeam = this.getTeamIndex(this.players.indexOf(highest)) === 0 ? team0 : team1;
+            }
+            loserPlayer = loserTeam.players
+                .map(i => this.players[i])
+                .sort((a, b) => b.score - a.score)[0];
+        }
 
-        const myTeamLost = (loserPlayer === this.players[0] || loserPlayer === this.players[2]);
+        const myTeamLost = loserTeam
+            ? loserTeam.index === 0
+            : (loserPlayer === this.players[0] || loserPlayer === this.players[2]);
 
         if (this.simulation && this.simulation.enabled) {
             const winner = myTeamLost ? this.simulation.team1 : this.simulation.team0;
@@ -598,13 +1018,13 @@ export class GameState {
             this.simulation.wins[winner] = (this.simulation.wins[winner] || 0) + 1;
 
             const summary = `Simulation ${this.simulation.completed}/${this.simulation.target}: ${winner} team wins`;
-            if (this.simulation.completed % 10 === 0) console.log(summary);
+            if (this.simulation.completed % 10 === 0 && !this.simulation.quiet) console.log(summary);
 
             if (this.simulation.completed >= this.simulation.target) {
                 const t0 = this.simulation.team0;
                 const t1 = this.simulation.team1;
                 const finalSummary = `Simulation complete. ${t0}: ${this.simulation.wins[t0]}, ${t1}: ${this.simulation.wins[t1]}`;
-                console.log(finalSummary);
+                if (!this.simulation.quiet) console.log(finalSummary);
                 if (typeof this.simulation.onComplete === 'function') {
                     this.simulation.onComplete();
                 }
@@ -616,20 +1036,221 @@ export class GameState {
             return;
         }
 
+        this.finished = true;
+        this.detachBotHooks();
+
         // Emit game over event
         this.events.emit(GameEvents.GAME_OVER, {
             loserPlayer: {
                 name: loserPlayer.name,
                 score: loserPlayer.score
             },
+            loserTeam: loserTeam && {
+                name: loserTeam.name,
+                score: loserTeam.score
+            },
             myTeamLost: myTeamLost,
-            players: this.getPlayersData()
+            players: this.getPlayersData(),
+            teams: this.getTeamsData()
         });
     }
 
+    /**
+     * Visual delay scaled by the game speed (skipped in simulations); also holds here while paused
+     * @param {number} ms - Milliseconds to wait at normal speed
+     * @returns {Promise<void>}
+     * @throws {Error} AbortError if the game is abandoned meanwhile
+     */
     async delay(ms) {
-        if (this.simulation?.enabled) return;
-        await new Promise(r => setTimeout(r, ms));
+        if (this.simulation?.enabled) {
+            throwIfAborted(this.signal);
+            return;
+        }
+        await sleep(ms * GAME_SPEEDS[this.speed], this.signal);
+        await this.waitWhilePaused();
+    }
+
+    /**
+     * Capture everything needed to continue the game later
+     * @param {'play'|'roundEnd'} phase - 'play' while tricks are being played, 'roundEnd' between rounds
+     * @returns {Object} JSON-serializable checkpoint
+     */
+    createCheckpoint(phase) {
+        return {
+            version: CHECKPOINT_VERSION,
+            savedAt: new Date().toISOString(),
+            phase,
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            rules: this.rules,
+            roundNumber: this.roundNumber,
+            dealerIndex: this.dealerIndex,
+            queenOfSpadesCapturedBy: this.queenOfSpadesCapturedBy,
+            trickLeader: this.trickLeader,
+            currentTurn: this.currentTurn,
+            botAssignments: { ...this.botAssignments },
+            humanSeats: this.players.flatMap((p, i) => (p instanceof HumanPlayer ? [i] : [])),
+            players: this.players.map(p => ({
+                name: p.name,
+                score: p.score,
+                currentRoundPoints: p.currentRoundPoints,
+                hand: p.hand.map(card => card.id)
+            })),
+            initialHands: this.initialHands,
+            passes: this.passes.map(pass => ({ from: pass.from, to: pass.to, cards: pass.cards.map(card => card.id) })),
+            trick: this.trick.map(t => ({ player: t.player, card: t.card.id })),
+            roundTricks: this.roundTricks.map(t => ({
+                leader: t.leader,
+                plays: t.plays.map(play => ({ player: play.player, card: play.card.id })),
+                winner: t.winner,
+                points: t.points
+            })),
+            cardTracker: this.cardTracker.serialize(),
+            practice: this.practice
+        };
+    }
+
+    /**
+     * Hand the current state to the checkpoint store (if any)
+     * @param {'play'|'roundEnd'} phase - See createCheckpoint()
+     */
+    saveCheckpoint(phase) {
+        if (!this.checkpointStore || this.simulation?.enabled || this.abandoned) return;
+        try {
+            this.checkpointStore.save(this.createCheckpoint(phase));
+        } catch (error) {
+            console.warn('Failed to save checkpoint:', error);
+        }
+    }
+
+    /**
+     * Discard the saved checkpoint (game finished)
+     */
+    clearCheckpoint() {
+        if (!this.checkpointStore) return;
+        try {
+            this.checkpointStore.clear();
+        } catch (error) {
+            console.warn('Failed to clear checkpoint:', error);
+        }
+    }
+
+    /**
+     * Restore a checkpoint and continue play from exactly where it was taken
+     * @param {Object} checkpoint - Checkpoint from createCheckpoint()
+     * @throws {Error} If the checkpoint is incompatible with this game
+     */
+    resumeFromCheckpoint(checkpoint) {
+        this.validateCheckpoint(checkpoint);
+
+        // A saved game stays practice (or not) whatever the page asks for now
+        this.practice = !!checkpoint.practice;
+        this.restoreCheckpoint(checkpoint);
+
+        this.events.emit(GameEvents.GAME_RESUMED, this.getResumeData());
+
+        this.events.emit(GameEvents.SCORE_UPDATED, this.getScoreData());
+
+        this.events.emit(GameEvents.STATUS_MESSAGE, {
+            message: `Round ${this.roundNumber}: Game resumed`
+        });
+
+        if (checkpoint.phase === 'roundEnd') {
+            this.trick = [];
+            this.runLoop(() => this.startRound());
+        } else {
+            this.continuePlay();
+        }
+    }
+
+    /**
+     * Check a stored checkpoint before anything is restored from it
+     * A checkpoint outlives the code that wrote it, so a stale or damaged one
+     * must fail here rather than halfway through restoring the game.
+     * @param {Object} checkpoint - Checkpoint from createCheckpoint()
+     * @throws {Error} If the checkpoint cannot be resumed by this game
+     */
+    validateCheckpoint(checkpoint) {
+        if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+            throw new Error('GameState.resumeFromCheckpoint: unsupported checkpoint version');
+        }
+        if (!Array.isArray(checkpoint.players) || checkpoint.players.length !== this.players.length) {
+            throw new Error('GameState.resumeFromCheckpoint: checkpoint does not match the seated players');
+        }
+        const humanSeats = this.players.flatMap((p, i) => (p instanceof HumanPlayer ? [i] : []));
+        if (checkpoint.humanSeats !== undefined && String(checkpoint.humanSeats) !== humanSeats.join()) {
+            throw new Error('GameState.resumeFromCheckpoint: checkpoint does not match the seated players');
+        }
+        if (checkpoint.phase !== 'play' && checkpoint.phase !== 'roundEnd') {
+            throw new Error(`GameState.resumeFromCheckpoint: unknown phase "${checkpoint.phase}"`);
+        }
+        for (const field of ['seed', 'roundNumber', 'dealerIndex', 'trickLeader']) {
+            if (!Number.isInteger(checkpoint[field])) {
+                throw new Error(`GameState.resumeFromCheckpoint: missing ${field}`);
+            }
+        }
+        if (checkpoint.rngState === undefined || !checkpoint.cardTracker || !Array.isArray(checkpoint.trick)) {
+            throw new Error('GameState.resumeFromCheckpoint: checkpoint is incomplete');
+        }
+        if (checkpoint.players.some(p => !Number.isFinite(p?.score) || !Array.isArray(p.hand))) {
+            throw new Error('GameState.resumeFromCheckpoint: checkpoint is missing a hand or score');
+        }
+
+        // Every card still in play must be a real card, and appear only once (Card.fromId throws otherwise)
+        const inPlay = [...checkpoint.players.flatMap(p => p.hand), ...checkpoint.trick.map(t => t.card)];
+        inPlay.forEach(id => Card.fromId(id));
+        if (new Set(inPlay).size !== inPlay.length) {
+            throw new Error('GameState.resumeFromCheckpoint: a card appears twice');
+        }
+        for (const pass of checkpoint.passes || []) pass.cards.forEach(id => Card.fromId(id));
+        for (const t of checkpoint.roundTricks || []) t.plays.forEach(play => Card.fromId(play.card));
+    }
+
+    /**
+     * Put the game back in the state a checkpoint captured (no events, loop untouched)
+     * @param {Object} checkpoint - Checkpoint from createCheckpoint()
+     */
+    restoreCheckpoint(checkpoint) {
+        this.seed = checkpoint.seed;
+        this.rng = createRng(checkpoint.seed);
+        this.rng.setState(checkpoint.rngState);
+        this.rules = createRules(checkpoint.rules);
+        this.cardTracker.rules = this.rules;
+        this.roundNumber = checkpoint.roundNumber;
+        this.dealerIndex = checkpoint.dealerIndex;
+        this.queenOfSpadesCapturedBy = checkpoint.queenOfSpadesCapturedBy;
+        this.trickLeader = checkpoint.trickLeader;
+        this.currentTurn = checkpoint.currentTurn;
+        this.initialHands = checkpoint.initialHands || [];
+        this.passes = (checkpoint.passes || []).map(pass => ({
+            from: pass.from,
+            to: pass.to,
+            cards: pass.cards.map(id => Card.fromId(id))
+        }));
+
+        checkpoint.players.forEach((saved, i) => {
+            const player = this.players[i];
+            player.score = saved.score;
+            player.currentRoundPoints = saved.currentRoundPoints;
+            player.hand = saved.hand.map(id => Card.fromId(id));
+            player.sortHand();
+        });
+
+        this.cardTracker.restore(checkpoint.cardTracker);
+        this.trick = checkpoint.trick.map(t => ({ player: t.player, card: Card.fromId(t.card) }));
+        // Checkpoints saved before trick history was kept start it from here
+        this.roundTricks = (checkpoint.roundTricks || []).map(t => ({
+            ...t,
+            plays: t.plays.map(play => ({ player: play.player, card: Card.fromId(play.card) }))
+        }));
+    }
+
+    /**
+     * Start the loop again from the restored trick in progress
+     */
+    continuePlay() {
+        const leader = this.trick.length > 0 ? this.trick[0].player : this.trickLeader;
+        this.runLoop(() => this.playRemainingTricks(leader, this.trick));
     }
 
     getCurrentState() {
@@ -639,6 +1260,7 @@ export class GameState {
         }
 
         return {
+            seed: this.seed,
             roundNumber: this.roundNumber,
             scores: this.scores,
             currentTurn: this.currentTurn,
@@ -665,6 +1287,72 @@ export class GameState {
         return this.players.map(p => [...p.hand]);
     }
 
+    /**
+     * Everything a view needs to redraw the table mid-game (the GAME_RESUMED and GAME_UNDONE payload)
+     * @returns {Object} { seed, rules, practice, roundNumber, tricksPlayed, players, hands, trick, cardTracker }
+     */
+    getResumeData() {
+        return {
+            seed: this.seed,
+            rules: this.rules,
+            practice: this.practice,
+            roundNumber: this.roundNumber,
+            tricksPlayed: this.cardTracker.tricksPlayed,
+            players: this.getPlayersData(),
+            hands: this.getHandsData(),
+            trick: [...this.trick],
+            cardTracker: this.cardTracker.serialize()
+        };
+    }
+
+    /**
+     * Whether round points are pooled per partnership (rules.scoringMode)
+     * @returns {boolean}
+     */
+    isTeamScoring() {
+        return this.rules.scoringMode === SCORING_MODES.TEAM;
+    }
+
+    /**
+     * Partnership a seat belongs to: seats 0 & 2 are team 0, seats 1 & 3 team 1
+     * @param {number} playerIndex - Seat (0-3)
+     * @returns {number} Team index (0 or 1)
+     */
+    getTeamIndex(playerIndex) {
+        return playerIndex % 2;
+    }
+
+    /**
+     * Helper method to get partnership totals for events
+     * @returns {Array|null} Two team data objects, or null under individual scoring
+     */
+    getTeamsData() {
+        if (!this.isTeamScoring()) return null;
+
+        return [0, 1].map(index => {
+            const seats = [index, index + 2];
+            const members = seats.map(i => this.players[i]);
+            return {
+                index,
+                name: members.map(p => p.name).join(' & '),
+                players: seats,
+                score: members.reduce((sum, p) => sum + p.score, 0),
+                currentRoundPoints: members.reduce((sum, p) => sum + p.currentRoundPoints, 0)
+            };
+        });
+    }
+
+    /**
+     * Helper method to build the SCORE_UPDATED payload
+     * @returns {{players: Array, teams: Array|null}}
+     */
+    getScoreData() {
+        return {
+            players: this.getPlayersData(),
+            teams: this.getTeamsData()
+        };
+    }
+
     /**
      * Helper method to get players data for events
      * @returns {Array} Array of player data objects
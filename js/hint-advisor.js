@@ -0,0 +1,110 @@
+"use strict";
+/**
+ * Hints for human players
+ * While a human is choosing a pass or a play, a hint asks one of the shipped
+ * bots what it would do in their seat — with the same context the bots at the
+ * table get (see createBotAdapter()) — and emits its pick as HINT_READY.
+ */
+import { GameEvents } from './events.js';
+import { createBotAdapter } from './bot-adapter.js';
+import { createBot, isBotType } from './bot-registry.js';
+import { DEFAULT_BOT_TYPE } from './constants.js';
+
+export class HintAdvisor {
+    /**
+     * @param {GameEventEmitter} eventEmitter - Emitter the UI listens to (HINT_REQUESTED in, HINT_READY out)
+     * @param {() => GameState|null} getGame - Current game (the lifecycle's game)
+     * @param {Object} [options]
+     * @param {string} [options.botType] - Bot giving the hints
+     */
+    constructor(eventEmitter, getGame, { botType = DEFAULT_BOT_TYPE } = {}) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {() => GameState|null} */
+        this.getGame = getGame;
+        /** @type {string} */
+        this.botType = DEFAULT_BOT_TYPE;
+        /** @type {Object|null} Bot instance for botType, created on first use (see getBot()) */
+        this.bot = null;
+        /** @type {{hand: Card[], mode: 'pass'|'play'}|null} Selection waiting for the human */
+        this.selection = null;
+
+        this.setBotType(botType);
+
+        this.events.on(GameEvents.ENABLE_CARD_SELECTION, ({ hand, mode }) => {
+            this.selection = { hand, mode };
+        });
+        this.events.on(GameEvents.DISABLE_CARD_SELECTION, () => {
+            this.selection = null;
+        });
+        this.events.on(GameEvents.HINT_REQUESTED, () => this.giveHint());
+    }
+
+    /**
+     * Take hints from another bot
+     * @param {string} botType - A registered bot type
+     * @throws {Error} If the bot type is unknown
+     */
+    setBotType(botType) {
+        if (!isBotType(botType)) {
+            throw new Error(`HintAdvisor.setBotType: unknown bot type "${botType}"`);
+        }
+        if (botType !== this.botType) {
+            this.bot = null;
+        }
+        this.botType = botType;
+    }
+
+    /**
+     * The bot giving hints, loaded on first use
+     * @returns {Promise<Object>}
+     */
+    async getBot() {
+        const botType = this.botType;
+        const bot = this.bot ?? await createBot(botType);
+        if (this.botType === botType) {
+            this.bot = bot;
+        }
+        return bot;
+    }
+
+    /**
+     * Ask the bot about the selection on screen and emit HINT_READY
+     * Does nothing if no selection is waiting.
+     * @returns {Promise<void>}
+     */
+    async giveHint() {
+        const game = this.getGame();
+        const selection = this.selection;
+        if (!game || !selection || selection.hand.length === 0) return;
+
+        // The hand on screen belongs to the seat choosing (several humans may share the screen)
+        const playerIndex = game.players.findIndex(player => player.hand.includes(selection.hand[0]));
+        if (playerIndex < 0) return;
+
+        try {
+            const botType = this.botType;
+            const bot = await this.getBot();
+            // The human may have chosen (or the game moved on) while the bot was loading
+            if (this.selection !== selection || this.getGame() !== game) return;
+
+            const adapter = createBotAdapter(bot, playerIndex, game);
+            const hand = game.players[playerIndex].hand;
+            const cards = selection.mode === 'pass'
+                ? adapter.choosePassCards(hand)
+                : [adapter.playCard(hand)];
+            this.events.emit(GameEvents.HINT_READY, {
+                playerIndex,
+                mode: selection.mode,
+                cards,
+                botType
+            });
+        } catch (error) {
+            this.events.emit(GameEvents.ERROR_OCCURRED, {
+                type: 'hint',
+                message: `No hint available: ${error.message}`,
+                error
+            });
+        }
+    }
+}
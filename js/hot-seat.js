@@ -0,0 +1,122 @@
+"use strict";
+/**
+ * Pass-and-play (hot-seat) support
+ * Several human seats share one screen and one DOMInputController. Each
+ * human decision is queued; before a different human decides, the table is
+ * hidden behind a "hand the device over" screen and then turned to that
+ * player's point of view.
+ */
+import { GameEvents } from './events.js';
+import { InputController } from './input-controller.js';
+import { abortable, throwIfAborted } from './abort.js';
+
+/** Settings-screen value that makes a seat a pass-and-play human instead of a bot */
+export const HUMAN_SEAT = 'human';
+
+/**
+ * Shares one input controller between several human seats
+ */
+export class HotSeatSession {
+  /**
+   * @param {GameEventEmitter} eventEmitter - Event emitter the renderer listens to
+   * @param {InputController} inputController - The screen's real input controller
+   */
+  constructor(eventEmitter, inputController) {
+    this.events = eventEmitter;
+    this.input = inputController;
+    /** @type {number|null} Seat whose cards are currently shown (null before the first handoff) */
+    this.activeSeat = null;
+    /** @type {Promise<void>} Tail of the queue of pending human decisions */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get the input controller a HumanPlayer at this seat should use
+   * @param {number} seat - Seat index (0-3)
+   * @param {string} name - Player name shown on the handoff screen
+   * @returns {InputController}
+   */
+  inputFor(seat, name) {
+    return new SeatInputController(this, seat, name);
+  }
+
+  /**
+   * Run one human decision once every earlier one has finished, handing the device over first if needed
+   * @template T
+   * @param {number} seat - Deciding seat
+   * @param {string} name - Deciding player's name
+   * @param {AbortSignal} [signal] - Abandons the wait (and the decision)
+   * @param {() => Promise<T>} decide - Asks the real input controller
+   * @returns {Promise<T>}
+   */
+  async request(seat, name, signal, decide) {
+    const previous = this.queue;
+    let release;
+    this.queue = new Promise(resolve => { release = resolve; });
+
+    try {
+      await abortable(previous, signal);
+      await this.handOver(seat, name, signal);
+      return await decide();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Hide the table until the next player confirms they have the device, then show their view
+   * @param {number} seat - Seat taking over
+   * @param {string} name - Player name
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  async handOver(seat, name, signal) {
+    if (this.activeSeat === seat) return;
+
+    let onReady;
+    const ready = new Promise(resolve => {
+      onReady = (data) => {
+        if (data?.playerIndex === seat) resolve();
+      };
+      this.events.on(GameEvents.HOT_SEAT_READY, onReady);
+    });
+
+    this.events.emit(GameEvents.HOT_SEAT_HANDOFF, { playerIndex: seat, playerName: name });
+    try {
+      await abortable(ready, signal);
+    } finally {
+      this.events.off(GameEvents.HOT_SEAT_READY, onReady);
+    }
+    throwIfAborted(signal);
+
+    this.activeSeat = seat;
+    this.events.emit(GameEvents.VIEW_SEAT_CHANGED, { playerIndex: seat });
+  }
+}
+
+/**
+ * Input controller for one seat of a hot-seat session
+ */
+class SeatInputController extends InputController {
+  /**
+   * @param {HotSeatSession} session
+   * @param {number} seat - Seat index (0-3)
+   * @param {string} name - Player name
+   */
+  constructor(session, seat, name) {
+    super();
+    this.session = session;
+    this.seat = seat;
+    this.name = name;
+  }
+
+  async getCardSelection(hand, validMoves, options = {}) {
+    return this.session.request(this.seat, this.name, options.signal,
+      () => this.session.input.getCardSelection(hand, validMoves, options));
+  }
+
+  async getPassSelection(hand, count = 3, options = {}) {
+    return this.session.request(this.seat, this.name, options.signal,
+      () => this.session.input.getPassSelection(hand, count, options));
+  }
+}
@@ -1,6 +1,7 @@
 "use strict";
 import { GameEvents } from './events.js';
 import { TIMING } from './constants.js';
+import { abortError } from './abort.js';
 
 /**
  * Abstract base class for handling user input
@@ -10,18 +11,23 @@ export class InputController {
    * Get a card selection from the user
    * @param {Card[]} hand - Player's hand
    * @param {Card[]} validMoves - Valid cards to play
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the selection (rejects with an AbortError)
    * @returns {Promise<Card>} Selected card
    */
-  async getCardSelection(hand, validMoves) {
+  async getCardSelection(hand, validMoves, options = {}) {
     throw new Error('getCardSelection must be implemented by subclass');
   }
 
   /**
    * Get pass selection from the user
    * @param {Card[]} hand - Player's hand
-   * @returns {Promise<Card[]>} Array of 3 selected cards
+   * @param {number} [count=3] - Number of cards to pass
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the selection (rejects with an AbortError)
+   * @returns {Promise<Card[]>} Array of selected cards
    */
-  async getPassSelection(hand) {
+  async getPassSelection(hand, count = 3, options = {}) {
     throw new Error('getPassSelection must be implemented by subclass');
   }
 }
@@ -50,21 +56,49 @@ export class DOMInputController extends InputController {
     this.pendingPassResolve = null;
     this.pendingPassReject = null;
     this.validMoves = null;
+    this.passCount = 3;
     this.timeout = null;
+    this.releaseSignal = null;
+  }
+
+  /**
+   * Abort the pending selection when the signal fires
+   * @param {AbortSignal} [signal]
+   */
+  watchSignal(signal) {
+    if (!signal) return;
+    const onAbort = () => this.abortSelection(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    this.releaseSignal = () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * Stop watching the pending selection's signal
+   */
+  unwatchSignal() {
+    if (this.releaseSignal) {
+      this.releaseSignal();
+      this.releaseSignal = null;
+    }
   }
 
   /**
    * Get a card selection from DOM click events
    * @param {Card[]} hand - Player's hand
    * @param {Card[]} validMoves - Valid cards to play
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the selection (rejects with an AbortError)
    * @returns {Promise<Card>} Selected card
    * @throws {Error} If a selection is already in progress
    */
-  async getCardSelection(hand, validMoves) {
+  async getCardSelection(hand, validMoves, { signal } = {}) {
     // State machine guard: prevent concurrent selections
     if (this.state !== SelectionState.IDLE) {
       throw new Error(`Cannot start card selection: already in state '${this.state}'`);
     }
+    if (signal?.aborted) {
+      throw abortError(signal.reason);
+    }
 
     return new Promise((resolve, reject) => {
       // Transition to play pending state
@@ -72,6 +106,7 @@ export class DOMInputController extends InputController {
       this.pendingPlayResolve = resolve;
       this.pendingPlayReject = reject;
       this.validMoves = validMoves;
+      this.watchSignal(signal);
 
       // Emit event to enable card selection in UI
       this.events.emit(GameEvents.ENABLE_CARD_SELECTION, {
@@ -90,27 +125,35 @@ export class DOMInputController extends InputController {
   /**
    * Get pass selection from DOM click events
    * @param {Card[]} hand - Player's hand
-   * @returns {Promise<Card[]>} Array of 3 selected cards
+   * @param {number} [count=3] - Number of cards to pass
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the selection (rejects with an AbortError)
+   * @returns {Promise<Card[]>} Array of selected cards
    * @throws {Error} If a selection is already in progress
    */
-  async getPassSelection(hand) {
+  async getPassSelection(hand, count = 3, { signal } = {}) {
     // State machine guard: prevent concurrent selections
     if (this.state !== SelectionState.IDLE) {
       throw new Error(`Cannot start pass selection: already in state '${this.state}'`);
     }
+    if (signal?.aborted) {
+      throw abortError(signal.reason);
+    }
 
     return new Promise((resolve, reject) => {
       // Transition to pass pending state
       this.state = SelectionState.PASS_PENDING;
       this.pendingPassResolve = resolve;
       this.pendingPassReject = reject;
+      this.passCount = count;
+      this.watchSignal(signal);
 
       // Emit event to enable pass selection in UI
       this.events.emit(GameEvents.ENABLE_CARD_SELECTION, {
         hand,
         validMoves: hand, // All cards are valid for passing
         mode: 'pass',
-        count: 3
+        count
       });
 
       // Set timeout (60 seconds)
@@ -137,6 +180,7 @@ export class DOMInputController extends InputController {
 
     if (isValid) {
       clearTimeout(this.timeout);
+      this.unwatchSignal();
       const resolve = this.pendingPlayResolve;
 
       // Reset state to IDLE before resolving
@@ -160,7 +204,7 @@ export class DOMInputController extends InputController {
 
   /**
    * Handle pass confirmation with selected cards
-   * @param {Card[]} selectedCards - Array of selected cards (should be 3)
+   * @param {Card[]} selectedCards - Array of selected cards (should match the pass count)
    */
   handlePassConfirm(selectedCards) {
     // State machine guard: only handle confirmation in pass pending state
@@ -168,14 +212,15 @@ export class DOMInputController extends InputController {
       return;
     }
 
-    if (selectedCards.length !== 3) {
+    if (selectedCards.length !== this.passCount) {
       this.events.emit(GameEvents.INVALID_MOVE, {
-        reason: `Must select exactly 3 cards (selected ${selectedCards.length})`
+        reason: `Must select exactly ${this.passCount} cards (selected ${selectedCards.length})`
       });
       return;
     }
 
     clearTimeout(this.timeout);
+    this.unwatchSignal();
     const resolve = this.pendingPassResolve;
 
     // Reset state to IDLE before resolving
@@ -197,6 +242,7 @@ export class DOMInputController extends InputController {
   cancelSelection(reason) {
     if (this.state === SelectionState.PLAY_PENDING && this.pendingPlayReject) {
       clearTimeout(this.timeout);
+      this.unwatchSignal();
       const reject = this.pendingPlayReject;
 
       // Reset state to IDLE
@@ -222,6 +268,7 @@ export class DOMInputController extends InputController {
   cancelPassSelection(reason) {
     if (this.state === SelectionState.PASS_PENDING && this.pendingPassReject) {
       clearTimeout(this.timeout);
+      this.unwatchSignal();
       const reject = this.pendingPassReject;
 
       // Reset state to IDLE
@@ -239,6 +286,30 @@ export class DOMInputController extends InputController {
     }
   }
 
+  /**
+   * Abort whatever selection is pending without reporting an error (game abandoned)
+   * @param {*} reason - Abort reason (the pending promise rejects with an AbortError)
+   */
+  abortSelection(reason) {
+    if (this.state === SelectionState.IDLE) return;
+
+    clearTimeout(this.timeout);
+    this.unwatchSignal();
+    const reject = this.pendingPlayReject || this.pendingPassReject;
+
+    // Reset state to IDLE
+    this.state = SelectionState.IDLE;
+    this.pendingPlayResolve = null;
+    this.pendingPlayReject = null;
+    this.pendingPassResolve = null;
+    this.pendingPassReject = null;
+    this.validMoves = null;
+    this.timeout = null;
+
+    this.events.emit(GameEvents.DISABLE_CARD_SELECTION);
+    if (reject) reject(abortError(reason));
+  }
+
   /**
    * Check if there's a pending selection
    * @returns {boolean}
@@ -264,7 +335,7 @@ export class HeadlessInputController extends InputController {
     throw new Error('HeadlessInputController should not be used for human players');
   }
 
-  async getPassSelection(hand) {
+  async getPassSelection(hand, count) {
     throw new Error('HeadlessInputController should not be used for human players');
   }
 }
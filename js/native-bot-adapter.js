@@ -0,0 +1,98 @@
+"use strict";
+/**
+ * Adapter for bots that read the engine's decision context directly
+ * A native bot declares the context version it was written against and
+ * answers with cards from ctx.hand:
+ *
+ *   class MyBot {
+ *       contextVersion = 1;
+ *       pass(ctx) { return ctx.hand.slice(-ctx.passCount); }  // Card[]
+ *       play(ctx) { return ctx.legalMoves[0]; }                // Card
+ *   }
+ *
+ * Cards are matched back to the hand by suit and rank; anything that is not
+ * a legal answer is replaced by a legal one, as BotAdapter does.
+ */
+import { buildDecisionContext, DECISION_CONTEXT_VERSION } from './decision-context.js';
+
+export class NativeBotAdapter {
+    /**
+     * @param {Object} bot - Bot with contextVersion, pass(ctx) and play(ctx)
+     * @param {number} playerIndex - Seat the bot decides for
+     * @param {GameState} gameState
+     * @throws {Error} If the bot needs a newer context than the engine builds
+     */
+    constructor(bot, playerIndex, gameState) {
+        if (!Number.isInteger(bot.contextVersion) || bot.contextVersion < 1) {
+            throw new Error('NativeBotAdapter: bot does not declare a contextVersion');
+        }
+        if (bot.contextVersion > DECISION_CONTEXT_VERSION) {
+            throw new Error(`NativeBotAdapter: bot needs decision context v${bot.contextVersion}, the engine provides v${DECISION_CONTEXT_VERSION}`);
+        }
+        this.bot = bot;
+        this.playerIndex = playerIndex;
+        this.gameState = gameState;
+    }
+
+    /**
+     * Find the hand's card matching a card the bot returned
+     * @param {{suit: string, rank: string}} choice
+     * @param {Card[]} cards - Cards the answer must come from
+     * @returns {Card|null}
+     */
+    findCard(choice, cards) {
+        if (!choice || typeof choice.suit !== 'string' || typeof choice.rank !== 'string') return null;
+        return cards.find(card => card.suit === choice.suit && card.rank === choice.rank) ?? null;
+    }
+
+    /**
+     * Choose the cards to pass (rules.passCount)
+     * @param {Card[]} hand
+     * @returns {Card[]}
+     */
+    choosePassCards(hand) {
+        const ctx = buildDecisionContext(this.gameState, this.playerIndex, 'pass');
+        const passCount = this.gameState.rules.passCount;
+        const fallback = () => [...hand].sort((a, b) => b.value - a.value).slice(0, passCount);
+
+        let choice;
+        try {
+            choice = this.bot.pass(ctx);
+        } catch (error) {
+            console.error('Error calling bot pass:', error);
+            return fallback();
+        }
+
+        const cards = Array.isArray(choice) ? choice.map(c => this.findCard(c, hand)) : [];
+        if (cards.length !== passCount || cards.includes(null) || new Set(cards).size !== passCount) {
+            console.error('Bot returned invalid pass cards:', choice);
+            return fallback();
+        }
+        return cards;
+    }
+
+    /**
+     * Choose a card to play
+     * @param {Card[]} hand
+     * @returns {Card}
+     */
+    playCard(hand) {
+        const legalMoves = this.gameState.getValidMoves(hand);
+        const ctx = buildDecisionContext(this.gameState, this.playerIndex, 'play');
+
+        let choice;
+        try {
+            choice = this.bot.play(ctx);
+        } catch (error) {
+            console.error('Error calling bot play:', error);
+            return legalMoves[0];
+        }
+
+        const card = this.findCard(choice, legalMoves);
+        if (!card) {
+            console.error('Bot returned an illegal or unknown card:', choice);
+            return legalMoves[0];
+        }
+        return card;
+    }
+}
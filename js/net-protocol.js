@@ -0,0 +1,102 @@
+"use strict";
+/**
+ * Wire protocol between the game server (server/) and browser clients
+ * Every message is one JSON object with a `type` field. Cards travel as
+ * { $card: id } so both ends can rebuild real Card instances.
+ */
+import { Card } from './card.js';
+
+/** Bump when messages change incompatibly; the server rejects other versions */
+export const PROTOCOL_VERSION = 1;
+
+/** Port the local server listens on unless told otherwise */
+export const DEFAULT_SERVER_PORT = 8787;
+
+/**
+ * Message types
+ * @enum {string}
+ */
+export const MESSAGE_TYPES = {
+    // Client -> server
+    JOIN: 'join',                          // { version, roomId, name }
+    CLAIM_SEAT: 'claim_seat',              // { seat } (null stands up)
+    START_GAME: 'start_game',              // { preset?, botAssignments? }
+    DECISION: 'decision',                  // { requestId, cards: string[] }
+
+    // Server -> client
+    ROOM_STATE: 'room_state',              // { roomId, clientId, yourSeat, phase, seats, presets }
+    GAME_EVENT: 'game_event',              // { event, data }
+    DECISION_REQUEST: 'decision_request',  // { requestId, kind: 'pass'|'play', hand, validMoves, count }
+    ERROR: 'error'                         // { message }
+};
+
+/**
+ * Room phases
+ * @enum {string}
+ */
+export const ROOM_PHASES = {
+    LOBBY: 'lobby',        // Seats can be claimed; the game has not started
+    PLAYING: 'playing',    // A game is running on the server
+    FINISHED: 'finished'   // Game over; any seated player may start another
+};
+
+/**
+ * Turn a payload into JSON-safe data (Cards become { $card: id }, Errors their message)
+ * @param {*} value - Event payload or part of one
+ * @returns {*} Plain data
+ */
+export function encodePayload(value) {
+    if (value instanceof Card) return { $card: value.id };
+    if (value instanceof Error) return { message: value.message };
+    if (Array.isArray(value)) return value.map(encodePayload);
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (typeof item !== 'function') result[key] = encodePayload(item);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Rebuild a payload produced by encodePayload()
+ * @param {*} value - Decoded JSON
+ * @returns {*} Payload with Card instances restored
+ */
+export function decodePayload(value) {
+    if (Array.isArray(value)) return value.map(decodePayload);
+    if (value && typeof value === 'object') {
+        if (typeof value.$card === 'string') return Card.fromId(value.$card);
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = decodePayload(item);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Serialize a message for the socket
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {Object} [payload] - Message fields
+ * @returns {string} JSON text
+ */
+export function encodeMessage(type, payload = {}) {
+    return JSON.stringify({ ...encodePayload(payload), type });
+}
+
+/**
+ * Parse a message from the socket
+ * @param {string} text - JSON text
+ * @returns {Object} Message with Cards restored
+ * @throws {Error} If the text is not a protocol message
+ */
+export function decodeMessage(text) {
+    const message = JSON.parse(text);
+    if (!message || typeof message.type !== 'string') {
+        throw new Error('decodeMessage: message has no type');
+    }
+    return decodePayload(message);
+}
@@ -0,0 +1,218 @@
+"use strict";
+/**
+ * Client side of networked play
+ * Connects to the game server, replays the server's game events into the
+ * local event emitter (so DOMRenderer draws them as if the game were local)
+ * and answers the server's decision requests through the input controller.
+ * A dropped connection is retried with the same client id, so the server hands
+ * the seat back.
+ */
+import { GameEvents } from './events.js';
+import { isAbortError } from './abort.js';
+import { TIMING } from './constants.js';
+import { PROTOCOL_VERSION, MESSAGE_TYPES, encodeMessage, decodeMessage } from './net-protocol.js';
+
+export class NetworkClient {
+  /**
+   * @param {GameEventEmitter} eventEmitter - Local emitter the renderer listens to
+   * @param {InputController} inputController - Asks the local player for passes and plays
+   * @param {Object} options
+   * @param {string} options.url - Server URL (e.g. ws://localhost:8787)
+   * @param {typeof WebSocket} [options.WebSocketImpl] - WebSocket class (the browser's by default)
+   * @param {string|null} [options.clientId] - Id from an earlier session, to reclaim a seat after a reload
+   * @param {number} [options.retryMs] - Delay between reconnect attempts
+   */
+  constructor(eventEmitter, inputController, {
+    url,
+    WebSocketImpl = globalThis.WebSocket,
+    clientId = null,
+    retryMs = TIMING.RECONNECT_RETRY
+  }) {
+    this.events = eventEmitter;
+    this.input = inputController;
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.retryMs = retryMs;
+    /** @type {string|null} Server-assigned id; sent again when reconnecting */
+    this.clientId = clientId;
+    /** @type {{roomId: string, name: string}|null} Room to (re)join */
+    this.membership = null;
+    /** @type {boolean} Set by close(): stop reconnecting */
+    this.closed = false;
+    /** @type {*} Pending reconnect attempt */
+    this.retryTimer = null;
+    /** @type {WebSocket|null} */
+    this.socket = null;
+    /** @type {Object|null} Last ROOM_STATE received */
+    this.room = null;
+    /** @type {AbortController|null} Cancels the local selection when the server moves on */
+    this.decisionController = null;
+  }
+
+  /**
+   * Open the connection and join a room
+   * @param {string} roomId - Room to join (created if it does not exist)
+   * @param {string} name - Display name
+   * @returns {Promise<void>} Resolves once the socket is open
+   */
+  connect(roomId, name) {
+    this.membership = { roomId, name };
+    this.closed = false;
+    return this.open();
+  }
+
+  /**
+   * Open a socket and (re)join the room
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocketImpl(this.url);
+      this.socket = socket;
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        this.send(MESSAGE_TYPES.JOIN, {
+          version: PROTOCOL_VERSION,
+          ...this.membership,
+          clientId: this.clientId
+        });
+        resolve();
+      };
+      socket.onerror = () => {
+        reject(new Error(`Could not connect to ${this.url}`));
+      };
+      socket.onmessage = (event) => this.handleMessage(event.data);
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        this.cancelDecision('Disconnected');
+        if (this.closed) return;
+
+        if (opened) {
+          this.events.emit(GameEvents.ERROR_OCCURRED, {
+            type: 'network',
+            message: 'Connection to the game server lost, reconnecting...'
+          });
+        }
+        this.retryTimer = setTimeout(() => {
+          this.retryTimer = null;
+          this.open().catch(() => {});
+        }, this.retryMs);
+      };
+    });
+  }
+
+  /**
+   * Close the connection for good (no reconnecting)
+   */
+  close() {
+    const socket = this.socket;
+    this.closed = true;
+    this.socket = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.cancelDecision('Disconnected');
+    socket?.close();
+  }
+
+  /**
+   * Sit down at a seat (null to stand up)
+   * @param {number|null} seat
+   */
+  claimSeat(seat) {
+    this.send(MESSAGE_TYPES.CLAIM_SEAT, { seat });
+  }
+
+  /**
+   * Ask the server to start a game (empty seats get bots)
+   * @param {Object} [options]
+   * @param {string} [options.preset] - Rules preset name
+   * @param {Object<number, string>} [options.botAssignments] - Bot types for empty seats
+   */
+  startGame(options = {}) {
+    this.send(MESSAGE_TYPES.START_GAME, options);
+  }
+
+  /**
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {Object} [payload]
+   */
+  send(type, payload = {}) {
+    if (this.socket?.readyState === 1) {
+      this.socket.send(encodeMessage(type, payload));
+    }
+  }
+
+  /**
+   * Dispatch one message from the server
+   * @param {string} text - Raw message
+   */
+  handleMessage(text) {
+    let message;
+    try {
+      message = decodeMessage(text);
+    } catch (error) {
+      console.error('Ignoring malformed server message:', error);
+      return;
+    }
+
+    switch (message.type) {
+      case MESSAGE_TYPES.ROOM_STATE:
+        this.room = message;
+        this.clientId = message.clientId;
+        this.events.emit(GameEvents.ROOM_UPDATED, message);
+        break;
+      case MESSAGE_TYPES.GAME_EVENT:
+        this.events.emit(message.event, message.data);
+        break;
+      case MESSAGE_TYPES.DECISION_REQUEST:
+        this.handleDecisionRequest(message);
+        break;
+      case MESSAGE_TYPES.ERROR:
+        this.events.emit(GameEvents.ERROR_OCCURRED, { type: 'server', message: message.message });
+        break;
+      default:
+        console.warn(`Unknown server message type "${message.type}"`);
+    }
+  }
+
+  /**
+   * Ask the local player for a pass or a play and send the answer back
+   * @param {Object} request - DECISION_REQUEST message
+   */
+  async handleDecisionRequest({ requestId, kind, hand, validMoves, count }) {
+    // A new request supersedes one still on screen (e.g. re-sent after a reconnect)
+    this.cancelDecision('Superseded by a new request');
+    const controller = new AbortController();
+    this.decisionController = controller;
+
+    try {
+      const cards = kind === 'pass'
+        ? await this.input.getPassSelection(hand, count, { signal: controller.signal })
+        : [await this.input.getCardSelection(hand, validMoves, { signal: controller.signal })];
+      this.send(MESSAGE_TYPES.DECISION, { requestId, cards: cards.map(card => card.id) });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      this.events.emit(GameEvents.ERROR_OCCURRED, {
+        type: 'input_error',
+        message: error.message || 'Selection failed',
+        error
+      });
+    } finally {
+      if (this.decisionController === controller) {
+        this.decisionController = null;
+      }
+    }
+  }
+
+  /**
+   * Withdraw the selection currently on screen, if any
+   * @param {string} reason
+   */
+  cancelDecision(reason) {
+    this.decisionController?.abort(reason);
+    this.decisionController = null;
+  }
+}
@@ -0,0 +1,126 @@
+"use strict";
+/**
+ * Play annotations for spectators
+ * Follows an omniscient event stream and describes every play in words —
+ * leads, follows, discards when void, point cards dumped, who is winning the
+ * trick — so bot behaviour can be vetted while watching a game.
+ */
+import { GameEvents } from './events.js';
+import { SUIT_SYMBOLS } from './constants.js';
+import { cardPoints, pointsLabel, DEFAULT_RULES } from './rules.js';
+
+export class PlayAnnotator {
+    /**
+     * Start annotating; annotations are emitted as PLAY_ANNOTATED on the same emitter
+     * @param {GameEventEmitter} eventEmitter - Omniscient (or spectator) event stream
+     */
+    constructor(eventEmitter) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {Object} Rules of the game being watched */
+        this.rules = DEFAULT_RULES;
+        /** @type {string[]} Player names by seat */
+        this.names = [];
+        /** @type {number} */
+        this.roundNumber = 0;
+        /** @type {number} Trick number within the round (1-13) */
+        this.trickNumber = 0;
+        /** @type {Array<{player: number, card: Card}>} Plays of the trick in progress */
+        this.trick = [];
+        /** @type {Array<[string, Function]>} Subscribed handlers, kept for detach() */
+        this.handlers = [
+            [GameEvents.GAME_STARTED, (data) => this.handleGameStarted(data)],
+            [GameEvents.ROUND_START, (data) => this.handleRoundStart(data)],
+            [GameEvents.CARD_PLAYED, (data) => this.handleCardPlayed(data)],
+            [GameEvents.TRICK_COMPLETE, (data) => this.handleTrickComplete(data)]
+        ];
+
+        for (const [event, handler] of this.handlers) {
+            this.events.on(event, handler);
+        }
+    }
+
+    /**
+     * Stop annotating
+     */
+    detach() {
+        for (const [event, handler] of this.handlers) {
+            this.events.off(event, handler);
+        }
+        this.handlers = [];
+    }
+
+    handleGameStarted(data) {
+        this.rules = data.rules ?? DEFAULT_RULES;
+        this.names = data.players.map(p => p.name);
+    }
+
+    handleRoundStart(data) {
+        this.roundNumber = data.roundNumber;
+        this.trickNumber = 0;
+        this.trick = [];
+        this.annotate('round', null, `Round ${data.roundNumber}`);
+    }
+
+    handleCardPlayed({ card, playerIndex }) {
+        if (this.trick.length === 0) {
+            this.trickNumber++;
+        }
+        this.trick.push({ player: playerIndex, card });
+        this.annotate('play', playerIndex, `${this.nameOf(playerIndex)} ${this.describePlay(card)}`);
+    }
+
+    handleTrickComplete({ winnerIndex, points }) {
+        const pts = points > 0 ? ` (+${pointsLabel(points)})` : '';
+        this.annotate('trick', winnerIndex, `${this.nameOf(winnerIndex)} takes trick ${this.trickNumber}${pts}`);
+        this.trick = [];
+    }
+
+    /**
+     * Describe the latest play of the current trick
+     * @param {Card} card - Card just played (last entry of this.trick)
+     * @returns {string}
+     */
+    describePlay(card) {
+        if (this.trick.length === 1) {
+            return `leads ${card}`;
+        }
+
+        const leadSuit = this.trick[0].card.suit;
+        if (card.suit !== leadSuit) {
+            const points = cardPoints(card, this.rules);
+            const dump = points > 0 ? ` (${pointsLabel(points)} dumped)` : '';
+            return `is void in ${SUIT_SYMBOLS[leadSuit]}, discards ${card}${dump}`;
+        }
+
+        const best = this.trick
+            .filter(play => play.card.suit === leadSuit)
+            .reduce((top, play) => (play.card.value > top.card.value ? play : top));
+        return best.card === card
+            ? `follows with ${card}, now winning the trick`
+            : `follows with ${card}, ducking under ${best.card}`;
+    }
+
+    /**
+     * @param {number} seat
+     * @returns {string}
+     */
+    nameOf(seat) {
+        return this.names[seat] ?? `Seat ${seat + 1}`;
+    }
+
+    /**
+     * @param {'round'|'play'|'trick'} kind
+     * @param {number|null} playerIndex
+     * @param {string} text
+     */
+    annotate(kind, playerIndex, text) {
+        this.events.emit(GameEvents.PLAY_ANNOTATED, {
+            kind,
+            playerIndex,
+            roundNumber: this.roundNumber,
+            trickNumber: this.trickNumber,
+            text
+        });
+    }
+}
@@ -0,0 +1,181 @@
+"use strict";
+/**
+ * Post-move coach
+ * Looks at each human play right after it is made and flags the risky ones —
+ * a high spade left winning while Q♠ is still out, a lead into a suit an
+ * opponent is known to be void in, points taken that could have been ducked,
+ * points handed to the partner under team scoring — using only what that player could see.
+ * Emits COACH_WARNING per flagged play and COACH_ROUND_SUMMARY at round end.
+ */
+import { GameEvents } from './events.js';
+import { HumanPlayer } from './player.js';
+import { SUIT_SYMBOLS } from './constants.js';
+import { pointsLabel } from './rules.js';
+
+/**
+ * Kinds of flagged plays
+ * @enum {string}
+ */
+export const COACH_WARNINGS = {
+    QUEEN_BAIT: 'queen_bait',         // High spade winning with Q♠ still out and players to come
+    VOID_LEAD: 'void_lead',           // Led a suit an opponent is known to be void in
+    AVOIDABLE_TAKE: 'avoidable_take', // Took points as last player while a lower card would have ducked
+    PARTNER_POINTS: 'partner_points'  // Gave points to the partner's winning trick
+};
+
+/** Short names of the warning kinds, for round summaries */
+export const COACH_WARNING_LABELS = {
+    [COACH_WARNINGS.QUEEN_BAIT]: 'Q♠ exposure',
+    [COACH_WARNINGS.VOID_LEAD]: 'lead into a void',
+    [COACH_WARNINGS.AVOIDABLE_TAKE]: 'avoidable points',
+    [COACH_WARNINGS.PARTNER_POINTS]: 'points to partner'
+};
+
+export class PlayCoach {
+    /**
+     * @param {GameEventEmitter} eventEmitter - Emitter the UI listens to (CARD_PLAYED in, COACH_* out)
+     * @param {() => GameState|null} getGame - Current game (the lifecycle's game)
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Start coaching right away
+     */
+    constructor(eventEmitter, getGame, { enabled = true } = {}) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {() => GameState|null} */
+        this.getGame = getGame;
+        /** @type {boolean} */
+        this.enabled = enabled;
+        /** @type {Object[]} Warnings of the round in progress */
+        this.roundWarnings = [];
+
+        this.events.on(GameEvents.ROUND_START, () => {
+            this.roundWarnings = [];
+        });
+        this.events.on(GameEvents.CARD_PLAYED, (data) => this.handleCardPlayed(data));
+        this.events.on(GameEvents.GAME_UNDONE, (data) => this.handleGameUndone(data));
+        this.events.on(GameEvents.ROUND_END, (data) => this.handleRoundEnd(data));
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.roundWarnings = [];
+    }
+
+    handleCardPlayed({ card, playerIndex }) {
+        const game = this.getGame();
+        if (!this.enabled || !game || !(game.players[playerIndex] instanceof HumanPlayer)) return;
+
+        for (const warning of this.evaluate(game, playerIndex, card)) {
+            this.roundWarnings.push(warning);
+            this.events.emit(GameEvents.COACH_WARNING, warning);
+        }
+    }
+
+    /**
+     * Forget the warnings of plays that were taken back
+     */
+    handleGameUndone({ tricksPlayed, trick }) {
+        this.roundWarnings = this.roundWarnings.filter(warning => warning.trickNumber <= tricksPlayed
+            || (warning.trickNumber === tricksPlayed + 1 && warning.position < trick.length));
+    }
+
+    handleRoundEnd({ roundNumber }) {
+        if (!this.enabled || this.roundWarnings.length === 0) return;
+        this.events.emit(GameEvents.COACH_ROUND_SUMMARY, {
+            roundNumber,
+            warnings: this.roundWarnings
+        });
+        this.roundWarnings = [];
+    }
+
+    /**
+     * Flag the risks of a play that has just been made (the card is the last one in game.trick)
+     * @param {GameState} game
+     * @param {number} playerIndex
+     * @param {Card} card
+     * @returns {Array<{kind: string, playerIndex: number, card: Card, roundNumber: number, trickNumber: number, position: number, message: string}>}
+     */
+    evaluate(game, playerIndex, card) {
+        const tracker = game.cardTracker;
+        const before = game.trick.slice(0, -1);
+        const handBefore = [...game.players[playerIndex].hand, card];
+        const validMoves = game.getValidMoves(handBefore, before);
+        // Only team scoring has partners; otherwise everyone else is an opponent
+        const partner = game.isTeamScoring() ? (playerIndex + 2) % 4 : null;
+        const opponents = [1, 2, 3].map(offset => (playerIndex + offset) % 4).filter(seat => seat !== partner);
+        const leadSuit = before.length > 0 ? before[0].card.suit : card.suit;
+        const winner = this.trickWinner(game.trick);
+        const pointsOf = (c) => game.getCardPoints(c);
+        const warnings = [];
+
+        const flag = (kind, message) => warnings.push({
+            kind,
+            playerIndex,
+            card,
+            roundNumber: game.roundNumber,
+            trickNumber: tracker.tricksPlayed + 1,
+            position: before.length,
+            message
+        });
+
+        // Leading into a known void: the void opponent can throw points on the trick
+        if (before.length === 0) {
+            const voidOpponents = opponents.filter(seat => tracker.playerVoids[seat][card.suit]);
+            const pointsOut = tracker.getRemainingPoints() - handBefore.reduce((sum, c) => sum + pointsOf(c), 0) + pointsOf(card);
+            if (voidOpponents.length > 0 && pointsOut > 0) {
+                const names = voidOpponents.map(seat => game.players[seat].name).join(' and ');
+                flag(COACH_WARNINGS.VOID_LEAD,
+                    `Leading ${SUIT_SYMBOLS[card.suit]} into ${names}'s known void: they can throw points on your trick`);
+            }
+        }
+
+        // A spade above the queen that is winning while Q♠ is still out can be made to eat it
+        const holdsQueen = handBefore.some(c => c.suit === 'S' && c.rank === 'Q');
+        if (leadSuit === 'S' && card.suit === 'S' && card.value > 10 && winner.card === card
+            && !tracker.queenOfSpadesPlayed && !holdsQueen && game.trick.length < 4) {
+            const lower = validMoves.filter(c => c.suit === 'S' && c.rank !== 'Q' && c.value < 10);
+            if (lower.length > 0 || before.length === 0) {
+                flag(COACH_WARNINGS.QUEEN_BAIT,
+                    `${card} is winning a spade trick while Q♠ is still out: it can be dropped on you`);
+            }
+        }
+
+        // Last to play: taking points when a lower card of the suit would have ducked
+        const trickPoints = game.trick.reduce((sum, play) => sum + pointsOf(play.card), 0);
+        if (game.trick.length === 4 && winner.player === playerIndex && card.suit === leadSuit && trickPoints > 0) {
+            const best = this.trickWinner(before).card;
+            const ducks = validMoves.filter(c => c.suit === leadSuit && c.value < best.value);
+            if (ducks.length > 0) {
+                const duck = ducks.reduce((top, c) => (c.value > top.value ? c : top));
+                flag(COACH_WARNINGS.AVOIDABLE_TAKE,
+                    `You took ${pointsLabel(trickPoints)} with ${card}: ${duck} would have ducked under ${best}`);
+            }
+        }
+
+        // Points onto the partner's winning trick count against your team
+        const points = pointsOf(card);
+        if (partner !== null && points > 0 && winner.player === partner) {
+            const cheaper = validMoves.some(c => pointsOf(c) < points);
+            if (cheaper) {
+                flag(COACH_WARNINGS.PARTNER_POINTS,
+                    `${card} hands ${pointsLabel(points)} to your partner ${game.players[partner].name}`);
+            }
+        }
+
+        return warnings;
+    }
+
+    /**
+     * @param {Array<{player: number, card: Card}>} trick - At least one play
+     * @returns {{player: number, card: Card}} Highest card of the led suit so far
+     */
+    trickWinner(trick) {
+        const leadSuit = trick[0].card.suit;
+        return trick
+            .filter(play => play.card.suit === leadSuit)
+            .reduce((top, play) => (play.card.value > top.card.value ? play : top));
+    }
+}
@@ -1,5 +1,7 @@
 "use strict";
 import { GameEvents } from './events.js';
+import { isAbortError, sleep } from './abort.js';
+import { TIMING } from './constants.js';
 
 export class Player {
     constructor(name, position) {
@@ -31,21 +33,28 @@ export class Player {
         });
     }
 
-    // Abstract methods
-    async choosePassCards(gameState) { throw new Error("Not implemented"); }
-    async playCard(gameState) { throw new Error("Not implemented"); }
+    // Abstract methods (signal aborts when the game is abandoned; reject with an AbortError then)
+    async choosePassCards(gameState, signal) { throw new Error("Not implemented"); }
+    async playCard(gameState, signal) { throw new Error("Not implemented"); }
 }
 
 export class HumanPlayer extends Player {
     constructor(name, position, inputController) {
         super(name, position);
         this.input = inputController;
+        this.adapter = null; // Auto-play bot, set by GameState
     }
 
-    async choosePassCards(gameState) {
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    async choosePassCards(gameState, signal) {
+        const passCount = gameState?.rules?.passCount ?? 3;
         try {
-            return await this.input.getPassSelection(this.hand);
+            return await this.input.getPassSelection(this.hand, passCount, { signal });
         } catch (error) {
+            if (isAbortError(error)) throw error;
             if (gameState && gameState.events) {
                 gameState.events.emit(GameEvents.ERROR_OCCURRED, {
                     type: 'input_error',
@@ -54,15 +63,16 @@ export class HumanPlayer extends Player {
                 });
             }
             const sorted = [...this.hand].sort((a, b) => b.value - a.value);
-            return sorted.slice(0, 3);
+            return sorted.slice(0, passCount);
         }
     }
 
-    async playCard(gameState) {
+    async playCard(gameState, signal) {
         try {
             const validMoves = gameState.getValidMoves(this.hand);
-            return await this.input.getCardSelection(this.hand, validMoves);
+            return await this.input.getCardSelection(this.hand, validMoves, { signal });
         } catch (error) {
+            if (isAbortError(error)) throw error;
             if (gameState && gameState.events) {
                 gameState.events.emit(GameEvents.ERROR_OCCURRED, {
                     type: 'input_error',
@@ -70,15 +80,27 @@ export class HumanPlayer extends Player {
                     error
                 });
             }
-            try {
-                const validMoves = gameState.getValidMoves(this.hand);
-                if (validMoves && validMoves.length > 0) {
-                    return validMoves[0];
-                }
-            } catch {
+            return this.autoPlayCard(gameState);
+        }
+    }
+
+    /**
+     * Let the auto-play bot choose for the player (turn clock ran out, input failed)
+     * @param {GameState} gameState
+     * @returns {Card}
+     */
+    autoPlayCard(gameState) {
+        if (this.adapter) {
+            return this.adapter.playCard(this.hand);
+        }
+        try {
+            const validMoves = gameState.getValidMoves(this.hand);
+            if (validMoves && validMoves.length > 0) {
+                return validMoves[0];
             }
-            return this.hand[0];
+        } catch {
         }
+        return this.hand[0];
     }
 }
 
@@ -98,15 +120,21 @@ export class BotPlayer extends Player {
             return this.adapter.choosePassCards(this.hand);
         }
 
-        // Fallback: simple logic - pass 3 highest cards
+        // Fallback: simple logic - pass the highest cards
         const sorted = [...this.hand].sort((a, b) => b.value - a.value);
-        return sorted.slice(0, 3);
+        return sorted.slice(0, gameState?.rules?.passCount ?? 3);
     }
 
-    async playCard(gameState) {
-        // Fake thinking delay for realism (skip during simulations)
+    async playCard(gameState, signal) {
+        // Fake thinking delay for realism (skip during simulations; scaled by the game speed)
         if (!gameState?.simulation?.enabled) {
-            await new Promise(r => setTimeout(r, 300 + Math.random() * 200));
+            const random = gameState?.thinkRng || Math.random;
+            const thinkMs = TIMING.BOT_THINK_MIN + random() * TIMING.BOT_THINK_RANGE;
+            if (gameState?.delay) {
+                await gameState.delay(thinkMs);
+            } else {
+                await sleep(thinkMs, signal);
+            }
         }
 
         if (this.adapter) {
@@ -115,8 +143,9 @@ export class BotPlayer extends Player {
             return choice;
         }
 
-        // Fallback: random valid move
+        // Fallback: random valid move (off the deal RNG so later deals stay reproducible)
         const validMoves = gameState.getValidMoves(this.hand);
-        return validMoves[Math.floor(Math.random() * validMoves.length)];
+        const random = gameState?.thinkRng || Math.random;
+        return validMoves[Math.floor(random() * validMoves.length)];
     }
 }
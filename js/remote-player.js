@@ -0,0 +1,208 @@
+"use strict";
+/**
+ * Remote player
+ * A human seated at another machine. The server's GameState asks it to pass
+ * and play like any other Player; it forwards each decision to the client's
+ * connection and waits for the answer. While the player is away a bot can
+ * take the seat over (takeOver) until they reconnect (handBack).
+ */
+import { Player } from './player.js';
+import { MESSAGE_TYPES } from './net-protocol.js';
+import { abortError } from './abort.js';
+import { TIMING } from './constants.js';
+
+/**
+ * @typedef {Object} PlayerConnection
+ * @property {(type: string, payload: Object) => void} send - Send a protocol message to the client
+ */
+
+export class RemotePlayer extends Player {
+    /**
+     * @param {string} name - Player name
+     * @param {string} position - 'bottom', 'right', 'top' or 'left'
+     * @param {PlayerConnection} [connection] - Client connection (attach() later if omitted)
+     */
+    constructor(name, position, connection = null) {
+        super(name, position);
+        /** @type {PlayerConnection|null} */
+        this.connection = connection;
+        /** @type {Object|null} Decision waiting for an answer: { requestId, message, validate, botDecision, resolve, reject } */
+        this.pending = null;
+        /** @type {number} */
+        this.nextRequestId = 1;
+        /** @type {BotAdapter|NativeBotAdapter|null} Bot for this seat (set by GameState.initializeBots) */
+        this.adapter = null;
+        /** @type {boolean} Whether the bot is playing for the absent human */
+        this.botControlled = false;
+    }
+
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Let the seat's bot play for the player, answering any decision they left pending
+     * @throws {Error} If the seat has no bot adapter
+     */
+    takeOver() {
+        if (!this.adapter) {
+            throw new Error(`RemotePlayer.takeOver: no bot is assigned to ${this.name}'s seat`);
+        }
+        this.botControlled = true;
+        this.connection = null;
+
+        const pending = this.pending;
+        if (pending) {
+            this.pending = null;
+            try {
+                pending.resolve(pending.botDecision());
+            } catch (error) {
+                pending.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Give the seat back to the reconnected player
+     * @param {PlayerConnection} connection
+     */
+    handBack(connection) {
+        this.botControlled = false;
+        this.attach(connection);
+    }
+
+    /**
+     * Route decisions to a (new) connection, re-sending any unanswered request
+     * @param {PlayerConnection} connection
+     */
+    attach(connection) {
+        this.connection = connection;
+        if (this.pending) {
+            this.connection.send(MESSAGE_TYPES.DECISION_REQUEST, this.pending.message);
+        }
+    }
+
+    /**
+     * Stop sending to the connection (a pending decision keeps waiting)
+     */
+    detach() {
+        this.connection = null;
+    }
+
+    async choosePassCards(gameState, signal) {
+        const count = gameState?.rules?.passCount ?? 3;
+        const botDecision = () => this.adapter.choosePassCards(this.hand);
+        if (this.botControlled) return botDecision();
+
+        return this.request({
+            kind: 'pass',
+            hand: [...this.hand],
+            validMoves: [...this.hand],
+            count
+        }, signal, (cards) => {
+            if (cards.length !== count || new Set(cards.map(c => c.id)).size !== count) {
+                throw new Error(`Pass exactly ${count} different cards`);
+            }
+            return cards;
+        }, botDecision);
+    }
+
+    async playCard(gameState, signal) {
+        const botDecision = () => this.adapter.playCard(this.hand);
+        if (this.botControlled) {
+            await gameState.delay?.(TIMING.BOT_THINK_MIN);
+            return botDecision();
+        }
+
+        const validMoves = gameState.getValidMoves(this.hand);
+        return this.request({
+            kind: 'play',
+            hand: [...this.hand],
+            validMoves,
+            count: 1
+        }, signal, (cards) => {
+            if (cards.length !== 1) {
+                throw new Error('Play exactly one card');
+            }
+            if (!validMoves.some(c => c.id === cards[0].id)) {
+                throw new Error(`${cards[0]} is not a legal play`);
+            }
+            return cards[0];
+        }, botDecision);
+    }
+
+    /**
+     * Ask the client for a decision and wait for a valid answer
+     * @param {Object} message - DECISION_REQUEST fields (without requestId)
+     * @param {AbortSignal} [signal] - Abandons the request
+     * @param {(cards: Card[]) => *} validate - Checks the answer against the hand, returns the result
+     * @param {() => *} botDecision - Answers instead if a bot takes the seat over
+     * @returns {Promise<*>}
+     */
+    request(message, signal, validate, botDecision) {
+        if (this.pending) {
+            return Promise.reject(new Error(`RemotePlayer.request: ${this.name} already has a decision pending`));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(abortError(signal.reason));
+        }
+
+        return new Promise((resolve, reject) => {
+            const requestId = this.nextRequestId++;
+            const onAbort = () => {
+                this.pending = null;
+                reject(abortError(signal.reason));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.pending = {
+                requestId,
+                message: { ...message, requestId },
+                validate,
+                botDecision,
+                resolve: (value) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                reject: (error) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            };
+            this.connection?.send(MESSAGE_TYPES.DECISION_REQUEST, this.pending.message);
+        });
+    }
+
+    /**
+     * Answer the pending decision with card ids from the client
+     * @param {number} requestId - Id from the DECISION_REQUEST being answered
+     * @param {string[]} cardIds - Chosen cards
+     * @throws {Error} If nothing is pending, the request is stale, or the cards are not allowed (the request is re-sent)
+     */
+    receiveDecision(requestId, cardIds) {
+        const pending = this.pending;
+        if (!pending || pending.requestId !== requestId) {
+            throw new Error('RemotePlayer.receiveDecision: no such decision is pending');
+        }
+
+        let result;
+        try {
+            if (!Array.isArray(cardIds)) {
+                throw new Error('Cards must be a list of card ids');
+            }
+            const cards = cardIds.map((id) => {
+                const card = this.hand.find(c => c.id === id);
+                if (!card) throw new Error(`${id} is not in ${this.name}'s hand`);
+                return card;
+            });
+            result = pending.validate(cards);
+        } catch (error) {
+            // Ask again so the client is not left without a selection on screen
+            this.connection?.send(MESSAGE_TYPES.DECISION_REQUEST, pending.message);
+            throw error;
+        }
+
+        this.pending = null;
+        pending.resolve(result);
+    }
+}
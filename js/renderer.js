@@ -1,11 +1,14 @@
 "use strict";
 import { GameEvents } from './events.js';
 import { RANKS, SUITS } from './card.js';
+import { HUMAN_SEAT } from './hot-seat.js';
+import { COACH_WARNING_LABELS } from './play-coach.js';
 import {
   TIMING,
   PLAYER_ELEMENT_IDS,
   CARD_DISPLAY,
-  SUIT_NAMES
+  SUIT_NAMES,
+  SUIT_SYMBOLS
 } from './constants.js';
 
 /**
@@ -61,20 +64,76 @@ export class DOMRenderer extends GameRenderer {
       trickPile: null,
       passModal: null,  // This is now also the confirm button
       passCount: null,
+      passTotal: null,
       scoreboard: null,
       scoresList: null,
       gameOverModal: null,
       modalOverlay: null,
       finalResults: null,
       restartBtn: null,
+      resumeModal: null,
+      resumeSummary: null,
+      resumeBtn: null,
+      newGameBtn: null,
+      settingsBtn: null,
+      settingsModal: null,
+      rulesPresetSelect: null,
+      rulesPresetDescription: null,
+      botSelects: [],
+      botDescription: null,
+      turnTimerSelect: null,
+      hintBotSelect: null,
+      coachToggle: null,
+      practiceToggle: null,
+      hintBtn: null,
+      undoBtn: null,
+      handoffModal: null,
+      lobbyModal: null,
+      lobbyTitle: null,
+      lobbySeats: null,
+      lobbyStartBtn: null,
+      handoffText: null,
+      handoffReadyBtn: null,
+      pauseBtn: null,
+      speedSelect: null,
+      settingsApplyBtn: null,
+      settingsCancelBtn: null,
       aiThinkingIndicator: null,
-      notificationArea: null
+      notificationArea: null,
+      replayPanel: null,
+      spectatorPanel: null,
+      cardCountPanel: null,
+      cardCountBody: null,
+      counterToggle: null,
+      spectatorLog: null,
+      replayFile: null,
+      replayPrevBtn: null,
+      replayNextBtn: null,
+      replayPosition: null,
+      replayRoundSelect: null,
+      replayShowHands: null
     };
 
     // State for rendering
     this.currentHand = null;
     this.selectionMode = null;
     this.selectedCards = new Set();
+    this.passTotal = 3;
+    this.isPaused = false;
+    this.statusBeforePause = null;
+
+    // Table perspective: the seat shown at the bottom (rotates in hot-seat games)
+    this.viewSeat = 0;
+    this.playerNames = [];
+    this.lastPlayers = null;
+    /** @type {boolean} Spectating: every hand is drawn face-up */
+    this.revealAllHands = false;
+    /** @type {boolean} Whether the play being chosen can be taken back to the previous one (practice games) */
+    this.undoAvailable = false;
+    /** @type {boolean} Whether the card-counting panel is shown */
+    this.showCardCount = false;
+    /** @type {Object|null} Latest CARD_COUNT_UPDATED summary */
+    this.cardCount = null;
 
     // Memoization for hand rendering
     this.lastRenderedHandKey = null;
@@ -169,14 +228,54 @@ export class DOMRenderer extends GameRenderer {
     this.elements.trickPile = document.getElementById('trick-pile');
     this.elements.passModal = document.getElementById('pass-modal');
     this.elements.passCount = document.getElementById('pass-count');
+    this.elements.passTotal = document.getElementById('pass-total');
     this.elements.scoreboard = document.getElementById('scoreboard');
     this.elements.scoresList = document.getElementById('scores-list');
     this.elements.gameOverModal = document.getElementById('game-over-modal');
     this.elements.modalOverlay = document.getElementById('modal-overlay');
     this.elements.finalResults = document.getElementById('final-results');
     this.elements.restartBtn = document.getElementById('restart-btn');
+    this.elements.resumeModal = document.getElementById('resume-modal');
+    this.elements.resumeSummary = document.getElementById('resume-summary');
+    this.elements.resumeBtn = document.getElementById('resume-btn');
+    this.elements.newGameBtn = document.getElementById('new-game-btn');
+    this.elements.settingsBtn = document.getElementById('settings-btn');
+    this.elements.settingsModal = document.getElementById('settings-modal');
+    this.elements.rulesPresetSelect = document.getElementById('rules-preset-select');
+    this.elements.rulesPresetDescription = document.getElementById('rules-preset-description');
+    this.elements.botSelects = [...document.querySelectorAll('.bot-select')];
+    this.elements.botDescription = document.getElementById('bot-description');
+    this.elements.turnTimerSelect = document.getElementById('turn-timer-select');
+    this.elements.hintBotSelect = document.getElementById('hint-bot-select');
+    this.elements.coachToggle = document.getElementById('coach-toggle');
+    this.elements.practiceToggle = document.getElementById('practice-toggle');
+    this.elements.hintBtn = document.getElementById('hint-btn');
+    this.elements.undoBtn = document.getElementById('undo-btn');
+    this.elements.handoffModal = document.getElementById('handoff-modal');
+    this.elements.lobbyModal = document.getElementById('lobby-modal');
+    this.elements.lobbyTitle = document.getElementById('lobby-title');
+    this.elements.lobbySeats = document.getElementById('lobby-seats');
+    this.elements.lobbyStartBtn = document.getElementById('lobby-start-btn');
+    this.elements.handoffText = document.getElementById('handoff-text');
+    this.elements.handoffReadyBtn = document.getElementById('handoff-ready-btn');
+    this.elements.pauseBtn = document.getElementById('pause-btn');
+    this.elements.speedSelect = document.getElementById('speed-select');
+    this.elements.settingsApplyBtn = document.getElementById('settings-apply-btn');
+    this.elements.settingsCancelBtn = document.getElementById('settings-cancel-btn');
     this.elements.aiThinkingIndicator = document.getElementById('ai-thinking-indicator');
     this.elements.notificationArea = document.getElementById('notification-area');
+    this.elements.replayPanel = document.getElementById('replay-panel');
+    this.elements.spectatorPanel = document.getElementById('spectator-panel');
+    this.elements.cardCountPanel = document.getElementById('card-count-panel');
+    this.elements.cardCountBody = document.getElementById('card-count-body');
+    this.elements.counterToggle = document.getElementById('counter-toggle');
+    this.elements.spectatorLog = document.getElementById('spectator-log');
+    this.elements.replayFile = document.getElementById('replay-file');
+    this.elements.replayPrevBtn = document.getElementById('replay-prev-btn');
+    this.elements.replayNextBtn = document.getElementById('replay-next-btn');
+    this.elements.replayPosition = document.getElementById('replay-position');
+    this.elements.replayRoundSelect = document.getElementById('replay-round-select');
+    this.elements.replayShowHands = document.getElementById('replay-show-hands');
 
     // Warm the browser cache to avoid card-image flash on first plays.
     this.preloadCardImages();
@@ -263,6 +362,20 @@ export class DOMRenderer extends GameRenderer {
         this.focusFirstCard();
         break;
 
+      case 'h':
+      case 'H':
+        if (event.ctrlKey || event.metaKey || event.altKey || this.elements.hintBtn?.classList.contains('hidden')) break;
+        event.preventDefault();
+        this.events.emit(GameEvents.HINT_REQUESTED);
+        break;
+
+      case 'u':
+      case 'U':
+        if (event.ctrlKey || event.metaKey || event.altKey || !this.canRequestUndo()) break;
+        event.preventDefault();
+        this.events.emit(GameEvents.UNDO_REQUESTED);
+        break;
+
       case 'End':
         event.preventDefault();
         this.focusLastCard();
@@ -361,7 +474,7 @@ export class DOMRenderer extends GameRenderer {
         cardElement.classList.remove('selected');
         cardElement.setAttribute('aria-selected', 'false');
       } else {
-        if (this.selectedCards.size < 3) {
+        if (this.selectedCards.size < this.passTotal) {
           this.selectedCards.add(cardKey);
           cardElement.classList.add('selected');
           cardElement.setAttribute('aria-selected', 'true');
@@ -369,7 +482,7 @@ export class DOMRenderer extends GameRenderer {
       }
 
       // Update button state and count display
-      this.elements.passModal.disabled = (this.selectedCards.size !== 3);
+      this.elements.passModal.disabled = (this.selectedCards.size !== this.passTotal);
       if (this.elements.passCount) {
         this.elements.passCount.textContent = this.selectedCards.size;
       }
@@ -384,18 +497,57 @@ export class DOMRenderer extends GameRenderer {
    */
   subscribeToEvents() {
     this.events.on(GameEvents.STATUS_MESSAGE, (data) => {
+      // While paused keep showing "Paused"; the latest message returns on resume
+      if (this.isPaused) {
+        this.statusBeforePause = data.message;
+        return;
+      }
       this.updateStatus(data.message);
     });
 
+    this.events.on(GameEvents.GAME_INITIALIZED, (data) => {
+      this.playerNames = data.players.map(p => p.name);
+      this.applySeatLabels();
+    });
+
+    this.events.on(GameEvents.HOT_SEAT_HANDOFF, (data) => {
+      this.showHandoff(data.playerIndex, data.playerName);
+    });
+
+    this.events.on(GameEvents.VIEW_SEAT_CHANGED, (data) => {
+      this.setViewSeat(data.playerIndex);
+    });
+
     this.events.on(GameEvents.HANDS_DEALT, (data) => {
       this.renderHands(data.hands, { selectionMode: false });
+      if (this.revealAllHands) this.renderRevealedHands(data.hands);
+      this.renderCardCount();
     });
 
     this.events.on(GameEvents.HAND_UPDATED, (data) => {
       this.renderHands(data.hands, { selectionMode: false });
+      if (this.revealAllHands) this.renderRevealedHands(data.hands);
+      this.renderCardCount();
+    });
+
+    this.events.on(GameEvents.GAME_STARTED, (data) => {
+      this.setPracticeMode(data.practice);
+    });
+
+    this.events.on(GameEvents.GAME_RESUMED, (data) => {
+      this.setPracticeMode(data.practice);
+      this.redrawTable(data);
+    });
+
+    this.events.on(GameEvents.GAME_UNDONE, (data) => {
+      this.clearActiveTurn();
+      this.showAIThinking(false);
+      this.redrawTable(data);
+      this.showNotification('Play taken back', 'info', TIMING.NOTIFICATION_DEFAULT);
     });
 
     this.events.on(GameEvents.CARD_PLAYED, (data) => {
+      this.clearTurnClock();
       this.renderTrickCard(data.card, data.playerIndex, data.position);
       // Hide AI thinking indicator when any card is played
       this.showAIThinking(false);
@@ -420,6 +572,26 @@ export class DOMRenderer extends GameRenderer {
       this.clearActiveTurn();
     });
 
+    this.events.on(GameEvents.GAME_ABANDONED, () => {
+      this.clearTrickPile();
+      this.clearActiveTurn();
+      this.showAIThinking(false);
+      this.setPausedState(false);
+      this.hideHandoff();
+      this.updateStatus('Game abandoned');
+    });
+
+    this.events.on(GameEvents.GAME_PAUSE_CHANGED, (data) => {
+      this.setPausedState(data.paused);
+      document.querySelectorAll('.turn-clock').forEach(el => el.classList.toggle('paused', data.paused));
+    });
+
+    this.events.on(GameEvents.GAME_SPEED_CHANGED, (data) => {
+      if (this.elements.speedSelect) {
+        this.elements.speedSelect.value = data.speed;
+      }
+    });
+
     this.events.on(GameEvents.ENABLE_CARD_SELECTION, (data) => {
       this.enableCardSelection(data);
     });
@@ -428,7 +600,25 @@ export class DOMRenderer extends GameRenderer {
       this.disableCardSelection();
     });
 
-    this.events.on(GameEvents.PASS_PHASE_START, () => {
+    this.events.on(GameEvents.HINT_READY, (data) => {
+      this.showHint(data);
+    });
+
+    this.events.on(GameEvents.COACH_WARNING, (data) => {
+      this.showNotification(`Coach: ${data.message}`, 'warning', TIMING.NOTIFICATION_ERROR);
+    });
+
+    this.events.on(GameEvents.CARD_COUNT_UPDATED, (data) => {
+      this.cardCount = data;
+      this.renderCardCount();
+    });
+
+    this.events.on(GameEvents.COACH_ROUND_SUMMARY, (data) => {
+      this.showCoachSummary(data);
+    });
+
+    this.events.on(GameEvents.PASS_PHASE_START, (data) => {
+      this.setPassDirection(data?.direction);
       this.showPassModal(true, false);
     });
 
@@ -437,9 +627,10 @@ export class DOMRenderer extends GameRenderer {
     });
 
     this.events.on(GameEvents.TURN_CHANGED, (data) => {
-      this.setActiveTurn(data.playerIndex);
-      // Show AI thinking indicator for bot players (not player 0)
-      if (data.playerIndex !== 0) {
+      this.undoAvailable = !!data.canUndo;
+      this.setActiveTurn(data.playerIndex, data.timeLimit);
+      // Show AI thinking indicator for bot players
+      if (!(data.isHuman ?? data.playerIndex === 0)) {
         this.showAIThinking(true);
       } else {
         this.showAIThinking(false);
@@ -451,35 +642,294 @@ export class DOMRenderer extends GameRenderer {
       this.showNotification(message, 'error', TIMING.NOTIFICATION_DEFAULT);
     });
 
+    this.events.on(GameEvents.TURN_TIME_EXPIRED, (data) => {
+      this.clearTurnClock();
+      this.showNotification(`Time's up: a bot played ${data.playerName}'s card`, 'info', TIMING.NOTIFICATION_DEFAULT);
+    });
+
+    this.events.on(GameEvents.SEAT_CONTROL_CHANGED, (data) => {
+      let message;
+      if (data.connected) {
+        message = `${data.playerName} is back`;
+      } else if (data.botControlled) {
+        message = `${data.playerName} is still away: a bot is playing for them`;
+      } else {
+        message = `${data.playerName} disconnected, waiting for them to return...`;
+      }
+      this.showNotification(message, 'info', TIMING.NOTIFICATION_DEFAULT);
+    });
+
     this.events.on(GameEvents.ERROR_OCCURRED, (data) => {
       const message = data.message || 'An error occurred';
       this.showNotification(message, 'error', TIMING.NOTIFICATION_ERROR || 5000);
       console.error('Game error:', data);
     });
+
+    this.events.on(GameEvents.PLAY_ANNOTATED, (data) => {
+      this.addPlayAnnotation(data);
+    });
+
+    this.events.on(GameEvents.REPLAY_POSITION_CHANGED, (data) => {
+      this.updateReplayControls(data);
+      this.renderRevealedHands(data.hands);
+    });
+  }
+
+  /**
+   * Show the replay panel and wire its controls
+   * @param {Object} handlers - Callbacks for the replay controls
+   * @param {Function} handlers.onLoad - Called with the selected File
+   * @param {Function} handlers.onPrev - Step back one trick
+   * @param {Function} handlers.onNext - Step forward one trick
+   * @param {Function} handlers.onRound - Called with the selected round index
+   * @param {Function} handlers.onToggleHands - Called with the checkbox state
+   */
+  setupReplayControls(handlers) {
+    const el = this.elements;
+    if (!el.replayPanel) return;
+
+    el.replayPanel.classList.remove('hidden');
+
+    el.replayFile.onchange = (event) => {
+      const file = event.target.files[0];
+      if (file) handlers.onLoad(file);
+    };
+    el.replayPrevBtn.onclick = () => handlers.onPrev();
+    el.replayNextBtn.onclick = () => handlers.onNext();
+    el.replayRoundSelect.onchange = () => handlers.onRound(parseInt(el.replayRoundSelect.value, 10));
+    el.replayShowHands.onchange = () => handlers.onToggleHands(el.replayShowHands.checked);
+
+    // Arrow keys step through the replay (no card selection happens in replay mode)
+    document.addEventListener('keydown', (event) => {
+      if (this.selectionMode || event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement) return;
+      if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        handlers.onPrev();
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        handlers.onNext();
+      }
+    });
+  }
+
+  /**
+   * Reflect the replay position in the replay panel
+   * @param {Object} data - REPLAY_POSITION_CHANGED payload
+   */
+  updateReplayControls(data) {
+    const el = this.elements;
+    if (!el.replayPanel) return;
+
+    const select = el.replayRoundSelect;
+    if (select.options.length !== data.roundCount) {
+      select.innerHTML = '';
+      data.roundNumbers.forEach((roundNumber, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `Round ${roundNumber}`;
+        select.appendChild(option);
+      });
+    }
+    select.value = data.roundIndex;
+
+    el.replayPosition.textContent = data.trickCount === 0
+      ? 'Passing'
+      : `Trick ${data.trickCount}/${data.trickTotal}`;
+
+    const atStart = data.roundIndex === 0 && data.trickCount === 0;
+    const atEnd = data.roundIndex === data.roundCount - 1 && data.trickCount === data.trickTotal;
+    el.replayPrevBtn.disabled = atStart;
+    el.replayNextBtn.disabled = atEnd;
+    el.replayShowHands.checked = data.showAllHands;
+  }
+
+  /**
+   * Spectator mode: draw every hand face-up and show the play-by-play panel
+   * @param {boolean} reveal
+   */
+  setRevealAllHands(reveal) {
+    this.revealAllHands = !!reveal;
+    this.elements.spectatorPanel?.classList.toggle('hidden', !this.revealAllHands);
+    if (!this.revealAllHands) {
+      this.renderRevealedHands(null);
+    }
+  }
+
+  /**
+   * Show or hide the card-counting panel
+   * @param {boolean} visible
+   */
+  setCardCountVisible(visible) {
+    this.showCardCount = !!visible;
+    this.elements.cardCountPanel?.classList.toggle('hidden', !this.showCardCount);
+    this.renderCardCount();
+  }
+
+  /**
+   * Fill the card-counting panel from the latest summary: cards still out per
+   * suit (the viewer's own dimmed), opponents' known voids and the Leekha cards
+   */
+  renderCardCount() {
+    const body = this.elements.cardCountBody;
+    const count = this.cardCount;
+    if (!body || !count || !this.showCardCount) return;
+
+    const mine = new Set((this.currentHand || []).map(card => `${card.suit}${card.rank}`));
+    const fragment = document.createDocumentFragment();
+
+    for (const suit of SUITS) {
+      const row = document.createElement('div');
+      row.className = `count-suit suit-${suit}`;
+      const symbol = document.createElement('span');
+      symbol.className = 'count-symbol';
+      symbol.textContent = SUIT_SYMBOLS[suit];
+      symbol.setAttribute('aria-label', SUIT_NAMES[suit]);
+      row.appendChild(symbol);
+
+      const ranks = count.remaining[suit];
+      for (const rank of ranks) {
+        const el = document.createElement('span');
+        el.className = 'count-rank';
+        el.classList.toggle('mine', mine.has(`${suit}${rank}`));
+        el.textContent = rank;
+        row.appendChild(el);
+      }
+      const others = ranks.filter(rank => !mine.has(`${suit}${rank}`)).length;
+      const total = document.createElement('span');
+      total.className = 'count-total';
+      total.textContent = ranks.length === 0 ? 'all played' : `${others} out`;
+      row.appendChild(total);
+      fragment.appendChild(row);
+    }
+
+    const opponents = [(this.viewSeat + 1) % 4, (this.viewSeat + 3) % 4];
+    for (const seat of opponents) {
+      const suits = SUITS.filter(suit => count.voids[seat][suit]);
+      if (suits.length === 0) continue;
+      const line = document.createElement('div');
+      line.className = 'count-void';
+      line.textContent = `${this.playerNames[seat] ?? `Seat ${seat + 1}`}: void in ${suits.map(suit => SUIT_SYMBOLS[suit]).join(' ')}`;
+      fragment.appendChild(line);
+    }
+
+    const leekha = document.createElement('div');
+    leekha.className = 'count-leekha';
+    leekha.textContent = [
+      `Q♠ ${count.queenOfSpadesLive ? 'live' : 'out'}`,
+      `10♦ ${count.tenOfDiamondsLive ? 'live' : 'out'}`,
+      count.heartsBroken ? 'hearts broken' : 'hearts not broken',
+      `${count.remainingPoints} pts left`
+    ].join(' · ');
+    fragment.appendChild(leekha);
+
+    body.replaceChildren(fragment);
+  }
+
+  /**
+   * Add a line to the play-by-play panel (newest first)
+   * @param {Object} annotation - PLAY_ANNOTATED payload
+   */
+  addPlayAnnotation({ kind, playerIndex, text }) {
+    const log = this.elements.spectatorLog;
+    if (!log || !this.revealAllHands) return;
+
+    const entry = document.createElement('li');
+    entry.className = `annotation-${kind}`;
+    if (playerIndex !== null) {
+      entry.classList.add(playerIndex % 2 === 0 ? 'team-blue' : 'team-red');
+    }
+    entry.textContent = text;
+    log.prepend(entry);
+
+    while (log.children.length > CARD_DISPLAY.ANNOTATION_LOG_LIMIT) {
+      log.lastElementChild.remove();
+    }
+  }
+
+  /**
+   * Show the other three hands face-up next to their seats
+   * @param {Array|null} hands - Hands for all seats, or null to hide them
+   */
+  renderRevealedHands(hands) {
+    document.querySelectorAll('.revealed-hand').forEach(el => el.remove());
+    if (!hands) return;
+
+    for (let slot = 1; slot < 4; slot++) {
+      const playerIndex = this.slotToSeat(slot);
+      const playerElement = document.getElementById(PLAYER_ELEMENT_IDS[slot]);
+      if (!playerElement || !hands[playerIndex]) continue;
+
+      const container = document.createElement('div');
+      container.className = 'revealed-hand bot-hand-preview';
+      container.dataset.playerIndex = playerIndex;
+      hands[playerIndex].forEach(card => {
+        const cardEl = this.createCardElement(card);
+        cardEl.classList.add('mini-card');
+        container.appendChild(cardEl);
+      });
+      playerElement.appendChild(container);
+    }
   }
 
   /**
    * Set the active turn indicator on a player
    * @param {number} playerIndex - Index of the active player (0-3)
+   * @param {number|null} [timeLimit] - Turn clock in milliseconds: draws a countdown ring around the player
    */
-  setActiveTurn(playerIndex) {
+  setActiveTurn(playerIndex, timeLimit = null) {
     // Clear all active indicators
     this.clearActiveTurn();
 
-    const elementId = PLAYER_ELEMENT_IDS[playerIndex];
+    const elementId = PLAYER_ELEMENT_IDS[this.seatToSlot(playerIndex)];
     const playerElement = document.getElementById(elementId);
 
     if (playerElement) {
       playerElement.classList.add('active-turn');
+      if (timeLimit) {
+        this.showTurnClock(playerElement, timeLimit);
+      }
     }
   }
 
+  /**
+   * Draw a ring that empties over the turn's time limit (around the avatar, or next to the name at the bottom)
+   * @param {HTMLElement} playerElement - Active player's area
+   * @param {number} timeLimit - Milliseconds
+   */
+  showTurnClock(playerElement, timeLimit) {
+    const host = playerElement.querySelector('.avatar') ?? playerElement.querySelector('.player-info');
+    if (!host) return;
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const clock = document.createElementNS(svgNS, 'svg');
+    clock.setAttribute('class', this.isPaused ? 'turn-clock paused' : 'turn-clock');
+    clock.setAttribute('viewBox', '0 0 36 36');
+    clock.setAttribute('aria-hidden', 'true');
+    clock.style.setProperty('--turn-time', `${timeLimit}ms`);
+
+    const ring = document.createElementNS(svgNS, 'circle');
+    ring.setAttribute('cx', '18');
+    ring.setAttribute('cy', '18');
+    ring.setAttribute('r', '16');
+    ring.setAttribute('pathLength', '100');
+    clock.appendChild(ring);
+    host.prepend(clock);
+  }
+
+  /**
+   * Remove the turn clock ring
+   */
+  clearTurnClock() {
+    document.querySelectorAll('.turn-clock').forEach(el => el.remove());
+  }
+
   /**
    * Clear all active turn indicators
    */
   clearActiveTurn() {
     const playerAreas = document.querySelectorAll('.player-area');
     playerAreas.forEach(area => area.classList.remove('active-turn'));
+    this.clearTurnClock();
   }
 
   /**
@@ -558,8 +1008,9 @@ export class DOMRenderer extends GameRenderer {
   renderTrickCard(card, playerIndex) {
     const el = this.createCardElement(card);
 
-    // Use CSS classes for positioning
-    el.classList.add(`trick-pos-${playerIndex}`);
+    // Use CSS classes for positioning (relative to the seat shown at the bottom)
+    el.dataset.seat = playerIndex;
+    el.classList.add(`trick-pos-${this.seatToSlot(playerIndex)}`);
 
     this.elements.trickPile.appendChild(el);
   }
@@ -582,7 +1033,7 @@ export class DOMRenderer extends GameRenderer {
    */
   renderHands(hands, options = {}) {
     this.allHands = hands; // Store all hands for debug hover
-    const humanHand = hands[0];
+    const humanHand = hands[this.viewSeat] || [];
     const handKey = this.generateHandKey(humanHand);
 
     // Skip re-render if hand hasn't changed (memoization)
@@ -642,6 +1093,8 @@ export class DOMRenderer extends GameRenderer {
   enableCardSelection(data) {
     const { hand, validMoves, mode, count } = data;
     this.selectionMode = mode;
+    if (this.elements.hintBtn) this.elements.hintBtn.disabled = false;
+    if (this.elements.undoBtn) this.elements.undoBtn.disabled = !this.canRequestUndo();
     this.selectedCards.clear();
 
     // Reset keyboard navigation state
@@ -659,15 +1112,20 @@ export class DOMRenderer extends GameRenderer {
     });
 
     if (mode === 'pass') {
+      this.passTotal = count || 3;
+
       // Show pass indicator
       this.elements.passModal.classList.remove('hidden');
       this.elements.passModal.disabled = true;
       if (this.elements.passCount) {
         this.elements.passCount.textContent = '0';
       }
+      if (this.elements.passTotal) {
+        this.elements.passTotal.textContent = this.passTotal;
+      }
 
       // Render hand with selection enabled
-      this.renderHandsWithSelection(hand, hand, count || 3);
+      this.renderHandsWithSelection(hand, hand, this.passTotal);
     } else if (mode === 'play') {
       // Play mode - single card selection
       this.renderHandsWithSelection(hand, validMoves, 1);
@@ -802,6 +1260,8 @@ export class DOMRenderer extends GameRenderer {
   disableCardSelection() {
     this.showPassModal(false, false);
     this.selectionMode = null;
+    if (this.elements.hintBtn) this.elements.hintBtn.disabled = true;
+    if (this.elements.undoBtn) this.elements.undoBtn.disabled = true;
     this.selectedCards.clear();
 
     // Clear keyboard navigation state
@@ -848,12 +1308,24 @@ export class DOMRenderer extends GameRenderer {
     }
   }
 
+  /**
+   * Point the pass button arrow in this round's pass direction
+   * @param {string} [direction] - 'left', 'right' or 'across'
+   */
+  setPassDirection(direction = 'left') {
+    const button = this.elements.passModal;
+    if (!button) return;
+    button.dataset.direction = direction;
+    const label = direction === 'across' ? 'across' : `to the ${direction}`;
+    button.setAttribute('aria-label', `Confirm pass selection (passing ${label})`);
+  }
+
   /**
    * Update scoreboard display
    * @param {Object} data - Score data
    */
   updateScoreboard(data) {
-    const { players } = data;
+    const { players, teams } = data;
 
     const list = this.elements.scoresList;
     list.innerHTML = '';
@@ -862,7 +1334,7 @@ export class DOMRenderer extends GameRenderer {
       const row = document.createElement('div');
       row.className = 'score-row';
       row.classList.add((i % 2 === 0) ? 'team-blue' : 'team-red');
-      if (i === 0) {
+      if (i === this.viewSeat) {
         row.style.fontWeight = '700';
       }
 
@@ -886,9 +1358,37 @@ export class DOMRenderer extends GameRenderer {
       list.appendChild(row);
     });
 
+    // Team scoring: partnership totals below the individual rows
+    if (teams) {
+      teams.forEach((team) => {
+        const row = document.createElement('div');
+        row.className = 'score-row team-total';
+        row.classList.add(team.index === 0 ? 'team-blue' : 'team-red');
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'score-cell name';
+        nameSpan.textContent = team.index === this.viewSeat % 2 ? 'Team (You)' : 'Team (Opp.)';
+        nameSpan.title = team.name;
+
+        const lastSpan = document.createElement('span');
+        lastSpan.className = 'score-cell last';
+        lastSpan.textContent = Math.max(0, team.score - team.currentRoundPoints);
+
+        const roundSpan = document.createElement('span');
+        roundSpan.className = 'score-cell round';
+        roundSpan.textContent = team.currentRoundPoints > 0 ? `+${team.currentRoundPoints}` : `${team.currentRoundPoints}`;
+
+        row.appendChild(nameSpan);
+        row.appendChild(lastSpan);
+        row.appendChild(roundSpan);
+        list.appendChild(row);
+      });
+    }
+
     this.elements.scoreboard.classList.remove('hidden');
 
     // Update player score displays
+    this.lastPlayers = players;
     this.updatePlayerScoreDisplays(players);
   }
 
@@ -916,10 +1416,12 @@ export class DOMRenderer extends GameRenderer {
    * @param {Object} results - Game results data
    */
   showGameOver(results) {
-    const { loserPlayer, myTeamLost, players } = results;
+    const { loserPlayer, loserTeam, myTeamLost, players, teams } = results;
 
-    const msg = myTeamLost ? "DEFEAT" : "VICTORY";
-    const color = myTeamLost ? "red" : "gold";
+    // myTeamLost is from seat 0's side; turn it around when another seat is at the bottom
+    const viewerLost = this.viewSeat % 2 === 0 ? myTeamLost : !myTeamLost;
+    const msg = viewerLost ? "DEFEAT" : "VICTORY";
+    const color = viewerLost ? "red" : "gold";
 
     const modal = this.elements.gameOverModal;
     const resultsDiv = this.elements.finalResults;
@@ -934,13 +1436,24 @@ export class DOMRenderer extends GameRenderer {
     resultsDiv.appendChild(title);
 
     const loserText = document.createElement('p');
-    loserText.textContent = `${loserPlayer.name} crossed the limit with ${loserPlayer.score} points.`;
+    loserText.textContent = loserTeam
+      ? `${loserTeam.name} crossed the limit with ${loserTeam.score} points.`
+      : `${loserPlayer.name} crossed the limit with ${loserPlayer.score} points.`;
     resultsDiv.appendChild(loserText);
 
     const scoresTitle = document.createElement('h3');
     scoresTitle.textContent = 'Final Scores:';
     resultsDiv.appendChild(scoresTitle);
 
+    if (teams) {
+      teams.forEach(team => {
+        const teamDiv = document.createElement('div');
+        teamDiv.className = 'final-team-score';
+        teamDiv.textContent = `${team.name}: ${team.score}`;
+        resultsDiv.appendChild(teamDiv);
+      });
+    }
+
     players.forEach(p => {
       const scoreDiv = document.createElement('div');
       scoreDiv.textContent = `${p.name}: ${p.score}`;
@@ -950,14 +1463,465 @@ export class DOMRenderer extends GameRenderer {
     modal.classList.remove('hidden');
     this.elements.modalOverlay.classList.remove('hidden');
 
-    // Restart callback will be set by main.js or game controller
+    // GameLifecycle (main.js) handles the restart request
     restartBtn.onclick = () => {
       modal.classList.add('hidden');
       this.elements.modalOverlay.classList.add('hidden');
-      this.events.emit('GAME_RESTART_REQUESTED');
+      this.events.emit(GameEvents.GAME_RESTART_REQUESTED);
     };
   }
 
+  /**
+   * Ask whether to resume a saved game
+   * @param {string} summary - Short description of the saved game
+   * @returns {Promise<boolean>} True to resume, false to start a new game
+   */
+  showResumePrompt(summary) {
+    const { resumeModal, resumeSummary, resumeBtn, newGameBtn, modalOverlay } = this.elements;
+    if (!resumeModal) return Promise.resolve(false);
+
+    resumeSummary.textContent = summary;
+    resumeModal.classList.remove('hidden');
+    modalOverlay.classList.remove('hidden');
+
+    return new Promise((resolve) => {
+      const close = (resume) => {
+        resumeModal.classList.add('hidden');
+        modalOverlay.classList.add('hidden');
+        resumeBtn.onclick = null;
+        newGameBtn.onclick = null;
+        resolve(resume);
+      };
+      resumeBtn.onclick = () => close(true);
+      newGameBtn.onclick = () => close(false);
+      resumeBtn.focus();
+    });
+  }
+
+  /**
+   * Wire the new game settings screen (house rules preset, bots, pass-and-play humans, turn timer, hint bot, coach, practice mode and card counting)
+   * @param {Object} options
+   * @param {Object} options.presets - RULE_PRESETS (name -> {label, description})
+   * @param {Array<{type: string, name: string, description: string, version: string}>} options.bots - Selectable bots (listBots())
+   * @param {number[]} [options.turnTimeLimits] - Selectable turn timers in seconds (0 = off)
+   * @param {{preset: string, botAssignments: Object<number, string>, humanSeats?: number[], turnTimeLimit?: number, hintBot?: string, coach?: boolean, practice?: boolean, counter?: boolean}} options.current - Settings in use
+   * @param {Function} options.onApply - Called with the chosen {preset, botAssignments, humanSeats, turnTimeLimit, hintBot, coach, practice, counter}
+   */
+  setupSettings({ presets, bots, turnTimeLimits = [0], current, onApply }) {
+    const el = this.elements;
+    if (!el.settingsModal || !el.settingsBtn) return;
+
+    el.settingsBtn.classList.remove('hidden');
+
+    const select = el.rulesPresetSelect;
+    select.innerHTML = '';
+    for (const [name, preset] of Object.entries(presets)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = preset.label;
+      select.appendChild(option);
+    }
+
+    const botOption = (bot) => {
+      const option = document.createElement('option');
+      option.value = bot.type;
+      option.textContent = bot.name;
+      option.title = `${bot.description} (v${bot.version})`;
+      return option;
+    };
+
+    for (const botSelect of el.botSelects) {
+      botSelect.innerHTML = '';
+      for (const bot of bots) {
+        botSelect.appendChild(botOption(bot));
+      }
+      const human = document.createElement('option');
+      human.value = HUMAN_SEAT;
+      human.textContent = 'Human (pass & play)';
+      botSelect.appendChild(human);
+    }
+
+    const timerSelect = el.turnTimerSelect;
+    if (timerSelect) {
+      timerSelect.innerHTML = '';
+      // A limit given in the URL is offered even if it is not one of the usual choices
+      const limits = [...new Set([...turnTimeLimits, current.turnTimeLimit ?? 0])].sort((a, b) => a - b);
+      for (const seconds of limits) {
+        const option = document.createElement('option');
+        option.value = seconds;
+        option.textContent = seconds > 0 ? `${seconds} seconds per card` : 'Off';
+        timerSelect.appendChild(option);
+      }
+    }
+
+    const hintSelect = el.hintBotSelect;
+    if (hintSelect) {
+      hintSelect.innerHTML = '';
+      for (const bot of bots) {
+        hintSelect.appendChild(botOption(bot));
+      }
+    }
+
+    const showDescription = () => {
+      el.rulesPresetDescription.textContent = presets[select.value]?.description ?? '';
+    };
+
+    // Describe the bot picked in whichever bot select was touched last
+    const showBotDescription = (botSelect) => {
+      if (!el.botDescription) return;
+      const bot = bots.find(b => b.type === botSelect?.value);
+      el.botDescription.textContent = bot ? `${bot.name}: ${bot.description}` : '';
+    };
+    for (const botSelect of [...el.botSelects, hintSelect].filter(Boolean)) {
+      botSelect.onchange = () => showBotDescription(botSelect);
+      botSelect.onfocus = () => showBotDescription(botSelect);
+    }
+
+    const close = () => {
+      el.settingsModal.classList.add('hidden');
+      el.modalOverlay.classList.add('hidden');
+      el.settingsBtn.focus();
+    };
+
+    el.settingsBtn.onclick = () => {
+      select.value = current.preset;
+      const humanSeats = current.humanSeats ?? [0];
+      for (const botSelect of el.botSelects) {
+        const seat = Number(botSelect.dataset.seat);
+        botSelect.value = humanSeats.includes(seat)
+          ? HUMAN_SEAT
+          : current.botAssignments[seat] ?? bots[0]?.type;
+      }
+      if (timerSelect) timerSelect.value = current.turnTimeLimit ?? 0;
+      if (hintSelect) hintSelect.value = current.hintBot ?? bots[0]?.type;
+      if (el.coachToggle) el.coachToggle.checked = !!current.coach;
+      if (el.practiceToggle) el.practiceToggle.checked = !!current.practice;
+      if (el.counterToggle) el.counterToggle.checked = !!current.counter;
+      showDescription();
+      showBotDescription(el.botSelects.find(botSelect => botSelect.value !== HUMAN_SEAT));
+      el.settingsModal.classList.remove('hidden');
+      el.modalOverlay.classList.remove('hidden');
+      select.focus();
+    };
+    select.onchange = showDescription;
+    el.settingsCancelBtn.onclick = close;
+    el.settingsApplyBtn.onclick = () => {
+      const botAssignments = {};
+      const humanSeats = [];
+      for (const botSelect of el.botSelects) {
+        const seat = Number(botSelect.dataset.seat);
+        if (botSelect.value === HUMAN_SEAT) {
+          humanSeats.push(seat);
+        } else {
+          botAssignments[seat] = botSelect.value;
+        }
+      }
+      if (humanSeats.length === 0) {
+        if (el.botDescription) el.botDescription.textContent = 'Make at least one seat human.';
+        return;
+      }
+      current = {
+        preset: select.value,
+        botAssignments,
+        humanSeats,
+        turnTimeLimit: timerSelect ? Number(timerSelect.value) : 0,
+        hintBot: hintSelect?.value,
+        coach: !!el.coachToggle?.checked,
+        practice: !!el.practiceToggle?.checked,
+        counter: !!el.counterToggle?.checked
+      };
+      close();
+      onApply(current);
+    };
+  }
+
+  /**
+   * Screen slot (0 bottom, 1 right, 2 top, 3 left) where a seat is drawn
+   * @param {number} seat - Seat index (0-3)
+   * @returns {number} Slot index
+   */
+  seatToSlot(seat) {
+    return (seat - this.viewSeat + 4) % 4;
+  }
+
+  /**
+   * Seat drawn at a screen slot
+   * @param {number} slot - Slot index (0 bottom, 1 right, 2 top, 3 left)
+   * @returns {number} Seat index
+   */
+  slotToSeat(slot) {
+    return (slot + this.viewSeat) % 4;
+  }
+
+  /**
+   * Rotate the table so a seat is shown at the bottom with its hand face-up
+   * @param {number} seat - Seat index (0-3)
+   */
+  setViewSeat(seat) {
+    this.viewSeat = seat;
+    this.applySeatLabels();
+
+    // Move cards already on the trick pile to their new slots
+    this.elements.trickPile?.querySelectorAll('.card[data-seat]').forEach((cardEl) => {
+      for (let i = 0; i < 4; i++) cardEl.classList.remove(`trick-pos-${i}`);
+      cardEl.classList.add(`trick-pos-${this.seatToSlot(Number(cardEl.dataset.seat))}`);
+    });
+
+    if (this.lastPlayers) {
+      this.updatePlayerScoreDisplays(this.lastPlayers);
+    }
+    if (this.allHands) {
+      this.lastRenderedHandKey = null;
+      this.renderHands(this.allHands, { force: true });
+    }
+    this.elements.humanHand?.classList.remove('concealed');
+  }
+
+  /**
+   * Write player names and score hooks onto the four table slots for the current view
+   */
+  applySeatLabels() {
+    for (let slot = 0; slot < 4; slot++) {
+      const seat = this.slotToSeat(slot);
+      const area = document.getElementById(PLAYER_ELEMENT_IDS[slot]);
+      if (!area) continue;
+
+      const nameEl = area.querySelector('.name');
+      if (nameEl && this.playerNames[seat]) {
+        nameEl.textContent = this.playerNames[seat];
+      }
+      const summary = area.querySelector('.hand-summary');
+      if (summary) {
+        summary.dataset.playerIndex = seat;
+      }
+    }
+  }
+
+  /**
+   * Wire the networked-play lobby
+   * @param {Object} handlers
+   * @param {Function} handlers.onClaimSeat - Called with a seat index, or null to stand up
+   * @param {Function} handlers.onStart - Start the game (empty seats get bots)
+   */
+  setupLobby({ onClaimSeat, onStart }) {
+    this.lobbyHandlers = { onClaimSeat, onStart };
+    if (this.elements.lobbyStartBtn) {
+      this.elements.lobbyStartBtn.onclick = () => onStart();
+    }
+  }
+
+  /**
+   * Show the room's seats while it is in the lobby (hidden once a game runs)
+   * @param {Object} room - ROOM_STATE from the server
+   */
+  showLobby(room) {
+    const { lobbyModal, lobbyTitle, lobbySeats, lobbyStartBtn, modalOverlay } = this.elements;
+    if (!lobbyModal) return;
+
+    if (room.phase !== 'lobby') {
+      this.hideLobby();
+      return;
+    }
+
+    lobbyTitle.textContent = `Room “${room.roomId}”`;
+    lobbySeats.innerHTML = '';
+    for (const seat of room.seats) {
+      const row = document.createElement('li');
+      row.className = 'lobby-seat';
+      row.classList.add(seat.seat % 2 === 0 ? 'team-blue' : 'team-red');
+
+      const label = document.createElement('span');
+      label.textContent = `Seat ${seat.seat + 1}: ${seat.taken ? seat.name : 'Open (bot)'}`;
+      row.appendChild(label);
+
+      const mine = room.yourSeat === seat.seat;
+      if (mine || !seat.taken) {
+        const btn = document.createElement('button');
+        btn.textContent = mine ? 'Stand up' : 'Sit here';
+        btn.onclick = () => this.lobbyHandlers?.onClaimSeat(mine ? null : seat.seat);
+        row.appendChild(btn);
+      }
+      lobbySeats.appendChild(row);
+    }
+
+    lobbyStartBtn.disabled = room.yourSeat === null;
+    lobbyModal.classList.remove('hidden');
+    modalOverlay.classList.remove('hidden');
+  }
+
+  /**
+   * Remove the lobby
+   */
+  hideLobby() {
+    const { lobbyModal, modalOverlay } = this.elements;
+    if (!lobbyModal || lobbyModal.classList.contains('hidden')) return;
+    lobbyModal.classList.add('hidden');
+    modalOverlay.classList.add('hidden');
+  }
+
+  /**
+   * Cover the table until the named player confirms they have the device
+   * @param {number} playerIndex - Seat taking over
+   * @param {string} playerName - Player name
+   */
+  showHandoff(playerIndex, playerName) {
+    const { handoffModal, handoffText, handoffReadyBtn, modalOverlay, humanHand } = this.elements;
+    if (!handoffModal) return;
+
+    this.hideBotHand();
+    humanHand.classList.add('concealed');
+    handoffText.textContent = `Hand the device to ${playerName}. Everyone else, look away!`;
+    handoffReadyBtn.textContent = `I'm ${playerName} — show my cards`;
+    handoffModal.classList.remove('hidden');
+    modalOverlay.classList.add('privacy');
+    modalOverlay.classList.remove('hidden');
+
+    handoffReadyBtn.onclick = () => {
+      this.hideHandoff();
+      this.events.emit(GameEvents.HOT_SEAT_READY, { playerIndex });
+    };
+    handoffReadyBtn.focus();
+  }
+
+  /**
+   * Remove the handoff screen
+   */
+  hideHandoff() {
+    const { handoffModal, handoffReadyBtn, modalOverlay } = this.elements;
+    if (!handoffModal || handoffModal.classList.contains('hidden')) return;
+
+    handoffModal.classList.add('hidden');
+    modalOverlay.classList.remove('privacy');
+    modalOverlay.classList.add('hidden');
+    handoffReadyBtn.onclick = null;
+  }
+
+  /**
+   * Wire the pause button and speed selector in the HUD
+   * @param {Object} options
+   * @param {Object<string, string>} options.speeds - Speed key -> label
+   * @param {string} options.speed - Speed in use
+   * @param {Function} options.onPauseToggle - Called when the pause button is pressed
+   * @param {Function} options.onSpeedChange - Called with the chosen speed key
+   */
+  setupGameControls({ speeds, speed, onPauseToggle, onSpeedChange }) {
+    const { pauseBtn, speedSelect } = this.elements;
+    if (!pauseBtn || !speedSelect) return;
+
+    speedSelect.innerHTML = '';
+    for (const [key, label] of Object.entries(speeds)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      speedSelect.appendChild(option);
+    }
+    speedSelect.value = speed;
+
+    pauseBtn.onclick = () => onPauseToggle();
+    speedSelect.onchange = () => onSpeedChange(speedSelect.value);
+
+    pauseBtn.classList.remove('hidden');
+    speedSelect.classList.remove('hidden');
+  }
+
+  /**
+   * Show the hint button (enabled while the player is choosing cards; H does the same)
+   */
+  setupHints() {
+    const { hintBtn } = this.elements;
+    if (!hintBtn) return;
+
+    hintBtn.onclick = () => this.events.emit(GameEvents.HINT_REQUESTED);
+    hintBtn.classList.remove('hidden');
+  }
+
+  /**
+   * Show the undo button in practice games (enabled while a play can be taken back; U does the same)
+   * @param {boolean} practice
+   */
+  setPracticeMode(practice) {
+    const { undoBtn } = this.elements;
+    if (!undoBtn) return;
+
+    undoBtn.onclick = () => this.events.emit(GameEvents.UNDO_REQUESTED);
+    undoBtn.classList.toggle('hidden', !practice);
+    undoBtn.disabled = true;
+  }
+
+  /**
+   * @returns {boolean} Whether the human choosing a play may take back their previous one
+   */
+  canRequestUndo() {
+    return this.selectionMode === 'play' && this.undoAvailable
+      && !!this.elements.undoBtn && !this.elements.undoBtn.classList.contains('hidden');
+  }
+
+  /**
+   * Redraw hands and the trick in progress from a GAME_RESUMED / GAME_UNDONE payload
+   * @param {Object} data - { hands, trick }
+   */
+  redrawTable(data) {
+    this.clearTrickPile();
+    this.renderHands(data.hands, { force: true });
+    if (this.revealAllHands) this.renderRevealedHands(data.hands);
+    data.trick.forEach((play, position) => this.renderTrickCard(play.card, play.player, position));
+  }
+
+  /**
+   * Highlight the hinted cards in the hand and say what the bot would do
+   * @param {Object} hint - HINT_READY payload
+   */
+  showHint({ mode, cards, botType }) {
+    if (!this.selectionMode) return;
+
+    const keys = new Set(cards.map(card => `${card.suit}${card.rank}`));
+    this.elements.humanHand.querySelectorAll('.card').forEach((el) => {
+      el.classList.toggle('hinted', keys.has(el.dataset.key));
+    });
+
+    const verb = mode === 'pass' ? 'pass' : 'play';
+    this.showNotification(`${botType.toUpperCase()} would ${verb} ${cards.join(', ')}`, 'info', TIMING.NOTIFICATION_DEFAULT);
+  }
+
+  /**
+   * Sum up the round's flagged plays in one notification
+   * @param {Object} summary - COACH_ROUND_SUMMARY payload
+   */
+  showCoachSummary({ roundNumber, warnings }) {
+    const counts = new Map();
+    for (const warning of warnings) {
+      counts.set(warning.kind, (counts.get(warning.kind) ?? 0) + 1);
+    }
+    const details = [...counts]
+      .map(([kind, count]) => `${count}× ${COACH_WARNING_LABELS[kind] ?? kind}`)
+      .join(', ');
+    const plays = warnings.length === 1 ? '1 risky play' : `${warnings.length} risky plays`;
+    this.showNotification(`Coach, round ${roundNumber}: ${plays} (${details})`, 'warning', TIMING.NOTIFICATION_ERROR * 2);
+  }
+
+  /**
+   * Reflect the paused state on the pause button and status line
+   * @param {boolean} paused
+   */
+  setPausedState(paused) {
+    const { pauseBtn, status } = this.elements;
+    if (!pauseBtn || this.isPaused === paused) return;
+    this.isPaused = paused;
+
+    pauseBtn.setAttribute('aria-pressed', String(paused));
+    pauseBtn.setAttribute('aria-label', paused ? 'Resume game' : 'Pause game');
+    pauseBtn.title = paused ? 'Resume' : 'Pause';
+    pauseBtn.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+
+    if (paused) {
+      this.statusBeforePause = status?.textContent ?? '';
+      this.updateStatus('Paused');
+    } else if (this.statusBeforePause !== null) {
+      this.updateStatus(this.statusBeforePause);
+      this.statusBeforePause = null;
+    }
+  }
+
   /**
    * Animate trick cards being collected by the winner
    * @param {number} winnerIndex - Index of the winning player (0-3)
@@ -966,7 +1930,7 @@ export class DOMRenderer extends GameRenderer {
     const cards = this.elements.trickPile.querySelectorAll('.card');
     if (cards.length === 0) return;
 
-    const target = CARD_DISPLAY.COLLECTION_OFFSETS[winnerIndex];
+    const target = CARD_DISPLAY.COLLECTION_OFFSETS[this.seatToSlot(winnerIndex)];
 
     // Animate each card toward the winner
     cards.forEach((card) => {
@@ -1003,14 +1967,15 @@ export class DOMRenderer extends GameRenderer {
       { id: 'player-left', index: 3 }
     ];
 
-    botIds.forEach(({ id, index }) => {
+    botIds.forEach(({ id, index: slot }) => {
       const el = document.getElementById(id);
       if (el) {
-        el.addEventListener('mouseenter', (e) => this.showBotHand(index, el));
+        el.addEventListener('mouseenter', (e) => this.showBotHand(this.slotToSeat(slot), el));
         el.addEventListener('mouseleave', () => this.hideBotHand());
         // Mobile support (long press? or just tap?) - Tap to toggle maybe?
         el.addEventListener('click', (e) => {
           // If already showing this one, hide it. Else show.
+          const index = this.slotToSeat(slot);
           const existing = document.querySelector('.bot-hand-preview');
           if (existing && existing.dataset.playerIndex == index) {
             this.hideBotHand();
@@ -1024,6 +1989,7 @@ export class DOMRenderer extends GameRenderer {
 
   showBotHand(playerIndex, targetEl) {
     this.hideBotHand(); // Clear existing
+    if (this.revealAllHands) return; // Already face-up
 
     if (!this.allHands || !this.allHands[playerIndex]) return;
 
@@ -1077,7 +2043,7 @@ export class DOMRenderer extends GameRenderer {
   }
 
   hideBotHand() {
-    const existing = document.querySelectorAll('.bot-hand-preview');
+    const existing = document.querySelectorAll('.bot-hand-preview:not(.revealed-hand)');
     existing.forEach(el => el.remove());
   }
 
@@ -0,0 +1,254 @@
+"use strict";
+/**
+ * Replay of recorded games (see game-record.js)
+ * Rebuilds the table at any trick of any round by re-applying the recorded
+ * deal, passes and plays to a GameState, then pushes the result to the
+ * renderer through the normal game events.
+ */
+import { Card } from './card.js';
+import { Player } from './player.js';
+import { GameState } from './game-state.js';
+import { GameRecorder } from './game-record.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Stand-in player for replays. Never asked for decisions: the replay
+ * controller applies recorded moves directly.
+ */
+class ReplayPlayer extends Player {
+    async choosePassCards() {
+        throw new Error('ReplayPlayer does not make decisions');
+    }
+
+    async playCard() {
+        throw new Error('ReplayPlayer does not make decisions');
+    }
+}
+
+/**
+ * A record saved mid-trick ends with a trick nobody has won yet
+ * @param {{plays: Array, winner: number|null}} trick - Recorded trick
+ * @param {number} playerCount
+ * @returns {boolean}
+ */
+function isTrickInProgress(trick, playerCount) {
+    return trick.plays.length < playerCount || trick.winner === null || trick.winner === undefined;
+}
+
+/**
+ * Steps through a recorded game trick-by-trick.
+ * Position is (roundIndex, trickCount): trickCount 0 shows hands right after
+ * passing, trickCount N shows the table after the Nth trick of the round.
+ */
+export class ReplayController {
+    /**
+     * @param {GameEventEmitter} eventEmitter - Event emitter the renderer listens to
+     * @param {Object} record - Game record (validated with GameRecorder.parse)
+     */
+    constructor(eventEmitter, record) {
+        /** @type {GameEventEmitter} */
+        this.events = eventEmitter;
+        /** @type {Object} The game record being replayed */
+        this.record = GameRecorder.parse(record);
+        /** @type {GameState} Engine instance used to re-apply moves (its game loop is never started) */
+        this.game = new GameState(eventEmitter, { seed: this.record.seed, rules: this.record.rules });
+        this.game.players = this.record.players.map(p => new ReplayPlayer(p.name, p.position));
+        /** @type {number} Index into record.rounds */
+        this.roundIndex = 0;
+        /** @type {number} Number of tricks of the round already applied */
+        this.trickCount = 0;
+        /** @type {boolean} Whether all four hands are shown face-up */
+        this.showAllHands = false;
+    }
+
+    /**
+     * @returns {number} Number of recorded rounds
+     */
+    get roundCount() {
+        return this.record.rounds.length;
+    }
+
+    /**
+     * @returns {number} Number of recorded tricks in the current round
+     */
+    get trickTotal() {
+        return this.record.rounds[this.roundIndex]?.tricks.length ?? 0;
+    }
+
+    /**
+     * Emit the game setup events and show the first position
+     */
+    start() {
+        this.events.emit(GameEvents.GAME_INITIALIZED, {
+            players: this.game.getPlayersData()
+        });
+        this.goTo(0, 0);
+    }
+
+    /**
+     * Step forward one trick (rolls into the next round at the end of a round)
+     * @returns {boolean} False if already at the end of the game
+     */
+    stepForward() {
+        if (this.trickCount < this.trickTotal) {
+            this.goTo(this.roundIndex, this.trickCount + 1);
+            return true;
+        }
+        if (this.roundIndex < this.roundCount - 1) {
+            this.goTo(this.roundIndex + 1, 0);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Step back one trick (rolls into the previous round's last trick)
+     * @returns {boolean} False if already at the start of the game
+     */
+    stepBack() {
+        if (this.trickCount > 0) {
+            this.goTo(this.roundIndex, this.trickCount - 1);
+            return true;
+        }
+        if (this.roundIndex > 0) {
+            const previous = this.record.rounds[this.roundIndex - 1];
+            this.goTo(this.roundIndex - 1, previous.tricks.length);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Jump to the start of a round
+     * @param {number} roundIndex - Index into record.rounds
+     */
+    jumpToRound(roundIndex) {
+        this.goTo(roundIndex, 0);
+    }
+
+    /**
+     * Toggle face-up display of all four hands
+     * @param {boolean} show
+     */
+    setShowAllHands(show) {
+        this.showAllHands = !!show;
+        this.emitPosition();
+    }
+
+    /**
+     * Rebuild the table at a given position
+     * @param {number} roundIndex - Index into record.rounds
+     * @param {number} trickCount - Tricks of that round to apply (0..13)
+     */
+    goTo(roundIndex, trickCount) {
+        if (this.roundCount === 0) return;
+
+        this.roundIndex = Math.max(0, Math.min(roundIndex, this.roundCount - 1));
+        this.trickCount = Math.max(0, Math.min(trickCount, this.trickTotal));
+
+        this.applyRound(this.record.rounds[this.roundIndex], this.trickCount);
+        this.emitPosition();
+    }
+
+    /**
+     * Re-apply the deal, passes and the first N tricks of a round to the engine
+     * @param {Object} round - Recorded round
+     * @param {number} trickCount - Number of tricks to apply
+     */
+    applyRound(round, trickCount) {
+        const game = this.game;
+        const previousScores = round.startScores
+            ?? (this.roundIndex > 0 ? this.record.rounds[this.roundIndex - 1].scores : null)
+            ?? [0, 0, 0, 0];
+
+        game.roundNumber = round.roundNumber;
+        game.dealerIndex = round.dealerIndex ?? 0;
+        game.cardTracker.reset();
+        game.trick = [];
+
+        game.players.forEach((player, i) => {
+            player.score = previousScores?.[i] ?? 0;
+            player.currentRoundPoints = 0;
+            player.hand = round.deal[i].map(id => Card.fromId(id));
+            player.sortHand();
+        });
+
+        // Passes: remove everything first, then deliver (mirrors handlePassingPhase)
+        const passed = round.passes.map(pass => ({
+            ...pass,
+            cards: game.players[pass.from].hand.filter(c => pass.cards.includes(c.id))
+        }));
+        passed.forEach(pass => game.players[pass.from].removeCards(pass.cards));
+        passed.forEach(pass => game.players[pass.to].receiveCards(pass.cards));
+        game.initialHands = game.players.map(p => p.hand.map(card => card.id));
+
+        for (let t = 0; t < trickCount; t++) {
+            const recorded = round.tricks[t];
+            game.trick = [];
+
+            for (const play of recorded.plays) {
+                const player = game.players[play.player];
+                const card = player.hand.find(c => c.id === play.card);
+                if (!card) {
+                    throw new Error(`Replay: ${play.card} not in ${player.name}'s hand (round ${round.roundNumber}, trick ${t + 1})`);
+                }
+                player.removeCards([card]);
+                game.trick.push({ player: play.player, card });
+                game.cardTracker.recordCardPlayed(card, play.player, game.trick.slice(0, -1));
+            }
+
+            // Left on the table, unscored, like the live game mid-trick
+            if (isTrickInProgress(recorded, game.players.length)) break;
+
+            const winner = game.evaluateTrick(game.trick, game.trick[0].card.suit);
+            const points = game.trick.reduce((acc, p) => acc + game.getCardPoints(p.card), 0);
+            game.players[winner].currentRoundPoints += points;
+            game.cardTracker.endTrick();
+        }
+    }
+
+    /**
+     * Push the current position to the renderer through game events
+     */
+    emitPosition() {
+        const game = this.game;
+        const round = this.record.rounds[this.roundIndex];
+        if (!round) return;
+
+        this.events.emit(GameEvents.TRICK_PILE_CLEAR);
+        this.events.emit(GameEvents.HAND_UPDATED, {
+            hands: game.getHandsData()
+        });
+
+        // Show the trick that was just completed
+        for (const [position, play] of game.trick.entries()) {
+            this.events.emit(GameEvents.CARD_PLAYED, {
+                card: play.card,
+                playerIndex: play.player,
+                position
+            });
+        }
+
+        this.events.emit(GameEvents.SCORE_UPDATED, game.getScoreData());
+
+        let message = `Replay · Round ${round.roundNumber} · after passing`;
+        if (this.trickCount > 0) {
+            const trick = round.tricks[this.trickCount - 1];
+            const position = `Replay · Round ${round.roundNumber} · Trick ${this.trickCount}/${this.trickTotal}`;
+            message = isTrickInProgress(trick, game.players.length)
+                ? `${position} · Trick ${this.trickCount} in progress`
+                : `${position} · ${game.players[trick.winner]?.name ?? '?'} takes ${trick.points} pts`;
+        }
+        this.events.emit(GameEvents.STATUS_MESSAGE, { message });
+
+        this.events.emit(GameEvents.REPLAY_POSITION_CHANGED, {
+            roundIndex: this.roundIndex,
+            roundCount: this.roundCount,
+            roundNumbers: this.record.rounds.map(r => r.roundNumber),
+            trickCount: this.trickCount,
+            trickTotal: this.trickTotal,
+            showAllHands: this.showAllHands,
+            hands: this.showAllHands ? game.getHandsData() : null
+        });
+    }
+}
@@ -0,0 +1,61 @@
+"use strict";
+/**
+ * Seedable pseudo-random number generation
+ * Lets a game be replayed deal-for-deal from a single recorded seed
+ */
+
+/**
+ * Generate a fresh 32-bit seed from Math.random()
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Normalize a user-supplied seed to an unsigned 32-bit integer.
+ * Numeric strings are parsed as numbers; any other string is hashed (FNV-1a).
+ * @param {number|string|null|undefined} value - Seed value
+ * @returns {number|null} Normalized seed, or null if no seed was given
+ */
+export function normalizeSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.trunc(value) >>> 0;
+    }
+
+    const str = String(value).trim();
+    if (/^\d+$/.test(str)) {
+        return Number(str) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * The returned function behaves like Math.random(): each call yields a float in [0, 1).
+ * Its internal state can be read and restored so a saved game continues the same sequence.
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {(() => number) & {seed: number, getState: () => number, setState: (state: number) => void}}
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    const rng = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed >>> 0;
+    rng.getState = () => state;
+    rng.setState = (value) => { state = value >>> 0; };
+    return rng;
+}
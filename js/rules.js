@@ -0,0 +1,180 @@
+"use strict";
+/**
+ * House rules for a Leekha game
+ * A single rules object is passed to GameState; the engine, CardTracker and
+ * BotAdapter contexts all read scoring, passing and leading rules from it.
+ */
+import {
+    GAME_RULES,
+    PASS_DIRECTIONS,
+    PASS_DIRECTION_ROTATE,
+    PASS_OFFSETS
+} from './constants.js';
+
+/**
+ * Who leads the first trick of round 1
+ * @enum {string}
+ */
+export const FIRST_LEADER = {
+    RANDOM_DEALER: 'randomDealer',  // A randomly chosen dealer leads
+    TWO_OF_CLUBS: 'twoOfClubs'      // Whoever holds 2♣ after passing leads
+};
+
+/**
+ * Who leads the first trick of later rounds
+ * @enum {string}
+ */
+export const LATER_LEADER = {
+    QUEEN_OF_SPADES_TAKER: 'queenOfSpadesTaker',  // Whoever took Q♠ last round deals and leads
+    ROTATE: 'rotate',                             // The deal (and lead) moves one seat each round
+    TWO_OF_CLUBS: 'twoOfClubs'                    // Whoever holds 2♣ after passing leads
+};
+
+/**
+ * How round points count toward the score limit
+ * @enum {string}
+ */
+export const SCORING_MODES = {
+    INDIVIDUAL: 'individual',  // Each player's total is checked against the limit
+    TEAM: 'team'               // Partners' points are pooled (seats 0 & 2 vs 1 & 3)
+};
+
+/**
+ * Classic table rules (what the game has always played)
+ */
+export const DEFAULT_RULES = Object.freeze({
+    scoreLimit: GAME_RULES.SCORE_LIMIT,
+    scoringMode: SCORING_MODES.INDIVIDUAL,
+    forcedLeekha: true,
+    passCount: GAME_RULES.PASS_CARDS_COUNT,
+    passDirection: PASS_DIRECTIONS.LEFT,
+    points: Object.freeze({
+        heart: 1,
+        queenOfSpades: 13,
+        tenOfDiamonds: 10
+    }),
+    firstLeader: FIRST_LEADER.RANDOM_DEALER,
+    laterLeader: LATER_LEADER.QUEEN_OF_SPADES_TAKER
+});
+
+/**
+ * Named rule presets offered on the settings screen
+ */
+export const RULE_PRESETS = {
+    classic: {
+        label: 'Classic',
+        description: 'Pass 3 left, forced Leekha, Q♠ taker leads next round, game to 101.',
+        rules: {}
+    },
+    rotating: {
+        label: 'Rotating Passes',
+        description: 'Passing rotates left, right, across, then no pass. The deal moves one seat each round.',
+        rules: {
+            passDirection: PASS_DIRECTION_ROTATE,
+            laterLeader: LATER_LEADER.ROTATE
+        }
+    },
+    relaxed: {
+        label: 'Relaxed',
+        description: 'No forced Leekha: when void you may discard anything. Game to 151.',
+        rules: {
+            forcedLeekha: false,
+            scoreLimit: 151
+        }
+    },
+    quick: {
+        label: 'Quick Game',
+        description: 'Pass 2 cards, game to 51. 2♣ leads every round.',
+        rules: {
+            scoreLimit: 51,
+            passCount: 2,
+            firstLeader: FIRST_LEADER.TWO_OF_CLUBS,
+            laterLeader: LATER_LEADER.TWO_OF_CLUBS
+        }
+    },
+    partnership: {
+        label: 'Partnership',
+        description: 'Team scoring: partners pool their points and the first team to 201 loses.',
+        rules: {
+            scoringMode: SCORING_MODES.TEAM,
+            scoreLimit: 201
+        }
+    }
+};
+
+export const DEFAULT_PRESET = 'classic';
+
+/**
+ * Build a complete, validated, frozen rules object
+ * @param {Object} [overrides] - Rule values to change from DEFAULT_RULES
+ * @returns {Readonly<Object>} Rules
+ * @throws {Error} If a rule value is invalid
+ */
+export function createRules(overrides = {}) {
+    const rules = {
+        ...DEFAULT_RULES,
+        ...overrides,
+        points: { ...DEFAULT_RULES.points, ...(overrides.points || {}) }
+    };
+
+    if (!Number.isInteger(rules.scoreLimit) || rules.scoreLimit <= 0) {
+        throw new Error(`Rules: scoreLimit must be a positive integer, got ${rules.scoreLimit}`);
+    }
+    if (!Number.isInteger(rules.passCount) || rules.passCount < 0 || rules.passCount > GAME_RULES.HAND_SIZE) {
+        throw new Error(`Rules: passCount must be between 0 and ${GAME_RULES.HAND_SIZE}, got ${rules.passCount}`);
+    }
+    if (rules.passDirection !== PASS_DIRECTION_ROTATE && !(rules.passDirection in PASS_OFFSETS)) {
+        throw new Error(`Rules: unknown pass direction "${rules.passDirection}"`);
+    }
+    if (!Object.values(SCORING_MODES).includes(rules.scoringMode)) {
+        throw new Error(`Rules: unknown scoringMode "${rules.scoringMode}"`);
+    }
+    if (!Object.values(FIRST_LEADER).includes(rules.firstLeader)) {
+        throw new Error(`Rules: unknown firstLeader "${rules.firstLeader}"`);
+    }
+    if (!Object.values(LATER_LEADER).includes(rules.laterLeader)) {
+        throw new Error(`Rules: unknown laterLeader "${rules.laterLeader}"`);
+    }
+    for (const [key, value] of Object.entries(rules.points)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Rules: points.${key} must be a number, got ${value}`);
+        }
+    }
+
+    rules.forcedLeekha = !!rules.forcedLeekha;
+    rules.points = Object.freeze(rules.points);
+    return Object.freeze(rules);
+}
+
+/**
+ * Build rules from a preset name
+ * @param {string} name - Key of RULE_PRESETS
+ * @param {Object} [overrides] - Further rule changes on top of the preset
+ * @returns {Readonly<Object>} Rules
+ */
+export function rulesFromPreset(name, overrides = {}) {
+    const preset = RULE_PRESETS[name] || RULE_PRESETS[DEFAULT_PRESET];
+    return createRules({ ...preset.rules, ...overrides });
+}
+
+/**
+ * Point value of a card under the given rules
+ * @param {{suit: string, rank: string}} card - Card
+ * @param {Object} [rules] - Rules (defaults to DEFAULT_RULES)
+ * @returns {number}
+ */
+export function cardPoints(card, rules = DEFAULT_RULES) {
+    if (card.suit === 'H') return rules.points.heart;
+    if (card.suit === 'S' && card.rank === 'Q') return rules.points.queenOfSpades;
+    if (card.suit === 'D' && card.rank === '10') return rules.points.tenOfDiamonds;
+    return 0;
+}
+
+/**
+ * Format a point count for messages
+ * @param {number} points
+ * @returns {string} e.g. "1 pt", "13 pts"
+ */
+export function pointsLabel(points) {
+    return `${points} ${points === 1 ? 'pt' : 'pts'}`;
+}
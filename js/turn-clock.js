@@ -0,0 +1,87 @@
+"use strict";
+/**
+ * Turn clock
+ * Limits how long a human may take over one play. Its signal aborts when the
+ * time runs out (or when the game's own signal aborts), which withdraws the
+ * selection on screen; the clock stands still while the game is paused.
+ */
+import { abortError } from './abort.js';
+
+/** Abort reason when the time runs out */
+export const TURN_TIME_EXPIRED = 'Turn time expired';
+
+export class TurnClock {
+    /**
+     * Start the clock
+     * @param {number} limitMs - Time allowed for the turn
+     * @param {AbortSignal} [parentSignal] - Game signal; aborting it stops the clock and aborts its signal
+     */
+    constructor(limitMs, parentSignal) {
+        /** @type {number} Time allowed for the turn */
+        this.limitMs = limitMs;
+        /** @type {number} Time left when the clock was last started */
+        this.remainingMs = limitMs;
+        /** @type {number} When the clock was last started (Date.now()) */
+        this.startedAt = Date.now();
+        /** @type {boolean} Whether the time ran out */
+        this.expired = false;
+        /** @type {AbortController} */
+        this.controller = new AbortController();
+        /** @type {AbortSignal} Pass to the player's decision: aborts on expiry or with the game */
+        this.signal = this.controller.signal;
+        /** @type {AbortSignal|null} */
+        this.parentSignal = parentSignal ?? null;
+        /** @type {Function} */
+        this.onParentAbort = () => this.abort(abortError(this.parentSignal.reason));
+        /** @type {*} Pending expiry timeout (null while paused or stopped) */
+        this.timer = null;
+
+        if (this.parentSignal?.aborted) {
+            this.onParentAbort();
+            return;
+        }
+        this.parentSignal?.addEventListener('abort', this.onParentAbort, { once: true });
+        this.timer = setTimeout(() => this.expire(), this.remainingMs);
+    }
+
+    /**
+     * Stop the countdown, keeping the time left
+     */
+    pause() {
+        if (this.timer === null) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remainingMs = Math.max(0, this.remainingMs - (Date.now() - this.startedAt));
+    }
+
+    /**
+     * Continue the countdown with the time left
+     */
+    resume() {
+        if (this.timer !== null || this.signal.aborted) return;
+        this.startedAt = Date.now();
+        this.timer = setTimeout(() => this.expire(), this.remainingMs);
+    }
+
+    /**
+     * Stop the clock for good (the turn was played or abandoned)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.parentSignal?.removeEventListener('abort', this.onParentAbort);
+    }
+
+    expire() {
+        this.expired = true;
+        this.abort(abortError(TURN_TIME_EXPIRED));
+    }
+
+    /**
+     * @param {Error} reason
+     */
+    abort(reason) {
+        this.stop();
+        this.controller.abort(reason);
+    }
+}
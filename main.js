@@ -1,10 +1,379 @@
 "use strict";
 import { GameState } from './js/game-state.js';
+import { isBotType, getBotTypes, getBotInfo, listBots } from './js/bot-registry.js';
 import { HumanPlayer, BotPlayer } from './js/player.js';
-import { GameEventEmitter } from './js/events.js';
+import { GameEventEmitter, GameEvents } from './js/events.js';
 import { DOMRenderer } from './js/renderer.js';
 import { DOMInputController } from './js/input-controller.js';
 import { AudioManager } from './js/audio.js';
+import { GameRecorder } from './js/game-record.js';
+import { ReplayController } from './js/replay.js';
+import { LocalStorageCheckpointStore } from './js/checkpoint-store.js';
+import { GameLifecycle } from './js/game-lifecycle.js';
+import { HotSeatSession } from './js/hot-seat.js';
+import { NetworkClient } from './js/network-client.js';
+import { EventView, OMNISCIENT } from './js/event-views.js';
+import { PlayAnnotator } from './js/play-annotator.js';
+import { HintAdvisor } from './js/hint-advisor.js';
+import { PlayCoach } from './js/play-coach.js';
+import { CardCounter } from './js/card-counter.js';
+import { RULE_PRESETS, DEFAULT_PRESET, rulesFromPreset } from './js/rules.js';
+import {
+    GAME_SPEEDS,
+    GAME_SPEED_LABELS,
+    DEFAULT_GAME_SPEED,
+    DEFAULT_BOT_TYPE,
+    TURN_TIME_LIMITS,
+    DEFAULT_TURN_TIME_LIMIT,
+    PASS_DIRECTIONS,
+    PASS_DIRECTION_ROTATE
+} from './js/constants.js';
+
+/** localStorage key for the house rules preset chosen on the settings screen */
+const RULES_PRESET_KEY = 'leekha.rulesPreset';
+
+/** localStorage key for the game speed chosen in the HUD */
+const GAME_SPEED_KEY = 'leekha.speed';
+
+/** localStorage key for the turn timer chosen on the settings screen */
+const TURN_TIMER_KEY = 'leekha.turnTimer';
+
+/** localStorage key for the bot giving hints, chosen on the settings screen */
+const HINT_BOT_KEY = 'leekha.hintBot';
+
+/** localStorage key for the coach switch on the settings screen */
+const COACH_KEY = 'leekha.coach';
+
+/** localStorage key for the practice game switch on the settings screen */
+const PRACTICE_KEY = 'leekha.practice';
+
+/** localStorage key for the card-counting panel switch on the settings screen */
+const COUNTER_KEY = 'leekha.counter';
+
+/** sessionStorage key prefix for the server-assigned client id (per room), so a reload reclaims the seat */
+const CLIENT_ID_KEY = 'leekha.clientId.';
+
+/** Bot names and table positions by seat; a lone human is "You" wherever they sit */
+const SEAT_NAMES = ['You', 'Eddy', 'Pat', 'Walid'];
+const SEAT_0_BOT_NAME = 'Sami';
+const SEAT_POSITIONS = ['bottom', 'right', 'top', 'left'];
+
+/** Seat names in spectator mode, where no seat is "You" */
+const COMPASS_NAMES = ['South', 'East', 'North', 'West'];
+
+/**
+ * Parse a ?humans=0,2 list of human seats (any non-empty subset of seats)
+ * @param {string|null} param - Comma-separated seat indices
+ * @returns {number[]|null} Sorted seats, or null if absent/invalid
+ */
+function parseHumanSeats(param) {
+    if (param === null) return null;
+    const parts = param.split(',').map(part => part.trim());
+    if (parts.some(part => !/^[0-3]$/.test(part))) {
+        console.warn(`Ignoring ?humans=${param}: expected one or more seats 0-3`);
+        return null;
+    }
+    return [...new Set(parts.map(Number))].sort((a, b) => a - b);
+}
+
+/**
+ * One-line summary of a saved game for the resume prompt
+ * @param {Object} checkpoint - Checkpoint from the store (not validated yet)
+ * @returns {string}
+ */
+function describeCheckpoint(checkpoint) {
+    const players = Array.isArray(checkpoint.players) ? checkpoint.players : [];
+    const scores = players.map(p => `${p?.name} ${p?.score}`).join(', ');
+    return `Round ${checkpoint.roundNumber} · ${scores}`;
+}
+
+/**
+ * Bots and human seats: a resumed game keeps its own; otherwise ?bots=a,b,c
+ * names the bots of seats 1-3 and ?humans=0,2 the seats played on this screen
+ * @param {URLSearchParams} urlParams
+ * @param {Object|null} checkpoint - Game being resumed, if any
+ * @returns {{botAssignments: Object<number, string>, humanSeats: number[]}}
+ */
+function chooseSeats(urlParams, checkpoint) {
+    const botParam = urlParams.get('bots');
+    let botAssignments = { 1: 'lmts', 2: 'lmts', 3: 'lmts' }; // Default (strongest bot per tools/botsim/sim/simulate.js matrix)
+    if (checkpoint && Object.keys(checkpoint.botAssignments || {}).length > 0) {
+        botAssignments = { ...checkpoint.botAssignments };
+    } else if (botParam) {
+        const botTypes = botParam.split(',').map(type => type.trim());
+        const unknown = botTypes.find(type => !isBotType(type));
+        if (unknown) {
+            console.warn(`Ignoring ?bots: unknown bot type "${unknown}" (available: ${getBotTypes().join(', ')})`);
+        } else if (botTypes.length === 3) {
+            botAssignments = {
+                1: botTypes[0],
+                2: botTypes[1],
+                3: botTypes[2]
+            };
+        }
+    }
+
+    // A damaged checkpoint's seats are left to GameState.resumeFromCheckpoint() to reject
+    const savedSeats = Array.isArray(checkpoint?.humanSeats) ? checkpoint.humanSeats : null;
+    const humanSeats = savedSeats ?? parseHumanSeats(urlParams.get('humans')) ?? [0];
+    for (const seat of humanSeats) {
+        delete botAssignments[seat];
+    }
+    return { botAssignments, humanSeats };
+}
+
+/**
+ * Parse a ?spectate=lmts,lmx,... list of bot types into one type per seat
+ * One type fills every seat, two are alternated by team (seats 0/2 and 1/3), four are taken as-is
+ * @param {string} param - Comma-separated bot types
+ * @returns {string[]} Bot type for each of the 4 seats
+ * @throws {Error} If the list has another length or names an unknown bot type
+ */
+function parseSpectatorBots(param) {
+    const types = (param || DEFAULT_BOT_TYPE).split(',').map(type => type.trim());
+    const unknown = types.find(type => !isBotType(type));
+    if (unknown) {
+        throw new Error(`Unknown bot type "${unknown}" (available: ${getBotTypes().join(', ')})`);
+    }
+
+    switch (types.length) {
+        case 1: return [types[0], types[0], types[0], types[0]];
+        case 2: return [types[0], types[1], types[0], types[1]];
+        case 4: return types;
+        default:
+            throw new Error(`?spectate takes 1, 2 or 4 bot types, got ${types.length}`);
+    }
+}
+
+/**
+ * House rules: ?rules=<preset> or the preset saved from the settings screen,
+ * ?pass=left|right|across|none|rotate overrides the passing direction
+ * @param {URLSearchParams} urlParams
+ * @returns {{presetName: string, rules: Object}}
+ */
+function chooseRules(urlParams) {
+    const presetName = [urlParams.get('rules'), localStorage.getItem(RULES_PRESET_KEY)]
+        .find(name => name && RULE_PRESETS[name]) || DEFAULT_PRESET;
+    const directions = [...Object.values(PASS_DIRECTIONS), PASS_DIRECTION_ROTATE];
+    let passOverride = urlParams.get('pass');
+    if (passOverride && !directions.includes(passOverride)) {
+        console.warn(`Ignoring ?pass=${passOverride}: expected one of ${directions.join(', ')}`);
+        passOverride = null;
+    }
+    return {
+        presetName,
+        rules: rulesFromPreset(presetName, passOverride ? { passDirection: passOverride } : {})
+    };
+}
+
+/**
+ * Game speed: ?speed=slow|normal|fast|instant or the last choice
+ * @param {URLSearchParams} urlParams
+ * @returns {string} GAME_SPEEDS key
+ */
+function chooseSpeed(urlParams) {
+    return [urlParams.get('speed'), localStorage.getItem(GAME_SPEED_KEY)]
+        .find(name => name && name in GAME_SPEEDS) || DEFAULT_GAME_SPEED;
+}
+
+/**
+ * Turn timer in seconds: ?timer=<seconds> or the one saved from the settings screen,
+ * whichever is one of TURN_TIME_LIMITS first
+ * @param {URLSearchParams} urlParams
+ * @returns {number} Seconds per card (0 = no limit)
+ */
+function chooseTurnTimeLimit(urlParams) {
+    const seconds = [urlParams.get('timer'), localStorage.getItem(TURN_TIMER_KEY)]
+        .filter(value => value)
+        .map(Number)
+        .find(value => TURN_TIME_LIMITS.includes(value));
+    return seconds ?? DEFAULT_TURN_TIME_LIMIT;
+}
+
+/**
+ * Wire the HUD pause button and speed selector to the lifecycle's current game
+ * @param {DOMRenderer} renderer
+ * @param {GameLifecycle} lifecycle
+ * @param {string} speed - Initial GAME_SPEEDS key
+ * @param {(speed: string) => void} onSpeedChange - Remembers the speed for the next game
+ */
+function setupGameControls(renderer, lifecycle, speed, onSpeedChange) {
+    renderer.setupGameControls({
+        speeds: GAME_SPEED_LABELS,
+        speed,
+        onPauseToggle: () => {
+            const game = lifecycle.game;
+            if (!game) return;
+            if (game.paused) {
+                game.resume();
+            } else {
+                game.pause();
+            }
+        },
+        onSpeedChange: (value) => {
+            localStorage.setItem(GAME_SPEED_KEY, value);
+            onSpeedChange(value);
+            lifecycle.game?.setSpeed(value);
+        }
+    });
+}
+
+/**
+ * Debug access on localhost, and F7 (round state) / F8 (game record) downloads
+ * @param {GameLifecycle} lifecycle
+ * @param {GameRecorder} recorder
+ */
+function setupDebugTools(lifecycle, recorder) {
+    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        Object.defineProperty(window, 'game', { get: () => lifecycle.game, configurable: true });
+        window.gameLifecycle = lifecycle;
+        window.gameRecorder = recorder;
+    }
+
+    // Debug: Press F7 to save game state, F8 to save the full game record
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'F7') {
+            e.preventDefault();
+            const state = lifecycle.game.getCurrentState();
+            const timestamp = new Date().toISOString().replace(/:/g, '-');
+            const filename = `leekha-round-state-${timestamp}.json`;
+            downloadJSON(JSON.stringify(state, null, 2), filename);
+            console.log(`Game state saved to ${filename}`);
+        } else if (e.key === 'F8') {
+            e.preventDefault();
+            const timestamp = new Date().toISOString().replace(/:/g, '-');
+            const filename = `leekha-game-record-${timestamp}.json`;
+            downloadJSON(recorder.exportJSON(), filename);
+            console.log(`Game record saved to ${filename}`);
+        }
+    });
+}
+
+/**
+ * Trigger a browser download of a JSON document
+ * @param {string} json - JSON text
+ * @param {string} filename - Download file name
+ */
+function downloadJSON(json, filename) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const downloadAnchorNode = document.createElement('a');
+    downloadAnchorNode.setAttribute("href", url);
+    downloadAnchorNode.setAttribute("download", filename);
+    document.body.appendChild(downloadAnchorNode);
+    downloadAnchorNode.click();
+    downloadAnchorNode.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Wire the replay panel: load a game record file and step through it
+ * @param {GameEventEmitter} events - Event emitter the renderer listens to
+ * @param {DOMRenderer} renderer - Initialized renderer
+ */
+function startReplayMode(events, renderer) {
+    let replay = null;
+
+    renderer.updateStatus('Replay: load a game record (F8 export) to begin');
+
+    renderer.setupReplayControls({
+        onLoad: async (file) => {
+            try {
+                replay = new ReplayController(events, JSON.parse(await file.text()));
+                replay.start();
+            } catch (error) {
+                replay = null;
+                events.emit(GameEvents.ERROR_OCCURRED, {
+                    type: 'replay_load',
+                    message: `Could not load game record: ${error.message}`,
+                    error
+                });
+            }
+        },
+        onPrev: () => replay?.stepBack(),
+        onNext: () => replay?.stepForward(),
+        onRound: (roundIndex) => replay?.jumpToRound(roundIndex),
+        onToggleHands: (show) => replay?.setShowAllHands(show)
+    });
+}
+
+/**
+ * Watch four bots play each other with every hand face-up and a play-by-play log
+ * @param {GameEventEmitter} events - Event emitter the renderer listens to
+ * @param {DOMRenderer} renderer - Initialized renderer
+ * @param {URLSearchParams} urlParams - ?spectate=<bot types>, plus the usual ?rules, ?pass, ?speed and ?seed
+ * @returns {Promise<GameLifecycle>}
+ */
+async function startSpectateMode(events, renderer, urlParams) {
+    const botTypes = parseSpectatorBots(urlParams.get('spectate'));
+    const botAssignments = Object.fromEntries(botTypes.map((type, seat) => [seat, type]));
+    const { presetName, rules } = chooseRules(urlParams);
+    let speed = chooseSpeed(urlParams);
+
+    // Nothing is hidden from a spectator
+    const engineEvents = new GameEventEmitter();
+    new EventView(engineEvents, events, OMNISCIENT);
+    new PlayAnnotator(events);
+    const recorder = new GameRecorder(engineEvents);
+
+    renderer.setViewSeat(0);
+    renderer.setRevealAllHands(true);
+
+    const lifecycle = new GameLifecycle(events, {
+        createGame: (options) => new GameState(engineEvents, { ...options, speed }),
+        createPlayers: () => SEAT_POSITIONS.map((position, seat) =>
+            new BotPlayer(`${COMPASS_NAMES[seat]} · ${getBotInfo(botTypes[seat]).name}`, position))
+    });
+
+    setupGameControls(renderer, lifecycle, speed, (value) => { speed = value; });
+
+    const game = await lifecycle.start({ seed: urlParams.get('seed'), rules, botAssignments, humanSeats: [] });
+    console.log(`Spectating ${botTypes.join(' / ')}, seed: ${game.seed}, rules: ${presetName}`);
+
+    setupDebugTools(lifecycle, recorder);
+    return lifecycle;
+}
+
+/**
+ * Play at a table on a game server instead of against local bots
+ * @param {GameEventEmitter} events - Event emitter the renderer listens to
+ * @param {DOMRenderer} renderer - Initialized renderer
+ * @param {DOMInputController} inputController - Answers the server's decision requests
+ * @param {URLSearchParams} urlParams - ?server=ws://host:port&room=<name>&name=<you>
+ * @returns {Promise<NetworkClient>} Connected client
+ */
+async function startNetworkMode(events, renderer, inputController, urlParams) {
+    const url = urlParams.get('server');
+    const roomId = urlParams.get('room') || 'lobby';
+    const clientIdKey = CLIENT_ID_KEY + roomId;
+    const client = new NetworkClient(events, inputController, {
+        url,
+        clientId: sessionStorage.getItem(clientIdKey)
+    });
+    let viewSeat = null;
+
+    renderer.setupLobby({
+        onClaimSeat: (seat) => client.claimSeat(seat),
+        onStart: () => client.startGame({ preset: localStorage.getItem(RULES_PRESET_KEY) ?? undefined })
+    });
+
+    events.on(GameEvents.ROOM_UPDATED, (room) => {
+        sessionStorage.setItem(clientIdKey, room.clientId);
+        if (room.yourSeat !== null && room.yourSeat !== viewSeat) {
+            viewSeat = room.yourSeat;
+            renderer.setViewSeat(viewSeat);
+        }
+        renderer.showLobby(room);
+    });
+
+    // Play Again on the game-over screen starts the room's next game
+    events.on(GameEvents.GAME_RESTART_REQUESTED, () => client.startGame());
+
+    renderer.updateStatus(`Connecting to ${url}...`);
+    await client.connect(roomId, urlParams.get('name') || 'Player');
+    renderer.updateStatus('Connected: waiting for the game to start');
+    return client;
+}
 
 
 // Entry point
@@ -19,8 +388,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Create audio manager
         // const audioManager = new AudioManager(events);
 
-        // Create game state
-        const game = new GameState(events);
+        const urlParams = new URLSearchParams(window.location.search);
 
         // Setup UI
         const inputController = new DOMInputController(events);
@@ -29,57 +397,165 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize renderer (setup DOM elements and event subscriptions)
         renderer.initialize();
 
-        // Create players
-        const players = [
-            new HumanPlayer("You", "bottom", inputController),
-            new BotPlayer("Eddy", "right"),
-            new BotPlayer("Pat", "top"),
-            new BotPlayer("Walid", "left")
-        ];
+        // Replay mode (?replay): review a recorded game instead of playing one
+        if (urlParams.has('replay')) {
+            startReplayMode(events, renderer);
+            return;
+        }
 
-        game.initialize(players);
+        // Spectator mode (?spectate=lmts,lmx): bots play each other, every hand face-up
+        if (urlParams.has('spectate')) {
+            await startSpectateMode(events, renderer, urlParams);
+            return;
+        }
 
-        // Initialize AI bots from URL params or default
-        const urlParams = new URLSearchParams(window.location.search);
-        const botParam = urlParams.get('bots');
-        let botAssignments = { 1: 'lmts', 2: 'lmts', 3: 'lmts' }; // Default (strongest bot per tools/botsim/sim/simulate.js matrix)
-        if (botParam) {
-            const botTypes = botParam.split(',');
-            if (botTypes.length === 3) {
-                botAssignments = {
-                    1: botTypes[0],
-                    2: botTypes[1],
-                    3: botTypes[2]
-                };
-            }
+        // Networked mode (?server=ws://localhost:8787): the game runs on the server
+        if (urlParams.has('server')) {
+            await startNetworkMode(events, renderer, inputController, urlParams);
+            return;
         }
-        await game.initializeBots(botAssignments);
 
-        // Debug access
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            window.game = game;
+        // Offer to resume a game interrupted by a page reload
+        const checkpointStore = new LocalStorageCheckpointStore();
+        let checkpoint = checkpointStore.load();
+        if (checkpoint) {
+            const resume = await renderer.showResumePrompt(describeCheckpoint(checkpoint));
+            if (!resume) {
+                checkpointStore.clear();
+                checkpoint = null;
+            }
         }
 
-        // Debug: Press F7 to save game state
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'F7') {
-                e.preventDefault();
-                const state = game.getCurrentState();
-                const timestamp = new Date().toISOString().replace(/:/g, '-');
-                const filename = `leekha-round-state-${timestamp}.json`;
-                const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                const downloadAnchorNode = document.createElement('a');
-                downloadAnchorNode.setAttribute("href", url);
-                downloadAnchorNode.setAttribute("download", filename);
-                document.body.appendChild(downloadAnchorNode);
-                downloadAnchorNode.click();
-                downloadAnchorNode.remove();
-                URL.revokeObjectURL(url);
-                console.log(`Game state saved to ${filename}`);
+        const { presetName, rules } = chooseRules(urlParams);
+
+        // Bots and human seats (a resumed game keeps its own)
+        const { botAssignments, humanSeats } = chooseSeats(urlParams, checkpoint);
+
+        // Game speed; carries over to new games
+        let speed = chooseSpeed(urlParams);
+
+        // Turn timer for humans; when it runs out ?autoplay=<bot type> (lmts by default) plays the card
+        let turnTimeLimit = chooseTurnTimeLimit(urlParams);
+        const autoPlayBot = urlParams.get('autoplay') ?? undefined;
+
+        // Practice games (?practice=1 or the settings switch) let humans take back plays
+        let practice = (urlParams.get('practice') ?? localStorage.getItem(PRACTICE_KEY)) === '1';
+
+        // The engine's omniscient event stream; the UI only sees the human seat's view of it
+        const engineEvents = new GameEventEmitter();
+        const seatView = new EventView(engineEvents, events, humanSeats[0]);
+        events.on(GameEvents.VIEW_SEAT_CHANGED, (data) => seatView.setViewer(data.playerIndex));
+
+        // Record every pass and trick so the whole game can be exported (F8)
+        const recorder = new GameRecorder(engineEvents);
+
+        // One lifecycle owns the current game: Play Again, new game from settings, abandoning
+        const lifecycle = new GameLifecycle(events, {
+            createGame: (options) => new GameState(engineEvents, {
+                ...options,
+                speed,
+                turnTimeLimit,
+                autoPlayBot,
+                practice,
+                checkpointStore
+            }),
+            createPlayers: ({ humanSeats }) => {
+                // Several humans share the screen through a hot-seat session that hides
+                // each hand until its owner has the device
+                const hotSeat = humanSeats.length > 1 ? new HotSeatSession(events, inputController) : null;
+                seatView.setViewer(humanSeats[0]);
+                renderer.setViewSeat(humanSeats[0]);
+
+                return SEAT_POSITIONS.map((position, seat) => {
+                    if (!humanSeats.includes(seat)) {
+                        return new BotPlayer(seat === 0 ? SEAT_0_BOT_NAME : SEAT_NAMES[seat], position);
+                    }
+                    if (!hotSeat) {
+                        return new HumanPlayer(SEAT_NAMES[0], position, inputController);
+                    }
+                    const name = `Player ${seat + 1}`;
+                    return new HumanPlayer(name, position, hotSeat.inputFor(seat, name));
+                });
+            },
+            checkpointStore
+        });
+
+        // Hints (H): the chosen bot suggests a pass or play for the human choosing
+        const hintBot = [urlParams.get('hint'), localStorage.getItem(HINT_BOT_KEY)]
+            .find(type => type && isBotType(type)) || DEFAULT_BOT_TYPE;
+        const hints = new HintAdvisor(events, () => lifecycle.game, { botType: hintBot });
+        renderer.setupHints();
+
+        // Coach (?coach=1 or the settings switch): flags risky human plays as they happen
+        const coachParam = urlParams.get('coach') ?? localStorage.getItem(COACH_KEY);
+        const coach = new PlayCoach(events, () => lifecycle.game, { enabled: coachParam === '1' });
+
+        // Card-counting panel (?counter=1 or the settings switch), counted from the seat's own view
+        new CardCounter(events);
+        const showCounter = (urlParams.get('counter') ?? localStorage.getItem(COUNTER_KEY)) === '1';
+        renderer.setCardCountVisible(showCounter);
+
+        // Undo (U): take back the last play and the bot plays after it
+        events.on(GameEvents.UNDO_REQUESTED, () => {
+            const game = lifecycle.game;
+            if (!game?.practice) return;
+            game.undo().catch((error) => {
+                events.emit(GameEvents.ERROR_OCCURRED, {
+                    type: 'undo',
+                    message: `Could not take the play back: ${error.message}`,
+                    error
+                });
+            });
+        });
+
+        renderer.setupSettings({
+            presets: RULE_PRESETS,
+            bots: listBots(),
+            turnTimeLimits: TURN_TIME_LIMITS,
+            current: { preset: presetName, botAssignments, humanSeats, turnTimeLimit, hintBot, coach: coach.enabled, practice, counter: showCounter },
+            onApply: ({ preset, botAssignments, humanSeats, turnTimeLimit: seconds, hintBot: hintType, coach: coaching, practice: practicing, counter }) => {
+                localStorage.setItem(RULES_PRESET_KEY, preset);
+                localStorage.setItem(TURN_TIMER_KEY, String(seconds));
+                localStorage.setItem(HINT_BOT_KEY, hintType);
+                localStorage.setItem(COACH_KEY, coaching ? '1' : '0');
+                localStorage.setItem(PRACTICE_KEY, practicing ? '1' : '0');
+                localStorage.setItem(COUNTER_KEY, counter ? '1' : '0');
+                turnTimeLimit = seconds;
+                practice = practicing;
+                hints.setBotType(hintType);
+                coach.setEnabled(coaching);
+                renderer.setCardCountVisible(counter);
+                events.emit(GameEvents.NEW_GAME_REQUESTED, {
+                    rules: rulesFromPreset(preset),
+                    botAssignments,
+                    humanSeats
+                });
             }
         });
 
+        setupGameControls(renderer, lifecycle, speed, (value) => { speed = value; });
+
+        // Start the game (?seed=<n> replays the same deals; a resumed game keeps its own seed and rules)
+        let game;
+        try {
+            game = await lifecycle.start({
+                seed: checkpoint ? checkpoint.seed : urlParams.get('seed'),
+                rules,
+                botAssignments,
+                humanSeats,
+                checkpoint
+            });
+        } catch (error) {
+            if (!checkpoint) throw error;
+            // A saved game that cannot be restored would fail the same way on every reload
+            console.warn('Could not resume the saved game, starting a new one:', error);
+            checkpointStore.clear();
+            game = await lifecycle.start({ seed: urlParams.get('seed'), rules, ...chooseSeats(urlParams, null) });
+        }
+        console.log(`Game seed: ${game.seed}, rules: ${presetName}`);
+
+        setupDebugTools(lifecycle, recorder);
+
     } catch (e) {
         console.error("Game Initialization Failed:", e);
         const statusEl = document.getElementById('status-text');
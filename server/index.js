@@ -0,0 +1,142 @@
+"use strict";
+/**
+ * Leekha game server
+ * Runs games authoritatively for browser clients connected over WebSocket.
+ *
+ * Usage: node server/index.js [--port 8787] [--host localhost] [--speed normal] [--grace 30] [--reconnect 300]
+ * (--grace: seconds a dropped player has to reconnect before a bot plays for them;
+ * --reconnect: seconds the bots play on once nobody is connected, before the room closes)
+ * Then open the game with ?server=ws://localhost:8787&room=<name>&name=<you>
+ */
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { Room } from './room.js';
+import { GAME_SPEEDS } from '../js/constants.js';
+import {
+    PROTOCOL_VERSION,
+    DEFAULT_SERVER_PORT,
+    MESSAGE_TYPES,
+    encodeMessage,
+    decodeMessage
+} from '../js/net-protocol.js';
+
+/**
+ * Start the server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Interface to bind
+ * @param {string} [options.speed] - GAME_SPEEDS key for every room's games
+ * @param {number} [options.graceMs] - How long a dropped player's seat waits before a bot takes over
+ * @param {number} [options.reconnectMs] - How long a room with nobody connected keeps playing before it closes
+ * @returns {Promise<{port: number, rooms: Map<string, Room>, close: () => Promise<void>}>}
+ */
+export function startServer({ port = DEFAULT_SERVER_PORT, host = 'localhost', speed, graceMs, reconnectMs } = {}) {
+    /** @type {Map<string, Room>} */
+    const rooms = new Map();
+    const wss = new WebSocketServer({ port, host });
+
+    wss.on('connection', (socket) => {
+        const connection = {
+            send(type, payload) {
+                if (socket.readyState === socket.OPEN) {
+                    socket.send(encodeMessage(type, payload));
+                }
+            }
+        };
+        let room = null;
+        let client = null;
+
+        const fail = (error) => connection.send(MESSAGE_TYPES.ERROR, { message: error.message });
+
+        socket.on('message', async (text) => {
+            try {
+                const message = decodeMessage(text.toString());
+
+                if (message.type === MESSAGE_TYPES.JOIN) {
+                    if (room) throw new Error('Already in a room');
+                    if (message.version !== PROTOCOL_VERSION) {
+                        throw new Error(`Protocol version ${message.version} is not supported (server speaks ${PROTOCOL_VERSION})`);
+                    }
+                    const roomId = String(message.roomId || '').trim().slice(0, 32);
+                    if (!roomId) throw new Error('A room name is required');
+
+                    room = rooms.get(roomId);
+                    if (!room) {
+                        room = new Room(roomId, { speed, graceMs, reconnectMs, onEmpty: (empty) => rooms.delete(empty.id) });
+                        rooms.set(roomId, room);
+                    }
+                    // A client that dropped mid-game gets its seat back
+                    client = (message.clientId && room.rejoin(message.clientId, connection))
+                        || room.join(message.name, connection);
+                    return;
+                }
+
+                if (!room) throw new Error('Join a room first');
+
+                switch (message.type) {
+                    case MESSAGE_TYPES.CLAIM_SEAT:
+                        room.claimSeat(client.id, message.seat ?? null);
+                        break;
+                    case MESSAGE_TYPES.START_GAME:
+                        await room.start(client.id, message);
+                        break;
+                    case MESSAGE_TYPES.DECISION:
+                        room.decide(client.id, message.requestId, message.cards);
+                        break;
+                    default:
+                        throw new Error(`Unknown message type "${message.type}"`);
+                }
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        socket.on('close', () => {
+            room?.leave(client.id);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        wss.once('error', reject);
+        wss.once('listening', () => {
+            resolve({
+                port: wss.address().port,
+                rooms,
+                close: () => new Promise((done) => {
+                    for (const room of [...rooms.values()]) room.close();
+                    for (const socket of wss.clients) socket.terminate();
+                    wss.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Read --name value pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = parseArgs(process.argv.slice(2));
+    const speed = args.speed in GAME_SPEEDS ? args.speed : undefined;
+    const server = await startServer({
+        port: args.port ? Number(args.port) : DEFAULT_SERVER_PORT,
+        host: args.host || 'localhost',
+        speed,
+        graceMs: args.grace ? Number(args.grace) * 1000 : undefined,
+        reconnectMs: args.reconnect ? Number(args.reconnect) * 1000 : undefined
+    });
+    console.log(`Leekha server listening on ws://${args.host || 'localhost'}:${server.port}`);
+}
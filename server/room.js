@@ -0,0 +1,445 @@
+"use strict";
+/**
+ * Game room
+ * One table on the server: clients join, claim seats and start a game that
+ * runs authoritatively in a GameState. Claimed seats are RemotePlayers,
+ * empty seats are filled with bots, and every game event is sent to each
+ * client as their seat sees it (spectators get public information only).
+ * A player who drops mid-game keeps their seat: after a grace period the
+ * seat's bot plays for them, and they take it back when they reconnect.
+ * Even with nobody connected the bots play on for a reconnect window
+ * before the room closes.
+ */
+import { randomUUID } from 'node:crypto';
+import { GameState } from '../js/game-state.js';
+import { isBotType } from '../js/bot-registry.js';
+import { BotPlayer } from '../js/player.js';
+import { RemotePlayer } from '../js/remote-player.js';
+import { GameEventEmitter, GameEvents } from '../js/events.js';
+import { GameLifecycle } from '../js/game-lifecycle.js';
+import { RULE_PRESETS, DEFAULT_PRESET, rulesFromPreset } from '../js/rules.js';
+import { DEFAULT_GAME_SPEED, TIMING } from '../js/constants.js';
+import { MESSAGE_TYPES, ROOM_PHASES } from '../js/net-protocol.js';
+import { redactEvent, PUBLIC } from '../js/event-views.js';
+
+/** Table positions by seat */
+const SEAT_POSITIONS = ['bottom', 'right', 'top', 'left'];
+
+/** Bot that fills an empty seat unless the game is started with other bots */
+const DEFAULT_ROOM_BOT = 'lmts';
+
+/**
+ * @typedef {Object} RoomClient
+ * @property {string} id - Server-assigned client id
+ * @property {string} name - Display name
+ * @property {import('../js/remote-player.js').PlayerConnection|null} connection - null while disconnected
+ * @property {number|null} seat - Claimed seat, or null for a spectator
+ * @property {*} graceTimer - Pending bot takeover while disconnected
+ */
+
+export class Room {
+    /**
+     * @param {string} id - Room id (chosen by whoever joins first)
+     * @param {Object} [options]
+     * @param {string} [options.speed] - GAME_SPEEDS key for the room's games
+     * @param {number} [options.graceMs] - How long a dropped player's seat waits before its bot takes over
+     * @param {number} [options.reconnectMs] - How long the bots play on once nobody is connected, for dropped players to return
+     * @param {(room: Room) => void} [options.onEmpty] - Called once the room has closed
+     */
+    constructor(id, {
+        speed = DEFAULT_GAME_SPEED,
+        graceMs = TIMING.RECONNECT_GRACE,
+        reconnectMs = TIMING.RECONNECT_WINDOW,
+        onEmpty = null
+    } = {}) {
+        /** @type {string} */
+        this.id = id;
+        /** @type {Map<string, RoomClient>} */
+        this.clients = new Map();
+        /** @type {Array<string|null>} Client id holding each seat */
+        this.seats = [null, null, null, null];
+        /** @type {string} One of ROOM_PHASES */
+        this.phase = ROOM_PHASES.LOBBY;
+        /** @type {string} Rules preset of the last game started */
+        this.preset = DEFAULT_PRESET;
+        /** @type {number} */
+        this.graceMs = graceMs;
+        /** @type {number} */
+        this.reconnectMs = reconnectMs;
+        /** @type {*} Pending close while only dropped players hold seats */
+        this.closeTimer = null;
+        /** @type {boolean} Set by close(); a closed room is never used again */
+        this.closed = false;
+        /** @type {((room: Room) => void)|null} */
+        this.onEmpty = onEmpty;
+
+        /** @type {GameEventEmitter} The room's own engine event stream */
+        this.events = new GameEventEmitter();
+        /** @type {GameLifecycle} */
+        this.lifecycle = new GameLifecycle(this.events, {
+            createGame: (options) => new GameState(this.events, { ...options, speed }),
+            createPlayers: (settings) => this.createPlayers(settings)
+        });
+
+        for (const event of Object.values(GameEvents)) {
+            this.events.on(event, (data) => this.broadcastEvent(event, data));
+        }
+        this.events.on(GameEvents.GAME_OVER, () => this.setPhase(ROOM_PHASES.FINISHED));
+        this.events.on(GameEvents.GAME_ABANDONED, () => this.setPhase(ROOM_PHASES.LOBBY));
+    }
+
+    /**
+     * @returns {boolean} Whether nobody is connected any more
+     */
+    isEmpty() {
+        return ![...this.clients.values()].some(client => client.connection);
+    }
+
+    /**
+     * Add a client to the room (as a spectator until they claim a seat)
+     * @param {string} name - Display name
+     * @param {import('../js/remote-player.js').PlayerConnection} connection
+     * @returns {RoomClient}
+     */
+    join(name, connection) {
+        const client = {
+            id: randomUUID(),
+            name: String(name || 'Guest').slice(0, 24),
+            connection,
+            seat: null,
+            graceTimer: null
+        };
+        this.clients.set(client.id, client);
+        this.cancelClose();
+        this.broadcastRoomState();
+        return client;
+    }
+
+    /**
+     * Reconnect a client that dropped during a game, handing their seat back
+     * @param {string} clientId - Id from the client's earlier ROOM_STATE
+     * @param {import('../js/remote-player.js').PlayerConnection} connection
+     * @returns {RoomClient|null} The client, or null if the room is not holding a seat for them
+     */
+    rejoin(clientId, connection) {
+        const client = this.clients.get(clientId);
+        if (!client || client.connection) return null;
+
+        clearTimeout(client.graceTimer);
+        client.graceTimer = null;
+        client.connection = connection;
+        this.cancelClose();
+        this.broadcastRoomState();
+
+        const game = this.lifecycle.game;
+        const player = this.remotePlayerAt(client.seat);
+        if (player) {
+            // Redraw the table as it is now, then re-send any decision they still owe
+            const send = (event, data) => connection.send(MESSAGE_TYPES.GAME_EVENT, {
+                event,
+                data: redactEvent(event, data, client.seat)
+            });
+            send(GameEvents.GAME_INITIALIZED, { players: game.getPlayersData() });
+            send(GameEvents.GAME_RESUMED, game.getResumeData());
+            send(GameEvents.SCORE_UPDATED, game.getScoreData());
+
+            player.handBack(connection);
+            this.emitSeatControl(client.seat, { connected: true, botControlled: false });
+        }
+        return client;
+    }
+
+    /**
+     * Remove a client. A player in a running game keeps their seat: the game waits
+     * for them to reconnect, and after the grace period the seat's bot plays for them.
+     * @param {string} clientId
+     */
+    leave(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const player = this.phase === ROOM_PHASES.PLAYING ? this.remotePlayerAt(client.seat) : null;
+        if (player) {
+            client.connection = null;
+            player.detach();
+            client.graceTimer = setTimeout(() => this.takeOverSeat(client), this.graceMs);
+            this.emitSeatControl(client.seat, { connected: false, botControlled: false });
+        } else {
+            this.clients.delete(clientId);
+            if (client.seat !== null) {
+                this.seats[client.seat] = null;
+            }
+        }
+
+        this.closeWhenAbandoned();
+    }
+
+    /**
+     * Grace period over: the seat's bot plays for the absent player
+     * @param {RoomClient} client
+     */
+    takeOverSeat(client) {
+        client.graceTimer = null;
+        const player = this.remotePlayerAt(client.seat);
+        if (!player || client.connection) return;
+
+        player.takeOver();
+        this.emitSeatControl(client.seat, { connected: false, botControlled: true });
+
+        this.closeWhenAbandoned();
+    }
+
+    /**
+     * Close the room once nobody can come back to it
+     * While a grace period runs the game waits for that player; once bots have
+     * taken over, they play on for reconnectMs so the dropped players can still
+     * take their seats back.
+     */
+    closeWhenAbandoned() {
+        this.cancelClose();
+        if (!this.isEmpty()) {
+            this.broadcastRoomState();
+            return;
+        }
+
+        const held = [...this.clients.values()];
+        if (held.some(client => client.graceTimer)) return;
+        if (held.length > 0) {
+            this.closeTimer = setTimeout(() => this.close(), this.reconnectMs);
+            return;
+        }
+        this.close();
+    }
+
+    /**
+     * Someone is back: keep the room open
+     */
+    cancelClose() {
+        clearTimeout(this.closeTimer);
+        this.closeTimer = null;
+    }
+
+    /**
+     * Abandon the game and forget every client (nobody is left to play)
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.cancelClose();
+        this.lifecycle.abandon();
+        for (const client of this.clients.values()) {
+            clearTimeout(client.graceTimer);
+        }
+        this.clients.clear();
+        this.seats = [null, null, null, null];
+        this.onEmpty?.(this);
+    }
+
+    /**
+     * Tell the table who is controlling a seat
+     * @param {number} seat
+     * @param {{connected: boolean, botControlled: boolean}} status
+     */
+    emitSeatControl(seat, status) {
+        const player = this.lifecycle.game?.players?.[seat];
+        this.events.emit(GameEvents.SEAT_CONTROL_CHANGED, {
+            playerIndex: seat,
+            playerName: player?.name ?? `Seat ${seat + 1}`,
+            ...status
+        });
+    }
+
+    /**
+     * Sit a client at a seat, or stand them up
+     * @param {string} clientId
+     * @param {number|null} seat - Seat index (0-3), or null to stand up
+     * @throws {Error} If a game is running or the seat is taken
+     */
+    claimSeat(clientId, seat) {
+        const client = this.requireClient(clientId);
+        if (this.phase === ROOM_PHASES.PLAYING) {
+            throw new Error('Room.claimSeat: seats cannot change during a game');
+        }
+        if (seat !== null && !(Number.isInteger(seat) && seat >= 0 && seat < 4)) {
+            throw new Error(`Room.claimSeat: invalid seat ${seat}`);
+        }
+        if (seat !== null && this.seats[seat] !== null && this.seats[seat] !== clientId) {
+            throw new Error(`Room.claimSeat: seat ${seat + 1} is taken`);
+        }
+
+        if (client.seat !== null) {
+            this.seats[client.seat] = null;
+        }
+        client.seat = seat;
+        if (seat !== null) {
+            this.seats[seat] = clientId;
+        }
+        this.broadcastRoomState();
+    }
+
+    /**
+     * Start a game; seats nobody claimed are played by bots
+     * @param {string} clientId - Must hold a seat
+     * @param {Object} [options]
+     * @param {string} [options.preset] - Key of RULE_PRESETS (last preset if omitted)
+     * @param {Object<number, string>} [options.botAssignments] - Bot types for the empty seats (and to stand in for dropped players)
+     * @returns {Promise<void>}
+     * @throws {Error} If the client is not seated, a game is running, or a bot type is unknown
+     */
+    async start(clientId, { preset, botAssignments = {} } = {}) {
+        const client = this.requireClient(clientId);
+        if (client.seat === null) {
+            throw new Error('Room.start: take a seat before starting the game');
+        }
+        if (this.phase === ROOM_PHASES.PLAYING) {
+            throw new Error('Room.start: a game is already running');
+        }
+
+        if (preset && RULE_PRESETS[preset]) {
+            this.preset = preset;
+        }
+
+        // Every seat gets a bot type: empty seats play it, claimed seats fall back to it
+        const humanSeats = [];
+        const bots = {};
+        for (let seat = 0; seat < 4; seat++) {
+            if (this.seats[seat] !== null) {
+                humanSeats.push(seat);
+            }
+            const type = botAssignments[seat] ?? DEFAULT_ROOM_BOT;
+            if (!isBotType(type)) {
+                throw new Error(`Room.start: unknown bot type "${type}"`);
+            }
+            bots[seat] = type;
+        }
+
+        this.setPhase(ROOM_PHASES.PLAYING);
+        try {
+            await this.lifecycle.start({ rules: rulesFromPreset(this.preset), botAssignments: bots, humanSeats });
+        } catch (error) {
+            this.setPhase(ROOM_PHASES.LOBBY);
+            throw error;
+        }
+    }
+
+    /**
+     * Pass a client's answer to the RemotePlayer at their seat
+     * @param {string} clientId
+     * @param {number} requestId - DECISION_REQUEST being answered
+     * @param {string[]} cardIds - Chosen cards
+     * @throws {Error} If the client has no decision pending or the cards are not allowed
+     */
+    decide(clientId, requestId, cardIds) {
+        const client = this.requireClient(clientId);
+        const player = client.seat === null ? null : this.remotePlayerAt(client.seat);
+        if (!player) {
+            throw new Error('Room.decide: you are not playing in this game');
+        }
+        player.receiveDecision(requestId, cardIds);
+    }
+
+    /**
+     * Build the players for a new game (lifecycle factory)
+     * @param {{humanSeats: number[]}} settings
+     * @returns {Player[]}
+     */
+    createPlayers({ humanSeats }) {
+        return SEAT_POSITIONS.map((position, seat) => {
+            const client = humanSeats.includes(seat) ? this.clients.get(this.seats[seat]) : null;
+            if (!client) {
+                return new BotPlayer(`Bot ${seat + 1}`, position);
+            }
+            return new RemotePlayer(client.name, position, client.connection);
+        });
+    }
+
+    /**
+     * @param {number} seat
+     * @returns {RemotePlayer|null} The remote player at a seat of the running game
+     */
+    remotePlayerAt(seat) {
+        const player = this.lifecycle.game?.players?.[seat];
+        return player instanceof RemotePlayer ? player : null;
+    }
+
+    /**
+     * @param {string} clientId
+     * @returns {RoomClient}
+     * @throws {Error} If the client is not in the room
+     */
+    requireClient(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            throw new Error('Room: you have not joined this room');
+        }
+        return client;
+    }
+
+    /**
+     * @param {string} phase - One of ROOM_PHASES
+     */
+    setPhase(phase) {
+        if (this.phase === phase) return;
+        this.phase = phase;
+        if (phase !== ROOM_PHASES.PLAYING) {
+            // Players who left during the game give up their seats
+            for (const client of [...this.clients.values()]) {
+                if (client.connection) continue;
+                clearTimeout(client.graceTimer);
+                this.clients.delete(client.id);
+            }
+            this.seats = this.seats.map(clientId => (this.clients.has(clientId) ? clientId : null));
+            // The game ended with only absent players left
+            if (this.clients.size === 0) {
+                this.close();
+                return;
+            }
+        }
+        this.broadcastRoomState();
+    }
+
+    /**
+     * Room state as one client sees it
+     * @param {RoomClient} client
+     * @returns {Object} ROOM_STATE fields
+     */
+    stateFor(client) {
+        return {
+            roomId: this.id,
+            clientId: client.id,
+            yourSeat: client.seat,
+            phase: this.phase,
+            preset: this.preset,
+            seats: this.seats.map((clientId, seat) => {
+                const holder = clientId === null ? null : this.clients.get(clientId);
+                return {
+                    seat,
+                    name: holder?.name ?? this.lifecycle.game?.players?.[seat]?.name ?? null,
+                    taken: clientId !== null,
+                    connected: !!holder?.connection,
+                    botControlled: this.phase === ROOM_PHASES.PLAYING && !!this.remotePlayerAt(seat)?.botControlled
+                };
+            })
+        };
+    }
+
+    broadcastRoomState() {
+        for (const client of this.clients.values()) {
+            client.connection?.send(MESSAGE_TYPES.ROOM_STATE, this.stateFor(client));
+        }
+    }
+
+    /**
+     * Send an engine event to every client, redacted for their seat
+     * @param {string} event - GameEvents name
+     * @param {*} data - Omniscient payload
+     */
+    broadcastEvent(event, data) {
+        for (const client of this.clients.values()) {
+            client.connection?.send(MESSAGE_TYPES.GAME_EVENT, {
+                event,
+                data: redactEvent(event, data, client.seat ?? PUBLIC)
+            });
+        }
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * The shipped bots, registered with js/bot-registry.js
+ *
+ * Importing this module makes them selectable; each implementation is only
+ * imported when a game, hint or simulation first asks for it (see registerBot).
+ * To add a bot, drop its file in this directory and register it below.
+ */
+import { registerBot, BOT_CAPABILITIES } from '../../../js/bot-registry.js';
+
+const { PASS, PLAY, RULES, PASSED, SEARCH, BUDGET } = BOT_CAPABILITIES;
+
+registerBot({
+    type: 'lmg',
+    name: 'LMG',
+    description: 'Port of LikhaBot: ducks under the trick when it can, passes the Leekha cards',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./LMG.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmlm',
+    name: 'LMLM',
+    description: 'LikhaBot with Q♠/10♦ tracking and extra care leading spades and diamonds',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./LMLM.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmx',
+    name: 'LMX',
+    description: 'LMLM plus team and trick analysis when following',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./LMX.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lma',
+    name: 'LMA',
+    description: 'Passes to void a suit and leads to exit safely while protecting the Leekha cards',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./lma.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmx2',
+    name: 'LMX2',
+    description: 'Second revision of the LMX heuristics',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./lmx2.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmc',
+    name: 'LMC',
+    description: 'LMX heuristics, passing to short suits to void them early',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./lmc.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lma1',
+    name: 'LMA1',
+    description: 'LMA with team and positional awareness when following',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./lma.1.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmts',
+    name: 'LMTS',
+    description: 'Danger-scored passing and safe leads; the strongest heuristic bot',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY],
+    load: () => import('./lmts.js').then(module => module.LMBot)
+});
+
+registerBot({
+    type: 'lmmc',
+    name: 'LMMC',
+    description: 'Monte Carlo search over deals consistent with the table; slow but strong',
+    version: '1.0.0',
+    capabilities: [PASS, PLAY, RULES, PASSED, SEARCH, BUDGET],
+    load: () => import('./lmmc.js').then(module => module.LMBot)
+});
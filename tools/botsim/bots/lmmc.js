@@ -0,0 +1,402 @@
+/**
+ * LMMCBot - Monte Carlo (determinized) search
+ *
+ * For each decision the bot deals the unseen cards to the other seats many
+ * times over, every deal consistent with what the table has shown: cards
+ * already played, the suits each player is known to be void in, and the cards
+ * we passed (they sit with the receiver until played). Each legal card is
+ * then played out to the end of the round on every sampled deal with a fast
+ * heuristic rollout policy, and the card with the fewest expected points for
+ * our team is chosen.
+ *
+ * Budget: `iterations` sampled deals per decision, optionally capped by
+ * `timeLimitMs`. With no time cap the bot is fully reproducible (its random
+ * stream is seeded from the position), which keeps `--seed` simulations exact.
+ */
+
+const SUIT_CHARS = ['h', 's', 'd', 'c']; // Bot hand order: hearts, spades, diamonds, clubs
+const RANK_CHARS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+const HEARTS = 0;
+const SPADES = 1;
+const DIAMONDS = 2;
+const QUEEN_OF_SPADES = SPADES * 13 + 10;
+const TEN_OF_DIAMONDS = DIAMONDS * 13 + 8;
+
+const DEFAULT_POINTS = { heart: 1, queenOfSpades: 13, tenOfDiamonds: 10 };
+
+/** Search budget used when the constructor gets no options */
+export const DEFAULT_MC_OPTIONS = Object.freeze({
+    iterations: 120,  // Sampled deals per decision
+    timeLimitMs: 0,   // Stop sampling after this long (0 = no time cap)
+    seed: 0x1eec4a    // Mixed with the position to seed each decision
+});
+
+// Cards are numbers 0-51: suit index * 13 + rank index (2 = 0 ... A = 12)
+const suitOf = (card) => Math.floor(card / 13);
+const rankOf = (card) => card % 13;
+const isLikha = (card) => card === QUEEN_OF_SPADES || card === TEN_OF_DIAMONDS;
+
+function parseCard(str) {
+    const suit = SUIT_CHARS.indexOf(str.slice(-1).toLowerCase());
+    let rank = str.slice(0, -1).toUpperCase();
+    if (rank === '10') rank = 'T';
+    return suit * 13 + RANK_CHARS.indexOf(rank);
+}
+
+/** Card from a trick entry ({suit: 'H'|'h', rank: '10'|'T'|'Q'|...}) */
+function parseTrickCard(card) {
+    return parseCard(`${card.rank}${card.suit}`);
+}
+
+function formatCard(card) {
+    return RANK_CHARS[rankOf(card)] + SUIT_CHARS[suitOf(card)];
+}
+
+/** Small seeded PRNG (mulberry32) */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashCards(seed, cards) {
+    let h = seed >>> 0;
+    for (const card of cards) {
+        h = Math.imul(h ^ (card + 1), 0x9E3779B1) >>> 0;
+    }
+    return h;
+}
+
+/**
+ * Rules the search plays by
+ */
+function readRules(ctx) {
+    const rules = ctx?.rules;
+    return {
+        points: { ...DEFAULT_POINTS, ...(rules?.points || {}) },
+        forcedLeekha: rules?.forcedLeekha ?? true
+    };
+}
+
+function cardPoints(card, points) {
+    if (card === QUEEN_OF_SPADES) return points.queenOfSpades;
+    if (card === TEN_OF_DIAMONDS) return points.tenOfDiamonds;
+    return suitOf(card) === HEARTS ? points.heart : 0;
+}
+
+/**
+ * Legal cards for a seat (follow suit; forced Leekha when void, if the rules say so)
+ * @param {number[]} hand
+ * @param {number} leadSuit - -1 when leading
+ */
+function legalMoves(hand, leadSuit, forcedLeekha) {
+    if (leadSuit < 0) return hand;
+    const follow = hand.filter(card => suitOf(card) === leadSuit);
+    if (follow.length > 0) return follow;
+    if (forcedLeekha) {
+        const likhas = hand.filter(isLikha);
+        if (likhas.length > 0) return likhas;
+    }
+    return hand;
+}
+
+/** Seat winning a trick so far ([{seat, card}], at least one play) */
+function winningPlay(plays) {
+    const leadSuit = suitOf(plays[0].card);
+    let best = plays[0];
+    for (let i = 1; i < plays.length; i++) {
+        const play = plays[i];
+        if (suitOf(play.card) === leadSuit && play.card > best.card) best = play;
+    }
+    return best;
+}
+
+/**
+ * Fast rollout policy: duck when possible, dump points on opponents,
+ * never feed the partner, lead low from safe suits
+ */
+function rolloutChoice(hand, plays, seat, rules) {
+    const leadSuit = plays.length > 0 ? suitOf(plays[0].card) : -1;
+    const options = legalMoves(hand, leadSuit, rules.forcedLeekha);
+    if (options.length === 1) return options[0];
+
+    if (leadSuit < 0) {
+        // Lowest card that is not a Leekha card, hearts last
+        let best = -1;
+        for (const card of options) {
+            if (isLikha(card)) continue;
+            const key = rankOf(card) + (suitOf(card) === HEARTS ? 6 : 0);
+            if (best < 0 || key < rankOf(best) + (suitOf(best) === HEARTS ? 6 : 0)) best = card;
+        }
+        return best >= 0 ? best : options[0];
+    }
+
+    const winner = winningPlay(plays);
+    const partnerWinning = winner.seat === (seat + 2) % 4;
+
+    if (suitOf(options[0]) === leadSuit) {
+        const ducks = options.filter(card => card < winner.card);
+        if (ducks.length > 0) {
+            // Highest duck; give the Leekha card away only to an opponent
+            const safe = partnerWinning ? ducks.filter(card => !isLikha(card)) : ducks;
+            const pool = safe.length > 0 ? safe : ducks;
+            if (!partnerWinning && pool.includes(QUEEN_OF_SPADES)) return QUEEN_OF_SPADES;
+            if (!partnerWinning && pool.includes(TEN_OF_DIAMONDS)) return TEN_OF_DIAMONDS;
+            return pool.reduce((a, b) => (b > a ? b : a));
+        }
+        // Must win: last to play takes it with the highest, otherwise the lowest
+        const nonLikha = options.filter(card => !isLikha(card));
+        const pool = nonLikha.length > 0 ? nonLikha : options;
+        return plays.length === 3 ? pool.reduce((a, b) => (b > a ? b : a)) : pool.reduce((a, b) => (b < a ? b : a));
+    }
+
+    // Void: points to opponents, nothing to the partner
+    const byValue = (card) => cardPoints(card, rules.points) * 20 + rankOf(card);
+    if (partnerWinning) {
+        const nonPoints = options.filter(card => cardPoints(card, rules.points) === 0);
+        const pool = nonPoints.length > 0 ? nonPoints : options;
+        return pool.reduce((a, b) => (rankOf(b) > rankOf(a) ? b : a));
+    }
+    return options.reduce((a, b) => (byValue(b) > byValue(a) ? b : a));
+}
+
+/**
+ * Play a sampled deal out to the end of the round
+ * @param {number[][]} hands - Hands by seat (consumed)
+ * @param {Array<{seat: number, card: number}>} plays - Trick in progress (consumed)
+ * @param {number} seat - Seat to play next
+ * @param {number} tricksLeft - Tricks still to finish, counting the one in progress
+ * @returns {number[]} Points taken by each seat
+ */
+function rollout(hands, plays, seat, tricksLeft, rules) {
+    const taken = [0, 0, 0, 0];
+    for (let t = 0; t < tricksLeft; t++) {
+        while (plays.length < 4) {
+            const hand = hands[seat];
+            const card = rolloutChoice(hand, plays, seat, rules);
+            hand.splice(hand.indexOf(card), 1);
+            plays.push({ seat, card });
+            seat = (seat + 1) % 4;
+        }
+        const winner = winningPlay(plays).seat;
+        for (const play of plays) taken[winner] += cardPoints(play.card, rules.points);
+        plays = [];
+        seat = winner;
+    }
+    return taken;
+}
+
+/**
+ * Deal the unseen cards to the other seats, respecting voids, hand sizes and known cards
+ * @returns {number[][]|null} Hands by seat (our seat left empty), or null if no consistent deal was found
+ */
+function sampleDeal(unseen, needs, voids, known, me, random) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const hands = [[], [], [], []];
+        const room = [...needs];
+        const free = [];
+        for (const card of unseen) {
+            const owner = known.get(card);
+            if (owner !== undefined && room[owner] > 0) {
+                hands[owner].push(card);
+                room[owner]--;
+            } else {
+                free.push(card);
+            }
+        }
+
+        // Most constrained cards first, each to a random seat that can hold it
+        const eligible = (card) => [0, 1, 2, 3].filter(seat => seat !== me && room[seat] > 0 && !voids[seat][suitOf(card)]);
+        for (let i = free.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [free[i], free[j]] = [free[j], free[i]];
+        }
+        free.sort((a, b) => eligible(a).length - eligible(b).length);
+
+        let ok = true;
+        for (const card of free) {
+            const seats = eligible(card);
+            if (seats.length === 0) {
+                ok = false;
+                break;
+            }
+            // Weighted by room left so hand sizes come out right
+            let pick = random() * seats.reduce((sum, seat) => sum + room[seat], 0);
+            let chosen = seats[seats.length - 1];
+            for (const seat of seats) {
+                pick -= room[seat];
+                if (pick < 0) {
+                    chosen = seat;
+                    break;
+                }
+            }
+            hands[chosen].push(card);
+            room[chosen]--;
+        }
+        if (ok) return hands;
+    }
+    return null;
+}
+
+export class LMBot {
+    /**
+     * @param {string[]} rankReference - Rank characters the adapter uses (unused: cards arrive as strings)
+     * @param {Object} [options] - Search budget (see DEFAULT_MC_OPTIONS)
+     * @param {number} [options.iterations] - Sampled deals per decision
+     * @param {number} [options.timeLimitMs] - Time cap per decision in milliseconds (0 = none)
+     * @param {number} [options.seed] - Base seed of the sampling
+     */
+    constructor(rankReference, options = {}) {
+        this.rankReference = rankReference;
+        this.options = { ...DEFAULT_MC_OPTIONS };
+        this.setBudget(options);
+    }
+
+    /**
+     * Change the search budget
+     * @param {{iterations?: number, timeLimitMs?: number, seed?: number}} budget
+     */
+    setBudget({ iterations, timeLimitMs, seed } = {}) {
+        if (iterations !== undefined) {
+            if (!Number.isInteger(iterations) || iterations < 1) {
+                throw new Error(`LMMCBot.setBudget: iterations must be a positive integer, got ${iterations}`);
+            }
+            this.options.iterations = iterations;
+        }
+        if (timeLimitMs !== undefined) {
+            if (typeof timeLimitMs !== 'number' || timeLimitMs < 0) {
+                throw new Error(`LMMCBot.setBudget: timeLimitMs must be 0 or more, got ${timeLimitMs}`);
+            }
+            this.options.timeLimitMs = timeLimitMs;
+        }
+        if (seed !== undefined) {
+            this.options.seed = seed >>> 0;
+        }
+    }
+
+    /**
+     * Pass the cards most likely to cost points: unprotected Leekha cards,
+     * high spades/diamonds without the Leekha card, high hearts
+     */
+    choosePass(hand, ctx) {
+        const cards = hand.flat().map(parseCard);
+        const count = (suit) => cards.filter(card => suitOf(card) === suit).length;
+        const danger = (card) => {
+            const suit = suitOf(card);
+            const rank = rankOf(card);
+            if (card === QUEEN_OF_SPADES) return count(SPADES) <= 4 ? 30 : 14;
+            if (card === TEN_OF_DIAMONDS) return count(DIAMONDS) <= 4 ? 26 : 12;
+            if (suit === SPADES && rank > 10) return cards.includes(QUEEN_OF_SPADES) ? 3 : 12 + rank - 10;
+            if (suit === DIAMONDS && rank > 8) return cards.includes(TEN_OF_DIAMONDS) ? 2 : 8 + rank - 8;
+            if (suit === HEARTS) return 4 + rank / 2;
+            return rank / 2;
+        };
+        return cards
+            .sort((a, b) => danger(b) - danger(a))
+            .slice(0, 3)
+            .map(formatCard);
+    }
+
+    chooseLead(hand, ctx) {
+        return this.#search(hand, ctx);
+    }
+
+    chooseFollow(hand, ctx) {
+        return this.#search(hand, ctx);
+    }
+
+    /**
+     * Pick the legal card with the fewest expected points for our team over sampled deals
+     */
+    #search(hand, ctx) {
+        const me = ctx.playerIndex ?? 0;
+        const rules = readRules(ctx);
+        const mine = hand.flat().map(parseCard);
+        const plays = (ctx.trick || []).map(t => ({ seat: t.player, card: parseTrickCard(t.card) }));
+        const leadSuit = plays.length > 0 ? suitOf(plays[0].card) : -1;
+        const options = legalMoves(mine, leadSuit, rules.forcedLeekha);
+        if (options.length <= 1) return formatCard(options[0] ?? mine[0]);
+
+        // What the table has shown
+        const played = new Set();
+        for (const [suitChar, ranks] of Object.entries(ctx.playedCards || {})) {
+            for (const rank of ranks) played.add(parseCard(`${rank}${suitChar}`));
+        }
+        for (const play of plays) played.add(play.card);
+
+        const unseen = [];
+        for (let card = 0; card < 52; card++) {
+            if (!played.has(card) && !mine.includes(card)) unseen.push(card);
+        }
+
+        // Seats that might still hold each suit (ctx.hasPlayers is relative to us)
+        const voids = [0, 1, 2, 3].map(() => [false, false, false, false]);
+        if (Array.isArray(ctx.hasPlayers)) {
+            for (let suit = 0; suit < 4; suit++) {
+                for (let rel = 1; rel < 4; rel++) {
+                    voids[(me + rel) % 4][suit] = !ctx.hasPlayers[suit]?.includes(rel);
+                }
+            }
+        }
+
+        // Cards we passed stay with the receiver until they show up
+        const known = new Map();
+        if (ctx.passed) {
+            const receiver = (me + ctx.passed.to) % 4;
+            for (const str of ctx.passed.cards) {
+                const card = parseCard(str);
+                if (!played.has(card) && !mine.includes(card)) known.set(card, receiver);
+            }
+        }
+
+        // Hand sizes: everyone holds as many cards as we do, less one if they played after us in this trick
+        const needs = [0, 1, 2, 3].map(seat => {
+            if (seat === me) return 0;
+            const playedThisTrick = plays.some(play => play.seat === seat);
+            return mine.length - (playedThisTrick ? 1 : 0);
+        });
+        if (needs.reduce((a, b) => a + b, 0) !== unseen.length) {
+            // Partial context (e.g. a hand-built test position): no deal to sample, use the rollout policy
+            return formatCard(rolloutChoice(mine, plays, me, rules));
+        }
+
+        const tricksLeft = mine.length;
+        const partner = (me + 2) % 4;
+        const random = createRandom(hashCards(this.options.seed, [...mine, -1, ...played]));
+        const totals = new Array(options.length).fill(0);
+        const started = Date.now();
+        let samples = 0;
+
+        for (let i = 0; i < this.options.iterations; i++) {
+            if (this.options.timeLimitMs > 0 && samples > 0 && Date.now() - started >= this.options.timeLimitMs) break;
+
+            let deal = sampleDeal(unseen, needs, voids, known, me, random);
+            if (!deal) {
+                // Void information contradicts itself: fall back to an unconstrained deal
+                deal = sampleDeal(unseen, needs, [0, 1, 2, 3].map(() => [false, false, false, false]), known, me, random);
+                if (!deal) break;
+            }
+            samples++;
+
+            for (let c = 0; c < options.length; c++) {
+                const hands = deal.map(h => [...h]);
+                hands[me] = mine.filter(card => card !== options[c]);
+                const trick = [...plays, { seat: me, card: options[c] }];
+                const taken = rollout(hands, trick, (me + 1) % 4, tricksLeft, rules);
+                // Team points, with our own counted a little extra to break ties
+                totals[c] += taken[me] + taken[partner] + taken[me] * 0.01;
+            }
+        }
+
+        let best = 0;
+        for (let c = 1; c < options.length; c++) {
+            if (totals[c] < totals[best]) best = c;
+        }
+        return formatCard(options[best]);
+    }
+}
@@ -1,10 +1,26 @@
 import { GameState } from '../../../js/game-state.js';
 import { BotPlayer } from '../../../js/player.js';
 import { GameEventEmitter } from '../../../js/events.js';
+import { randomSeed, normalizeSeed } from '../../../js/rng.js';
+import { runTournament, formatMarkdown } from './tournament.js';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getBotTypes, isBotType, BOT_CAPABILITIES } from '../../../js/bot-registry.js';
+import '../bots/index.js';
+
+/**
+ * Exit with a usage error if any of the bot types is not registered
+ * @param {string[]} types
+ */
+function requireBotTypes(types) {
+    const unknown = types.find(type => !isBotType(type));
+    if (unknown) {
+        console.error(`Unknown bot type "${unknown}" (available: ${getBotTypes().join(', ')})`);
+        process.exit(1);
+    }
+}
 
-const BOT_TYPES = ['lmg', 'lmlm', 'lmx', 'lmx2', 'lmc', 'lma1', 'lmts'];
-
-async function runMatchup(team0Bot, team1Bot, simGames, verbose = true) {
+async function runMatchup(team0Bot, team1Bot, simGames, verbose = true, seed = null) {
     const t0 = team0Bot.toLowerCase();
     const t1 = team1Bot.toLowerCase();
 
@@ -14,7 +30,11 @@ async function runMatchup(team0Bot, team1Bot, simGames, verbose = true) {
     }
 
     const events = new GameEventEmitter();
-    const game = new GameState(events);
+    const game = new GameState(events, { seed });
+
+    if (verbose) {
+        console.log(`Seed: ${game.seed}`);
+    }
 
     const players = [
         new BotPlayer(`Team0 A (${t0})`, "bottom"),
@@ -48,35 +68,42 @@ async function runMatchup(team0Bot, team1Bot, simGames, verbose = true) {
     });
 }
 
-async function runSingle(args) {
+async function runSingle(args, seed) {
     const simGames = parseInt(args[0]) || 100;
     const team0Bot = (args[1] || 'lmg').toLowerCase();
     const team1Bot = (args[2] || 'lmlm').toLowerCase();
+    requireBotTypes([team0Bot, team1Bot]);
 
-    await runMatchup(team0Bot, team1Bot, simGames, true);
+    await runMatchup(team0Bot, team1Bot, simGames, true, seed);
 }
 
-async function runMatrix(args) {
+async function runMatrix(args, seed) {
     const simGames = parseInt(args[1]) || 100;
+    // Search bots are left out unless listed: they take far longer per game
+    const botTypes = args[2]
+        ? args[2].toLowerCase().split(',').map(type => type.trim())
+        : getBotTypes({ without: BOT_CAPABILITIES.SEARCH });
+    requireBotTypes(botTypes);
     const results = {};
 
-    console.log(`Running ${simGames}-game matrix between bots: ${BOT_TYPES.join(', ')}`);
+    console.log(`Running ${simGames}-game matrix between bots: ${botTypes.join(', ')}`);
+    if (seed !== null) console.log(`Seed: ${seed} (every pairing plays the same deals)`);
 
-    for (const rowBot of BOT_TYPES) {
+    for (const rowBot of botTypes) {
         results[rowBot] = {};
-        for (const colBot of BOT_TYPES) {
-            const { team0Wins, team1Wins } = await runMatchup(rowBot, colBot, simGames, false);
+        for (const colBot of botTypes) {
+            const { team0Wins, team1Wins } = await runMatchup(rowBot, colBot, simGames, false, seed);
             results[rowBot][colBot] = { team0Wins, team1Wins };
         }
     }
 
-    const header = [' '.repeat(6), ...BOT_TYPES.map(t => t.toUpperCase().padStart(8))].join('');
+    const header = [' '.repeat(6), ...botTypes.map(t => t.toUpperCase().padStart(8))].join('');
     console.log('\nResults matrix (entries are wins for ROW bot vs COLUMN bot)\n');
     console.log(header);
 
-    for (const rowBot of BOT_TYPES) {
+    for (const rowBot of botTypes) {
         let line = rowBot.toUpperCase().padEnd(6);
-        for (const colBot of BOT_TYPES) {
+        for (const colBot of botTypes) {
             const { team0Wins, team1Wins } = results[rowBot][colBot];
             const cell = `${team0Wins}-${team1Wins}`.padStart(8);
             line += cell;
@@ -85,10 +112,70 @@ async function runMatrix(args) {
     }
 }
 
-const args = process.argv.slice(2);
+/**
+ * Round-robin of every registered bot except the slow search bots (or --bots)
+ * on duplicate deals; prints the leaderboard and writes it as JSON and
+ * markdown to --out
+ * @param {string[]} args - ['tournament', deals per pairing]
+ * @param {string|null} seed
+ * @param {{bots: string|null, out: string|null}} options
+ */
+async function runTournamentMode(args, seed, options) {
+    const deals = parseInt(args[1]) || 10;
+    const bots = options.bots
+        ? options.bots.toLowerCase().split(',').map(type => type.trim())
+        : getBotTypes({ without: BOT_CAPABILITIES.SEARCH });
+    requireBotTypes(bots);
+    const baseSeed = normalizeSeed(seed) ?? randomSeed();
+    const outDir = options.out || 'tournament-results';
+
+    console.log(`Tournament: ${bots.join(', ')}`);
+    console.log(`${deals} duplicate deals per pairing (${deals * 2} games), seed: ${baseSeed}`);
+
+    const report = await runTournament({ bots, deals, seed: baseSeed, onProgress: line => console.log(`  ${line}`) });
+
+    const markdown = formatMarkdown(report);
+    mkdirSync(outDir, { recursive: true });
+    writeFileSync(join(outDir, 'tournament.json'), JSON.stringify(report, null, 2));
+    writeFileSync(join(outDir, 'tournament.md'), markdown);
+
+    console.log('');
+    for (const entry of report.leaderboard) {
+        const ci = `[${Math.round(entry.ciLow)}, ${Math.round(entry.ciHigh)}]`;
+        console.log(`${String(entry.rank).padStart(2)}. ${entry.type.padEnd(6)} ${String(Math.round(entry.elo)).padStart(5)}  ${ci.padEnd(13)} `
+            + `${(entry.winRate * 100).toFixed(1).padStart(5)}% of ${entry.games} games`);
+    }
+    console.log(`\nWrote ${join(outDir, 'tournament.json')} and ${join(outDir, 'tournament.md')}`);
+}
+
+/**
+ * Pull `--seed <n>`, `--bots <a,b,...>` and `--out <dir>` (or `--name=value`) out of the argument list
+ * @param {string[]} argv - Raw CLI arguments
+ * @returns {{args: string[], seed: string|null, options: {bots: string|null, out: string|null}}} Positional args, the seed (if any) and the other options
+ */
+function parseArgs(argv) {
+    const args = [];
+    const values = { seed: null, bots: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--(seed|bots|out)(?:=(.*))?$/.exec(arg);
+        if (match) {
+            values[match[1]] = match[2] ?? argv[++i] ?? null;
+        } else {
+            args.push(arg);
+        }
+    }
+    const { seed, ...options } = values;
+    return { args, seed, options };
+}
+
+const { args, seed, options } = parseArgs(process.argv.slice(2));
+const mode = args[0]?.toLowerCase();
 
-if (args[0] && args[0].toLowerCase() === 'matrix') {
-    await runMatrix(args);
+if (mode === 'matrix') {
+    await runMatrix(args, seed);
+} else if (mode === 'tournament') {
+    await runTournamentMode(args, seed, options);
 } else {
-    await runSingle(args);
+    await runSingle(args, seed);
 }
@@ -0,0 +1,296 @@
+/**
+ * Bot tournament: round-robin over the registered bots with duplicate deals
+ *
+ * Every pairing plays the same deals twice, once from each side of the
+ * table (team 0 sits in seats 0/2, team 1 in 1/3), so neither bot is
+ * favoured by the cards or its seats. The two games of a deal form one
+ * duplicate match, scored 1, ½ or 0. Ratings are Bradley-Terry strengths
+ * fitted to all duplicate matches and shown on the Elo scale (mean 1500),
+ * with 95% confidence intervals from the standard errors of the fit.
+ */
+import { GameState } from '../../../js/game-state.js';
+import { BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter } from '../../../js/events.js';
+import { normalizeSeed } from '../../../js/rng.js';
+import { getBotInfo } from '../../../js/bot-registry.js';
+import '../bots/index.js';
+
+/** Elo points per factor of 10 in winning odds */
+const ELO_SCALE = 400;
+/** Rating of an average bot */
+const ELO_MEAN = 1500;
+
+/**
+ * Play one game to the end, team 0 in seats 0/2 and team 1 in seats 1/3
+ * @param {string} team0 - Bot type
+ * @param {string} team1 - Bot type
+ * @param {number} seed - Deal seed
+ * @returns {Promise<{team0Won: boolean, teamScores: number[]}>}
+ */
+export async function playGame(team0, team1, seed) {
+    const game = new GameState(new GameEventEmitter(), { seed });
+    const players = [
+        new BotPlayer(`Team0 A (${team0})`, 'bottom'),
+        new BotPlayer(`Team1 East (${team1})`, 'right'),
+        new BotPlayer(`Team0 Partner (${team0})`, 'top'),
+        new BotPlayer(`Team1 West (${team1})`, 'left')
+    ];
+    game.players = players;
+
+    const finished = new Promise((resolve) => {
+        game.simulation = {
+            enabled: true,
+            quiet: true,
+            target: 1,
+            completed: 0,
+            wins: {},
+            onComplete: resolve
+        };
+    });
+
+    await game.initializeBots({ 0: team0, 2: team0, 1: team1, 3: team1 });
+    // Both teams get their own win counter even when a bot meets itself
+    game.simulation.team0 = 'team0';
+    game.simulation.team1 = 'team1';
+    game.startNewGame();
+    await finished;
+
+    return {
+        team0Won: game.simulation.wins.team0 === 1,
+        teamScores: [players[0].score + players[2].score, players[1].score + players[3].score]
+    };
+}
+
+/**
+ * Run the round-robin
+ * @param {Object} options
+ * @param {string[]} options.bots - Registered bot types (at least two)
+ * @param {number} options.deals - Duplicate deals per pairing (each played twice)
+ * @param {number} options.seed - Base seed; deal k of every pairing uses the same derived seed
+ * @param {(line: string) => void} [options.onProgress] - Called after each pairing
+ * @returns {Promise<Object>} Report for formatMarkdown() / JSON output
+ * @throws {Error} If fewer than two bots are given
+ */
+export async function runTournament({ bots, deals, seed, onProgress = () => {} }) {
+    if (bots.length < 2) {
+        throw new Error('runTournament: need at least two bots');
+    }
+
+    const dealSeeds = Array.from({ length: deals }, (_, k) => normalizeSeed(`${seed}:${k}`));
+    const matches = [];
+    const pairings = [];
+
+    for (let i = 0; i < bots.length; i++) {
+        for (let j = i + 1; j < bots.length; j++) {
+            const a = bots[i];
+            const b = bots[j];
+            const pairing = { a, b, matches: 0, aScore: 0, aGames: 0, bGames: 0, aPoints: 0, bPoints: 0 };
+
+            for (const dealSeed of dealSeeds) {
+                // Same deals from both sides of the table
+                const first = await playGame(a, b, dealSeed);
+                const second = await playGame(b, a, dealSeed);
+                const aGames = (first.team0Won ? 1 : 0) + (second.team0Won ? 0 : 1);
+                const score = aGames / 2;
+
+                matches.push({ a, b, score, seed: dealSeed });
+                pairing.matches++;
+                pairing.aScore += score;
+                pairing.aGames += aGames;
+                pairing.bGames += 2 - aGames;
+                pairing.aPoints += first.teamScores[0] + second.teamScores[1];
+                pairing.bPoints += first.teamScores[1] + second.teamScores[0];
+            }
+
+            pairings.push(pairing);
+            onProgress(`${a} vs ${b}: ${pairing.aGames}-${pairing.bGames} in games, `
+                + `${pairing.aScore}-${pairing.matches - pairing.aScore} in duplicate matches`);
+        }
+    }
+
+    const ratings = rateBots(bots, matches);
+    const leaderboard = bots
+        .map((type) => {
+            const games = pairings.filter(p => p.a === type || p.b === type);
+            const wins = games.reduce((sum, p) => sum + (p.a === type ? p.aGames : p.bGames), 0);
+            const played = games.reduce((sum, p) => sum + p.aGames + p.bGames, 0);
+            const info = getBotInfo(type);
+            return {
+                type,
+                name: info?.name ?? type.toUpperCase(),
+                version: info?.version ?? null,
+                ...ratings[type],
+                games: played,
+                wins,
+                winRate: played > 0 ? wins / played : 0
+            };
+        })
+        .sort((x, y) => y.elo - x.elo)
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        seed,
+        dealsPerPairing: deals,
+        gamesPerPairing: deals * 2,
+        method: 'Bradley-Terry fit over duplicate matches, Elo scale, 95% intervals from standard errors',
+        leaderboard,
+        pairings
+    };
+}
+
+/**
+ * Fit Bradley-Terry strengths by minorization-maximization
+ * Each pairing also gets one virtual drawn match, which keeps a bot that lost
+ * (or won) everything at a finite strength.
+ * @param {string[]} bots
+ * @param {Array<{a: string, b: string, score: number}>} matches - score: a's result (1, 0.5, 0)
+ * @returns {{strength: number[], played: number[][]}} Strengths (geometric mean 1) and matches per pair, by bot index
+ */
+function fitStrengths(bots, matches) {
+    const index = new Map(bots.map((type, i) => [type, i]));
+    const n = bots.length;
+    const wins = new Array(n).fill(0);
+    const played = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    const add = (i, j, score) => {
+        wins[i] += score;
+        wins[j] += 1 - score;
+        played[i][j]++;
+        played[j][i]++;
+    };
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) add(i, j, 0.5);
+    }
+    for (const { a, b, score } of matches) {
+        add(index.get(a), index.get(b), score);
+    }
+
+    let strength = new Array(n).fill(1);
+    for (let iteration = 0; iteration < 10000; iteration++) {
+        const next = strength.map((p, i) => {
+            let denominator = 0;
+            for (let j = 0; j < n; j++) {
+                if (j !== i && played[i][j] > 0) denominator += played[i][j] / (p + strength[j]);
+            }
+            return denominator > 0 ? wins[i] / denominator : p;
+        });
+        // Strengths are only defined up to a factor; keep their geometric mean at 1
+        const logMean = next.reduce((sum, p) => sum + Math.log(p), 0) / n;
+        const normalized = next.map(p => p / Math.exp(logMean));
+        const change = Math.max(...normalized.map((p, i) => Math.abs(Math.log(p / strength[i]))));
+        strength = normalized;
+        if (change < 1e-10) break;
+    }
+
+    return { strength, played };
+}
+
+/**
+ * Invert a small symmetric positive definite matrix (Gauss-Jordan)
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+function invert(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        const divisor = rows[col][col];
+        for (let c = 0; c < 2 * n; c++) rows[col][c] /= divisor;
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = rows[r][col];
+            for (let c = 0; c < 2 * n; c++) rows[r][c] -= factor * rows[col][c];
+        }
+    }
+    return rows.map(row => row.slice(n));
+}
+
+/**
+ * Elo ratings of the bots, averaging ELO_MEAN
+ * @param {string[]} bots
+ * @param {Array<{a: string, b: string, score: number}>} matches - score: a's result (1, 0.5, 0)
+ * @returns {Object<string, number>}
+ */
+export function fitRatings(bots, matches) {
+    const { strength } = fitStrengths(bots, matches);
+    return Object.fromEntries(bots.map((type, i) => [type, ELO_MEAN + ELO_SCALE * Math.log10(strength[i])]));
+}
+
+/**
+ * Elo ratings with 95% confidence intervals
+ * The intervals come from the curvature of the fit's likelihood (standard
+ * errors of the log-strengths relative to their mean), so a bot with a
+ * perfect record still gets an honest width.
+ * @param {string[]} bots
+ * @param {Array<{a: string, b: string, score: number}>} matches - score: a's result (1, 0.5, 0)
+ * @returns {Object<string, {elo: number, ciLow: number, ciHigh: number}>}
+ */
+export function rateBots(bots, matches) {
+    const { strength, played } = fitStrengths(bots, matches);
+    const n = bots.length;
+
+    // Fisher information of the log-strengths; bot 0 is held fixed to make it invertible
+    const information = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (i === j || played[i][j] === 0) continue;
+            const p = strength[i] / (strength[i] + strength[j]);
+            const weight = played[i][j] * p * (1 - p);
+            information[i][j] -= weight;
+            information[i][i] += weight;
+        }
+    }
+    const reduced = invert(information.slice(1).map(row => row.slice(1)));
+    const covariance = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+        (i === 0 || j === 0 ? 0 : reduced[i - 1][j - 1])));
+
+    // Variance of each log-strength minus the mean of all of them
+    const rowSums = covariance.map(row => row.reduce((sum, v) => sum + v, 0));
+    const total = rowSums.reduce((sum, v) => sum + v, 0);
+    const eloPerLog = ELO_SCALE / Math.LN10;
+
+    return Object.fromEntries(bots.map((type, i) => {
+        const variance = Math.max(0, covariance[i][i] - 2 * rowSums[i] / n + total / (n * n));
+        const elo = ELO_MEAN + ELO_SCALE * Math.log10(strength[i]);
+        const margin = 1.96 * Math.sqrt(variance) * eloPerLog;
+        return [type, { elo, ciLow: elo - margin, ciHigh: elo + margin }];
+    }));
+}
+
+/**
+ * Leaderboard and pairing table as markdown
+ * @param {Object} report - From runTournament()
+ * @returns {string}
+ */
+export function formatMarkdown(report) {
+    const round = (value) => Math.round(value);
+    const lines = [
+        '# Bot tournament',
+        '',
+        `${report.generatedAt} · seed ${report.seed} · ${report.dealsPerPairing} duplicate deals `
+            + `(${report.gamesPerPairing} games) per pairing`,
+        '',
+        `Ratings: ${report.method}.`,
+        '',
+        '| Rank | Bot | Version | Elo | 95% CI | Games | Win rate |',
+        '| ---: | --- | --- | ---: | --- | ---: | ---: |',
+        ...report.leaderboard.map(entry => `| ${entry.rank} | ${entry.name} (\`${entry.type}\`) | ${entry.version ?? ''} `
+            + `| ${round(entry.elo)} | ${round(entry.ciLow)} – ${round(entry.ciHigh)} | ${entry.games} `
+            + `| ${(entry.winRate * 100).toFixed(1)}% |`),
+        '',
+        '## Pairings',
+        '',
+        '| Pairing | Games | Duplicate matches | Points taken |',
+        '| --- | ---: | ---: | ---: |',
+        ...report.pairings.map(p => `| ${p.a} vs ${p.b} | ${p.aGames}–${p.bGames} `
+            + `| ${p.aScore}–${p.matches - p.aScore} | ${p.aPoints}–${p.bPoints} |`),
+        ''
+    ];
+    return lines.join('\n');
+}
@@ -3,26 +3,12 @@
 // with. Covers the "K♣ chosen over safe 10♣, eating a dumped Q♠" class of
 // bug. Run directly with `node tools/botsim/tests/avoid_likha_when_ducking.mjs`.
 
-import { LMBot as LMGBot } from '../bots/LMG.js';
-import { LMBot as LMLMBot } from '../bots/LMLM.js';
-import { LMBot as LMXBot } from '../bots/LMX.js';
-import { LMBot as LMX2Bot } from '../bots/lmx2.js';
-import { LMBot as LMCBot } from '../bots/lmc.js';
-import { LMBot as LMABot } from '../bots/lma.js';
-import { LMBot as LMA1Bot } from '../bots/lma.1.js';
-import { LMBot as LMTSBot } from '../bots/lmts.js';
+import { getBotTypes, loadBot } from '../../../js/bot-registry.js';
+import '../bots/index.js';
 
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
-const BOTS = [
-  ['lmg', LMGBot],
-  ['lmlm', LMLMBot],
-  ['lmx', LMXBot],
-  ['lmx2', LMX2Bot],
-  ['lmc', LMCBot],
-  ['lma', LMABot],
-  ['lma1', LMA1Bot],
-  ['lmts', LMTSBot],
-];
+// Every registered bot is checked
+const BOTS = await Promise.all(getBotTypes().map(async type => [type, await loadBot(type)]));
 
 let failures = 0;
 
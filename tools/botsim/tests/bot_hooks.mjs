@@ -0,0 +1,156 @@
+// Checks for per-seat bots and their round hooks (js/bot-hooks.js): every
+// seat gets its own instance, the hooks arrive in order with only what that
+// seat may know, a bot can track the cards it passed until they show up, a
+// resumed game hands the bot the position to rebuild from, and nothing is
+// called once the game is over. Run directly with
+// `node tools/botsim/tests/bot_hooks.mjs`.
+
+import { GameState } from '../../../js/game-state.js';
+import { BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter, GameEvents } from '../../../js/events.js';
+import { registerBot } from '../../../js/bot-registry.js';
+import { DECISION_CONTEXT_VERSION } from '../../../js/decision-context.js';
+
+let failures = 0;
+const problems = new Map();
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+// Collect mismatches by kind; reported once the game is over
+function expect(kind, ok) {
+  if (!problems.has(kind)) problems.set(kind, 0);
+  if (!ok) problems.set(kind, problems.get(kind) + 1);
+}
+
+const id = (card) => `${card.rank}${card.suit}`;
+const ids = (cards) => cards.map(id).sort().join(' ');
+let game = null;
+const instances = [];
+
+/** Plays its lowest legal card and remembers the round through the hooks */
+class MemoryBot {
+  contextVersion = DECISION_CONTEXT_VERSION;
+
+  constructor() {
+    instances.push(this);
+    this.seat = null;
+    this.calls = [];
+    this.hand = new Set();
+    // Cards we passed that have not been played yet: the receiver still holds them
+    this.heldByReceiver = new Map();
+    this.restored = null;
+  }
+
+  onRoundStart({ playerIndex, hand, roundNumber, ...rest }) {
+    this.seat = playerIndex;
+    this.calls = ['start'];
+    this.hand = new Set(hand.map(id));
+    this.heldByReceiver.clear();
+    expect('round start: own hand only', hand.length === 13 && ids(hand) === ids(game.players[playerIndex].hand)
+      && Object.keys(rest).sort().join() === 'dealerIndex,passDirection' && roundNumber === game.roundNumber);
+  }
+
+  onPassReceived({ from, cards, to, passed }) {
+    this.calls.push('pass');
+    for (const card of passed) {
+      this.hand.delete(id(card));
+      this.heldByReceiver.set(id(card), to);
+    }
+    for (const card of cards) this.hand.add(id(card));
+    expect('pass: cards received are in hand', ids(game.players[this.seat].hand) === [...this.hand].sort().join(' '));
+    expect('pass: seats', game.getPassTarget(this.seat) === to && game.getPassTarget(from) === this.seat);
+  }
+
+  onCardPlayed({ playerIndex, card }) {
+    this.calls.push('card');
+    if (playerIndex === this.seat) this.hand.delete(id(card));
+    if (this.heldByReceiver.get(id(card)) !== undefined) {
+      expect('passed cards come from the receiver', this.heldByReceiver.get(id(card)) === playerIndex);
+      this.heldByReceiver.delete(id(card));
+    }
+  }
+
+  onTrickComplete({ trick, winnerIndex }) {
+    this.calls.push('trick');
+    expect('trick complete', trick.length === 4 && trick.some(play => play.player === winnerIndex));
+  }
+
+  onRoundEnd({ roundNumber, scores }) {
+    this.calls.push('end');
+    const cards = this.calls.filter(call => call === 'card').length;
+    const tricks = this.calls.filter(call => call === 'trick').length;
+    expect('a whole round of hooks', cards === 52 && tricks === 13 && this.calls[0] === 'start'
+      && roundNumber === game.roundNumber && scores.every((score, i) => score === game.players[i].score));
+  }
+
+  onRoundRestored(ctx) {
+    this.restored = ctx;
+  }
+
+  play(ctx) {
+    expect('memory matches the hand', ids(ctx.hand) === [...this.hand].sort().join(' '));
+    for (const [card, seat] of this.heldByReceiver) {
+      expect('receiver still holds what we passed', game.players[seat].hand.some(c => id(c) === card));
+    }
+    return ctx.legalMoves.reduce((low, card) => (card.value < low.value ? card : low));
+  }
+
+  pass(ctx) {
+    return [...ctx.hand].sort((a, b) => b.value - a.value).slice(0, ctx.passCount);
+  }
+}
+
+registerBot({ type: 'memorybot', description: 'Bot hooks test bot', load: async () => MemoryBot });
+
+const log = console.log;
+console.log = () => {};
+
+const events = new GameEventEmitter();
+game = new GameState(events, { seed: 7, speed: 'instant' });
+const players = ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+game.players = players;
+let checkpoint = null;
+events.on(GameEvents.CARD_PLAYED, () => {
+  if (!checkpoint && game.roundNumber === 2 && game.cardTracker.tricksPlayed === 5) checkpoint = game.createCheckpoint('play');
+});
+const over = new Promise(resolve => events.on(GameEvents.GAME_OVER, resolve));
+await game.initializeBots({ 0: 'memorybot', 1: 'memorybot', 2: 'memorybot', 3: 'memorybot' });
+game.initialize(players);
+await over;
+
+const callsAfterGame = instances.map(bot => bot.calls.length);
+events.emit(GameEvents.CARD_PLAYED, { playerIndex: 0, card: players[0].hand[0] ?? { suit: 'C', rank: '2' }, position: 0 });
+
+// A resumed game gets fresh bots, each told where the round stands
+const resumedEvents = new GameEventEmitter();
+const resumed = new GameState(resumedEvents, { speed: 'instant' });
+const resumedPlayers = ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+resumed.players = resumedPlayers;
+await resumed.initializeBots({ 0: 'memorybot', 1: 'memorybot', 2: 'memorybot', 3: 'memorybot' });
+resumed.pause();
+resumed.initialize(resumedPlayers, { checkpoint });
+resumed.abandon();
+
+console.log = log;
+
+console.log('--- Per-seat bots ---\n');
+check('each seat has its own instance', new Set(instances.slice(0, 4)).size === 4 && instances.length === 8,
+  `${instances.length} instances for two games`);
+check('instances know their seats', instances.slice(0, 4).every((bot, seat) => bot.seat === seat));
+
+console.log('\n--- Hooks ---\n');
+for (const [kind, count] of problems) {
+  check(kind, count === 0, count > 0 ? `${count} mismatch(es)` : '');
+}
+check('no hooks once the game is over', instances.every((bot, i) => i >= 4 || bot.calls.length === callsAfterGame[i]));
+
+const restored = instances.slice(4).map(bot => bot.restored);
+check('a resumed game hands every bot the restored position', restored.every((ctx, seat) => ctx
+  && ctx.playerIndex === seat && ctx.roundNumber === 2 && ctx.tricks.length === 5
+  && ctx.passes.every(pass => (pass.cards !== null) === (pass.from === seat || pass.to === seat))));
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
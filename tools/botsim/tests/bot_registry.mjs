@@ -0,0 +1,75 @@
+// Checks for the bot registry: every shipped bot is registered with its
+// metadata, loads lazily into a class with the methods its adapter calls, and
+// bad registrations or unknown types are rejected.
+// Run directly with `node tools/botsim/tests/bot_registry.mjs`.
+
+import {
+  registerBot, getBotTypes, getBotInfo, isBotType, loadBot, createBot, BOT_CAPABILITIES
+} from '../../../js/bot-registry.js';
+import '../bots/index.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+async function rejects(promiseOrFn) {
+  try {
+    await (typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+console.log('--- Shipped bots ---\n');
+const types = getBotTypes();
+check('the shipped bots are registered', ['lmg', 'lmlm', 'lmx', 'lma', 'lmx2', 'lmc', 'lma1', 'lmts', 'lmmc'].every(isBotType),
+  types.join(', '));
+
+for (const type of types) {
+  const info = getBotInfo(type);
+  const described = info.name && info.description && info.version
+    && info.capabilities.includes(BOT_CAPABILITIES.PASS) && info.capabilities.includes(BOT_CAPABILITIES.PLAY);
+  const bot = await createBot(type);
+  // Native bots read the decision context, the others go through the BotAdapter shim
+  const methods = bot.contextVersion !== undefined ? ['pass', 'play'] : ['choosePass', 'chooseLead', 'chooseFollow'];
+  const playable = methods.every(method => typeof bot[method] === 'function');
+  check(`${type.padEnd(5)} has metadata and loads a playable bot`, described && playable);
+}
+
+check('search bots are tagged', getBotTypes({ capability: BOT_CAPABILITIES.SEARCH }).join() === 'lmmc');
+check('a bot class is loaded once', (await loadBot('lmts')) === (await loadBot('lmts')));
+
+console.log('\n--- Registration ---\n');
+let loads = 0;
+registerBot({
+  type: 'testbot',
+  description: 'Test bot',
+  load: async () => {
+    loads++;
+    return class {
+      choosePass() { return []; }
+      chooseLead() { return null; }
+      chooseFollow() { return null; }
+    };
+  }
+});
+check('nothing is imported until the bot is needed', loads === 0);
+await createBot('testbot');
+await createBot('testbot');
+check('registered bots are created through the registry', loads === 1, `${loads} load(s)`);
+check('the name defaults to the type', getBotInfo('testbot').name === 'TESTBOT');
+
+check('duplicate types are rejected', await rejects(() => registerBot({ type: 'lmts', load: async () => class {} })));
+check('invalid types are rejected', await rejects(() => registerBot({ type: 'Bad Type', load: async () => class {} })));
+check('registrations need a loader', await rejects(() => registerBot({ type: 'noloader' })));
+check('unknown types are rejected', await rejects(createBot('nosuchbot')));
+
+registerBot({ type: 'broken', load: async () => ({}) });
+check('a module without a bot class is rejected', await rejects(loadBot('broken')));
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,102 @@
+// Checks for checkpoints (GameState.createCheckpoint / resumeFromCheckpoint):
+// a checkpoint taken in the middle of a trick survives JSON, restores the
+// exact position in a fresh game, and play carries on from the partial trick
+// to the same result as the uninterrupted game; damaged checkpoints are
+// rejected before anything is restored. Run directly with
+// `node tools/botsim/tests/checkpoint_resume.mjs`.
+
+import { GameState } from '../../../js/game-state.js';
+import { BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter, GameEvents } from '../../../js/events.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+const BOTS = { 0: 'lmts', 1: 'lmx', 2: 'lmts', 3: 'lmx' };
+const seats = () => ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+// Everything but the time it was taken
+const position = ({ savedAt, ...rest }) => JSON.stringify(rest);
+
+/**
+ * Build a game with bots seated, ready for initialize()
+ * @param {Object} [checkpointStore]
+ */
+async function setUp(checkpointStore) {
+  const events = new GameEventEmitter();
+  const game = new GameState(events, { seed: 11, speed: 'instant', checkpointStore });
+  game.players = seats();
+  await game.initializeBots(BOTS);
+  const over = new Promise(resolve => events.on(GameEvents.GAME_OVER, resolve));
+  return { game, events, over };
+}
+
+const log = console.log;
+console.log = () => {};
+
+// The uninterrupted game, keeping the checkpoint saved halfway through a trick of round 2
+let saved = null;
+const store = {
+  save(checkpoint) {
+    if (!saved && checkpoint.roundNumber === 2 && checkpoint.trick.length === 2 && checkpoint.roundTricks.length === 4) {
+      saved = JSON.parse(JSON.stringify(checkpoint));
+    }
+  },
+  clear() {}
+};
+const original = await setUp(store);
+original.game.initialize(original.game.players);
+const originalOver = await original.over;
+
+// The same game resumed from the checkpoint, held before its first play
+const resumed = await setUp();
+resumed.game.pause();
+resumed.game.initialize(resumed.game.players, { checkpoint: saved });
+const restored = resumed.game.createCheckpoint('play');
+resumed.game.resume();
+const resumedOver = await resumed.over;
+
+// Damaged checkpoints
+const rejects = async (label, damage) => {
+  const bad = JSON.parse(JSON.stringify(saved));
+  damage(bad);
+  const { game } = await setUp();
+  const before = JSON.stringify(game.players.map(p => p.score));
+  let error = null;
+  try {
+    game.initialize(game.players, { checkpoint: bad });
+  } catch (e) {
+    error = e;
+  }
+  game.abandon();
+  return { label, ok: !!error && JSON.stringify(game.players.map(p => p.score)) === before && game.roundNumber === 0 };
+};
+const damaged = [
+  await rejects('wrong seats', bad => { bad.humanSeats = [0]; }),
+  await rejects('missing field', bad => { delete bad.trick; }),
+  await rejects('bad card id', bad => { bad.players[1].hand[0] = '1Z'; }),
+  await rejects('duplicated card', bad => { bad.players[1].hand[0] = bad.players[0].hand[0]; }),
+  await rejects('missing players', bad => { bad.players = bad.players.slice(0, 3); })
+];
+
+console.log = log;
+
+console.log('--- Round trip ---\n');
+check('a mid-trick checkpoint was saved', saved !== null && saved.phase === 'play', saved ? `${saved.trick.length} card(s) on the table` : '');
+check('resuming restores the exact position', position(restored) === position(saved));
+check('the partial trick is on the table', restored.roundTricks.length === 4
+  && JSON.stringify(restored.trick) === JSON.stringify(saved.trick));
+check('play continues from the partial trick to the same result',
+  JSON.stringify(resumedOver.players.map(p => p.score)) === JSON.stringify(originalOver.players.map(p => p.score)),
+  resumedOver.players.map(p => p.score).join('/'));
+
+console.log('\n--- Damaged checkpoints ---\n');
+for (const { label, ok } of damaged) {
+  check(`rejected before restoring: ${label}`, ok);
+}
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
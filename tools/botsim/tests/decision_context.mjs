@@ -0,0 +1,127 @@
+// Checks for the engine's decision context (js/decision-context.js): a bot
+// declaring `contextVersion` plays whole games through NativeBotAdapter, and
+// at every decision the context it gets agrees with the game — hand, legal
+// moves, trick history, passes it may know, voids — without handing the bot
+// anything it could use to change the game. Run directly with
+// `node tools/botsim/tests/decision_context.mjs`.
+
+import { GameState } from '../../../js/game-state.js';
+import { BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter, GameEvents } from '../../../js/events.js';
+import { registerBot } from '../../../js/bot-registry.js';
+import { createBotAdapter } from '../../../js/bot-adapter.js';
+import { NativeBotAdapter } from '../../../js/native-bot-adapter.js';
+import { DECISION_CONTEXT_VERSION } from '../../../js/decision-context.js';
+
+let failures = 0;
+const problems = new Map();
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+// Collect context mismatches by kind; reported once the games are over
+function expect(kind, ok) {
+  if (!problems.has(kind)) problems.set(kind, 0);
+  if (!ok) problems.set(kind, problems.get(kind) + 1);
+}
+
+const ids = (cards) => cards.map(card => `${card.rank}${card.suit}`).sort().join(' ');
+let game = null;
+let decisions = 0;
+
+/** Passes its highest cards and plays its lowest legal card, checking each context against the game */
+class CheckingBot {
+  contextVersion = DECISION_CONTEXT_VERSION;
+
+  verify(ctx) {
+    decisions++;
+    const seat = ctx.playerIndex;
+    const tracker = game.cardTracker;
+    expect('version', ctx.version === DECISION_CONTEXT_VERSION);
+    expect('hand', ids(ctx.hand) === ids(game.players[seat].hand));
+    expect('round and dealer', ctx.roundNumber === game.roundNumber && ctx.dealer === game.dealerIndex);
+    expect('partner', ctx.partner === (seat + 2) % 4);
+    expect('trick history', ctx.tricks.length === tracker.tricksPlayed
+      && ctx.tricks.every(t => t.plays.length === 4 && t.plays[0].player === t.leader
+        && t.plays.some(play => play.player === t.winner)));
+    expect('voids', JSON.stringify(ctx.voids) === JSON.stringify(tracker.playerVoids));
+    const played = ctx.tricks.flatMap(t => t.plays).concat(ctx.trick).map(play => play.card);
+    expect('unseen cards', ctx.unseen.length + ctx.hand.length + played.length === 52);
+    expect('passes known only to giver and receiver', ctx.passes.every(pass =>
+      (pass.from === seat || pass.to === seat) === (pass.cards !== null)));
+    expect('scores', ctx.scores.every((score, i) => score === game.players[i].score));
+  }
+
+  pass(ctx) {
+    this.verify(ctx);
+    expect('pass decision', ctx.decision === 'pass' && ctx.trick.length === 0
+      && ctx.passTo === game.getPassTarget(ctx.playerIndex));
+    return [...ctx.hand].sort((a, b) => b.value - a.value).slice(0, ctx.passCount);
+  }
+
+  play(ctx) {
+    this.verify(ctx);
+    expect('play decision', ctx.decision === 'play' && ctx.trick.length === game.trick.length
+      && (ctx.leadSuit ?? null) === (game.trick[0]?.card.suit ?? null));
+    expect('legal moves', ids(ctx.legalMoves) === ids(game.getValidMoves(game.players[ctx.playerIndex].hand)));
+    const choice = ctx.legalMoves.reduce((low, card) => (card.value < low.value ? card : low));
+    // Scribbling on the context must not reach the game
+    for (const play of ctx.trick) play.card.rank = 'X';
+    ctx.hand.length = 0;
+    return { suit: choice.suit, rank: choice.rank };
+  }
+}
+
+registerBot({ type: 'ctxcheck', description: 'Decision context test bot', load: async () => CheckingBot });
+
+/**
+ * Play one game: the checking bot in seats 0 and 2, lmts in 1 and 3
+ * @param {number} seed
+ * @returns {Promise<Object>} GAME_OVER payload
+ */
+async function playGame(seed) {
+  const events = new GameEventEmitter();
+  game = new GameState(events, { seed, speed: 'instant' });
+  game.players = ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+  const over = new Promise(resolve => events.on(GameEvents.GAME_OVER, resolve));
+  await game.initializeBots({ 0: 'ctxcheck', 1: 'lmts', 2: 'ctxcheck', 3: 'lmts' });
+  game.startNewGame();
+  return over;
+}
+
+const log = console.log;
+console.log = () => {};
+const results = [];
+for (const seed of [1, 2, 3]) {
+  results.push(await playGame(seed));
+}
+console.log = log;
+
+console.log('--- Native bots play whole games ---\n');
+check('three games finish', results.length === 3);
+check('the checking bot was asked', decisions > 300, `${decisions} decisions`);
+for (const [kind, count] of problems) {
+  check(`context: ${kind}`, count === 0, count > 0 ? `${count} mismatch(es)` : '');
+}
+
+console.log('\n--- Adapters and versions ---\n');
+check('native bots get the native adapter', createBotAdapter(new CheckingBot(), 0, game) instanceof NativeBotAdapter);
+let rejected = false;
+try {
+  createBotAdapter({ contextVersion: DECISION_CONTEXT_VERSION + 1, pass() {}, play() {} }, 0, game);
+} catch {
+  rejected = true;
+}
+check('bots needing a newer context are rejected', rejected);
+
+const checkpoint = game.createCheckpoint('play');
+const copy = new GameState(new GameEventEmitter(), {});
+copy.players = game.players;
+copy.restoreCheckpoint(JSON.parse(JSON.stringify(checkpoint)));
+check('trick history survives a checkpoint', JSON.stringify(copy.roundTricks) === JSON.stringify(game.roundTricks),
+  `${copy.roundTricks.length} trick(s)`);
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,163 @@
+// Checks for per-seat event views (js/event-views.js): through a whole game
+// and a resumed one, every event as a seat sees it shows no card the seat
+// may not know (other hands, passes between other seats) and never the seed;
+// spectators see only played cards; EventView re-sends hands for a new viewer.
+// Run directly with `node tools/botsim/tests/event_views.mjs`.
+
+import { GameState } from '../../../js/game-state.js';
+import { BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter, GameEvents } from '../../../js/events.js';
+import { redactEvent, EventView, PUBLIC, OMNISCIENT } from '../../../js/event-views.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+const VIEWERS = [0, 1, 2, 3, PUBLIC];
+const BOTS = { 0: 'lmts', 1: 'lmx', 2: 'lmts', 3: 'lmx' };
+
+/**
+ * Every card and every `seed` key anywhere in a payload
+ * @param {*} value
+ * @returns {{cards: string[], seed: boolean}}
+ */
+function scan(value, found = { cards: [], seed: false }) {
+  if (Array.isArray(value)) {
+    value.forEach(item => scan(item, found));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.suit === 'string' && typeof value.rank === 'string') {
+      found.cards.push(`${value.rank}${value.suit}`);
+      return found;
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'seed') found.seed = true;
+      scan(item, found);
+    }
+  }
+  return found;
+}
+
+const leaks = new Map();
+const seen = new Map();
+const leak = (label, detail) => {
+  if (!leaks.has(label)) leaks.set(label, detail);
+};
+
+/**
+ * Follow a game's engine events, checking each one for every viewer against
+ * what that viewer may know at that moment
+ * @param {GameState} game
+ * @param {GameEventEmitter} events
+ */
+function watch(game, events) {
+  // Cards on the table or already played, and the cards each seat passed or received
+  let played = new Set();
+  let passedTo = [new Set(), new Set(), new Set(), new Set()];
+  const reset = () => {
+    played = new Set(game.roundTricks.flatMap(t => t.plays).concat(game.trick).map(play => play.card.id));
+    passedTo = [new Set(), new Set(), new Set(), new Set()];
+    for (const pass of game.passes) {
+      for (const card of pass.cards) {
+        passedTo[pass.from].add(card.id);
+        passedTo[pass.to].add(card.id);
+      }
+    }
+  };
+
+  for (const event of Object.values(GameEvents)) {
+    events.on(event, (data) => {
+      if (event === GameEvents.ROUND_START) reset();
+      if (event === GameEvents.GAME_RESUMED || event === GameEvents.GAME_UNDONE) reset();
+      if (event === GameEvents.CARD_PLAYED) played.add(data.card.id);
+      if (event === GameEvents.PASS_PHASE_COMPLETE) {
+        for (const pass of data.passes) {
+          for (const card of pass.cards) {
+            passedTo[pass.from].add(card.id);
+            passedTo[pass.to].add(card.id);
+          }
+        }
+      }
+      seen.set(event, (seen.get(event) ?? 0) + 1);
+
+      for (const viewer of VIEWERS) {
+        const view = redactEvent(event, data, viewer);
+        const { cards, seed } = scan(view);
+        const own = viewer === PUBLIC ? new Set() : new Set(game.players[viewer].hand.map(card => card.id));
+        const hidden = cards.filter(id => !played.has(id) && !own.has(id) && !(viewer !== PUBLIC && passedTo[viewer].has(id)));
+        if (hidden.length > 0) leak(`${event} shows hidden cards`, `seat ${viewer}: ${hidden.slice(0, 4).join(' ')}`);
+        if (seed) leak(`${event} shows the seed`, `seat ${viewer}`);
+      }
+    });
+  }
+}
+
+const log = console.log;
+console.log = () => {};
+
+// A whole game, keeping a checkpoint from round 2 to resume below
+const events = new GameEventEmitter();
+let checkpoint = null;
+const game = new GameState(events, {
+  seed: 5,
+  speed: 'instant',
+  checkpointStore: {
+    save(saved) {
+      if (!checkpoint && saved.roundNumber === 2 && saved.trick.length === 1) checkpoint = JSON.parse(JSON.stringify(saved));
+    },
+    clear() {}
+  }
+});
+game.players = ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+await game.initializeBots(BOTS);
+watch(game, events);
+const over = new Promise(resolve => events.on(GameEvents.GAME_OVER, resolve));
+game.initialize(game.players);
+await over;
+
+// The same game resumed mid-trick
+const resumedEvents = new GameEventEmitter();
+const resumed = new GameState(resumedEvents, { speed: 'instant' });
+resumed.players = ['bottom', 'right', 'top', 'left'].map((position, seat) => new BotPlayer(`Seat ${seat}`, position));
+await resumed.initializeBots(BOTS);
+watch(resumed, resumedEvents);
+const resumedOver = new Promise(resolve => resumedEvents.on(GameEvents.GAME_OVER, resolve));
+resumed.initialize(resumed.players, { checkpoint });
+await resumedOver;
+
+console.log = log;
+
+console.log('--- Redacted events ---\n');
+const covered = [GameEvents.HANDS_DEALT, GameEvents.HAND_UPDATED, GameEvents.PASS_PHASE_COMPLETE, GameEvents.GAME_STARTED,
+  GameEvents.GAME_RESUMED, GameEvents.CARD_PLAYED, GameEvents.TRICK_COMPLETE, GameEvents.ROUND_END, GameEvents.GAME_OVER];
+check('every kind of event carrying cards or the seed was seen', covered.every(event => seen.get(event) > 0),
+  covered.filter(event => !seen.get(event)).join(', '));
+check('no seat sees a card it may not know, nor the seed', leaks.size === 0, [...leaks].map(([label, detail]) => `${label}: ${detail}`).join('; '));
+
+const dealt = { hands: game.players.map(p => p.hand.length ? p.hand : [{ suit: 'C', rank: '2' }]) };
+const deal = (viewer) => redactEvent(GameEvents.HANDS_DEALT, dealt, viewer);
+check('a seat gets its own hand and only the sizes of the others',
+  deal(1).hands.every((hand, seat) => (seat === 1 ? hand === dealt.hands[1] : hand === null))
+  && deal(1).handSizes.join() === dealt.hands.map(hand => hand.length).join());
+check('spectators see no hand', deal(PUBLIC).hands.every(hand => hand === null));
+check('the omniscient view is the engine payload', deal(OMNISCIENT) === dealt);
+
+console.log('\n--- EventView ---\n');
+const source = new GameEventEmitter();
+const target = new GameEventEmitter();
+const received = [];
+target.on(GameEvents.HAND_UPDATED, data => received.push(data));
+const view = new EventView(source, target, 0);
+const hands = [0, 1, 2, 3].map(seat => [{ suit: 'H', rank: String(seat + 2) }]);
+source.emit(GameEvents.HAND_UPDATED, { hands });
+view.setViewer(2);
+check('forwarded events are redacted for the viewer', received[0].hands[0] === hands[0] && received[0].hands.filter(Boolean).length === 1);
+check('a new viewer gets their own hand re-sent', received[1].hands[2] === hands[2] && received[1].hands.filter(Boolean).length === 1);
+view.detach();
+source.emit(GameEvents.HAND_UPDATED, { hands });
+check('a detached view forwards nothing', received.length === 2);
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
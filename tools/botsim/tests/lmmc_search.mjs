@@ -0,0 +1,121 @@
+// Checks for the Monte Carlo bot (lmmc): it only ever returns legal cards in
+// real mid-round positions, the same position always gets the same answer
+// (no time cap), the time cap is honoured and bad budgets are rejected.
+// Run directly with `node tools/botsim/tests/lmmc_search.mjs`.
+
+import { LMBot as LMMCBot } from '../bots/lmmc.js';
+
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+const SUITS = ['h', 's', 'd', 'c'];
+const ENGINE_RANK = (r) => (r === 'T' ? '10' : r);
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+// Tiny seeded RNG so the positions are the same on every run
+let state = 12345;
+function random() {
+  state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+  return state / 4294967296;
+}
+
+function legal(hand, trick) {
+  if (trick.length === 0) return hand;
+  const lead = trick[0].card.suit.toLowerCase();
+  const follow = hand.filter(c => c.endsWith(lead));
+  if (follow.length > 0) return follow;
+  const likhas = hand.filter(c => c === 'Qs' || c === 'Td');
+  return likhas.length > 0 ? likhas : hand;
+}
+
+/**
+ * Deal a deck, play random legal cards for a while and build the
+ * context BotAdapter would give the seat to play next
+ */
+function randomPosition() {
+  const deck = SUITS.flatMap(s => RANKS.map(r => r + s));
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  const hands = [0, 1, 2, 3].map(seat => deck.slice(seat * 13, seat * 13 + 13));
+  const played = { H: [], S: [], D: [], C: [] };
+  const voids = [0, 1, 2, 3].map(() => [false, false, false, false]);
+  const cardsToPlay = Math.floor(random() * 48);
+  let trick = [];
+  let seat = 0;
+
+  for (let n = 0; n < cardsToPlay; n++) {
+    const options = legal(hands[seat], trick);
+    const card = options[Math.floor(random() * options.length)];
+    hands[seat].splice(hands[seat].indexOf(card), 1);
+    if (trick.length > 0 && !card.endsWith(trick[0].card.suit.toLowerCase())) {
+      voids[seat][SUITS.indexOf(trick[0].card.suit.toLowerCase())] = true;
+    }
+    played[card.slice(-1).toUpperCase()].push(ENGINE_RANK(card[0]));
+    trick.push({ player: seat, card: { suit: card.slice(-1).toUpperCase(), rank: ENGINE_RANK(card[0]) } });
+    seat = (seat + 1) % 4;
+    if (trick.length === 4) {
+      const lead = trick[0].card.suit;
+      const winner = trick
+        .filter(p => p.card.suit === lead)
+        .reduce((a, b) => (RANKS.indexOf(b.card.rank === '10' ? 'T' : b.card.rank) > RANKS.indexOf(a.card.rank === '10' ? 'T' : a.card.rank) ? b : a));
+      seat = winner.player;
+      trick = [];
+    }
+  }
+
+  const hand = SUITS.map(s => hands[seat].filter(c => c.endsWith(s)));
+  const ctx = {
+    trick,
+    playedCards: played,
+    hasPlayers: SUITS.map((_, suit) => [1, 2, 3].filter(rel => !voids[(seat + rel) % 4][suit])),
+    playerIndex: seat,
+    scores: [0, 0, 0, 0],
+    passed: null,
+    rules: { forcedLeekha: true, points: { heart: 1, queenOfSpades: 13, tenOfDiamonds: 10 } }
+  };
+  return { hand, ctx, options: legal(hands[seat], trick) };
+}
+
+console.log('--- Legal plays in 150 random positions ---\n');
+const bot = new LMMCBot(RANKS, { iterations: 30 });
+let illegal = 0;
+for (let i = 0; i < 150; i++) {
+  const { hand, ctx, options } = randomPosition();
+  const choice = ctx.trick.length === 0 ? bot.chooseLead(hand, ctx) : bot.chooseFollow(hand, ctx);
+  if (!options.includes(choice)) {
+    illegal++;
+    console.log(`    illegal: ${choice} from ${options.join(' ')}`);
+  }
+}
+check('every choice is a legal card', illegal === 0, `${illegal} illegal`);
+
+console.log('\n--- Reproducibility and budget ---\n');
+const { hand, ctx } = randomPosition();
+const decide = (b) => (ctx.trick.length === 0 ? b.chooseLead(hand, ctx) : b.chooseFollow(hand, ctx));
+const first = decide(new LMMCBot(RANKS, { iterations: 40 }));
+const second = decide(new LMMCBot(RANKS, { iterations: 40 }));
+check('same position, same budget: same card', first === second, `${first} / ${second}`);
+
+const started = Date.now();
+decide(new LMMCBot(RANKS, { iterations: 1000000, timeLimitMs: 50 }));
+const elapsed = Date.now() - started;
+check('time cap stops the search', elapsed < 1000, `${elapsed} ms`);
+
+let rejected = 0;
+for (const budget of [{ iterations: 0 }, { iterations: 2.5 }, { timeLimitMs: -1 }]) {
+  try {
+    new LMMCBot(RANKS, budget);
+  } catch {
+    rejected++;
+  }
+}
+check('invalid budgets are rejected', rejected === 3, `${rejected}/3`);
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
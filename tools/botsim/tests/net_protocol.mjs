@@ -0,0 +1,108 @@
+// Checks for the wire protocol (js/net-protocol.js) and what the server and
+// RemotePlayer accept from clients: cards survive the round trip as Card
+// instances, malformed messages are refused with an ERROR instead of
+// dropping the connection, and decisions are checked against the hand.
+// Run directly with `node tools/botsim/tests/net_protocol.mjs`.
+
+import WebSocket from 'ws';
+import { Card } from '../../../js/card.js';
+import { RemotePlayer } from '../../../js/remote-player.js';
+import { startServer } from '../../../server/index.js';
+import {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  encodeMessage,
+  decodeMessage
+} from '../../../js/net-protocol.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+console.log('--- Messages ---\n');
+const decoded = decodeMessage(encodeMessage(MESSAGE_TYPES.GAME_EVENT, {
+  event: 'TRICK_COMPLETE',
+  data: { trick: [{ player: 1, card: new Card('S', 'Q') }], error: new Error('boom'), handler: () => {} }
+}));
+check('cards come back as Card instances', decoded.data.trick[0].card instanceof Card && decoded.data.trick[0].card.id === 'QS');
+check('errors travel as their message, functions not at all', decoded.data.error.message === 'boom' && !('handler' in decoded.data));
+check('a payload cannot change the message type', decodeMessage(encodeMessage(MESSAGE_TYPES.ERROR, { type: 'join' })).type === MESSAGE_TYPES.ERROR);
+check('messages without a type are refused', throws(() => decodeMessage('{"seat":1}')) && throws(() => decodeMessage('null')));
+check('text that is not JSON is refused', throws(() => decodeMessage('join')));
+check('unknown cards are refused', throws(() => decodeMessage('{"type":"decision","cards":[{"$card":"1Z"}]}')));
+
+console.log('\n--- Decisions ---\n');
+const sent = [];
+const player = new RemotePlayer('Remote', 'bottom', { send: (type, payload) => sent.push({ type, payload }) });
+player.hand = ['2C', '5C', 'QS', 'AH'].map(id => Card.fromId(id));
+const decision = player.request({ kind: 'play', validMoves: player.hand.slice(0, 2), count: 1 }, undefined,
+  (cards) => {
+    if (cards.length !== 1) throw new Error('Play exactly one card');
+    return cards[0];
+  }, () => null);
+const requestId = sent[0].payload.requestId;
+check('stale requests are refused', throws(() => player.receiveDecision(requestId + 1, ['2C'])));
+check('cards outside the hand are refused', throws(() => player.receiveDecision(requestId, ['KD'])));
+check('answers that fail the check are refused', throws(() => player.receiveDecision(requestId, ['2C', '5C'])));
+// The request, then once more for each refused answer to it (a stale id answers nothing)
+check('a refused answer asks again', sent.filter(message => message.type === MESSAGE_TYPES.DECISION_REQUEST).length === 3);
+player.receiveDecision(requestId, ['5C']);
+check('a valid answer settles the decision', (await decision).id === '5C' && player.pending === null);
+
+console.log('\n--- Server ---\n');
+const server = await startServer({ port: 0 });
+
+/**
+ * Send raw text over a fresh connection, then close it
+ * @param {string[]} texts - Sent in order
+ * @returns {Promise<{received: Object[], open: boolean}>} Messages received within 100 ms, and whether the connection was still open
+ */
+async function exchange(texts) {
+  const socket = new WebSocket(`ws://localhost:${server.port}`);
+  await new Promise(resolve => socket.once('open', resolve));
+  const received = [];
+  socket.on('message', text => received.push(decodeMessage(text.toString())));
+  for (const text of texts) socket.send(text);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const open = socket.readyState === WebSocket.OPEN;
+  socket.close();
+  return { received, open };
+}
+
+const join = (fields) => encodeMessage(MESSAGE_TYPES.JOIN, { version: PROTOCOL_VERSION, roomId: 'lobby', name: 'Tester', ...fields });
+const errors = ({ received }) => received.filter(message => message.type === MESSAGE_TYPES.ERROR).map(message => message.message);
+
+const wrongVersion = await exchange([join({ version: PROTOCOL_VERSION + 1 })]);
+check('other protocol versions are refused', errors(wrongVersion)[0]?.includes('not supported'), errors(wrongVersion)[0]);
+const noRoom = await exchange([join({ roomId: '   ' })]);
+check('a room name is required', errors(noRoom)[0] === 'A room name is required');
+const early = await exchange([encodeMessage(MESSAGE_TYPES.CLAIM_SEAT, { seat: 0 })]);
+check('nothing but JOIN before joining', errors(early)[0] === 'Join a room first');
+const garbage = await exchange(['not json', '{"no":"type"}']);
+check('garbage is answered with errors and the connection stays open', errors(garbage).length === 2 && garbage.open);
+const joined = await exchange([join({}), encodeMessage('dance', {}), join({})]);
+check('a joined client gets the room state', joined.received[0]?.type === MESSAGE_TYPES.ROOM_STATE
+  && joined.received[0].roomId === 'lobby');
+check('unknown message types are refused', errors(joined).includes('Unknown message type "dance"'));
+check('a client joins only once', errors(joined).includes('Already in a room'));
+const badSeat = await exchange([join({}), encodeMessage(MESSAGE_TYPES.CLAIM_SEAT, { seat: 7 })]);
+check('invalid seats are refused', errors(badSeat)[0]?.includes('invalid seat'));
+
+await new Promise(resolve => setTimeout(resolve, 100));
+check('rooms close once their clients have gone', server.rooms.size === 0);
+await server.close();
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,159 @@
+// Checks for taking plays back in practice games (GameState.undo /
+// restoreCheckpoint): undoing a human play across a trick boundary puts the
+// hands, the trick, the card tracker (voids included) and the points back
+// exactly as they were at the previous human decision, the game record drops
+// the taken-back plays and the taker of the reopened trick, and the game plays
+// on to the end from there. Run directly with `node tools/botsim/tests/practice_undo.mjs`.
+
+import { GameState } from '../../../js/game-state.js';
+import { HumanPlayer, BotPlayer } from '../../../js/player.js';
+import { GameEventEmitter, GameEvents } from '../../../js/events.js';
+import { CardTracker } from '../../../js/card-tracker.js';
+import { GameRecorder } from '../../../js/game-record.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+/** Input for the human seat: passes its highest cards and hands each play decision to the test */
+class ScriptedInput {
+  constructor() {
+    this.pending = null;
+    this.waiters = [];
+  }
+
+  async getPassSelection(hand, count) {
+    return [...hand].sort((a, b) => b.value - a.value).slice(0, count);
+  }
+
+  getCardSelection(hand, validMoves, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const decision = { moves: validMoves.map(card => card.id).join(), validMoves, resolve };
+      signal?.addEventListener('abort', () => {
+        if (this.pending === decision) this.pending = null;
+        reject(signal.reason);
+      }, { once: true });
+      this.pending = decision;
+      this.waiters.splice(0).forEach(wake => wake(decision));
+    });
+  }
+
+  /** @returns {Promise<Object>} The next play decision asked for */
+  next() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+}
+
+/** What undo must put back */
+const position = (game) => JSON.stringify({
+  hands: game.players.map(p => p.hand.map(card => card.id)),
+  trick: game.trick.map(play => `${play.player}:${play.card.id}`),
+  tricks: game.roundTricks.length,
+  tracker: game.cardTracker.serialize(),
+  points: game.players.map(p => [p.score, p.currentRoundPoints]),
+  turn: game.currentTurn
+});
+
+const log = console.log;
+console.log = () => {};
+
+const input = new ScriptedInput();
+const events = new GameEventEmitter();
+const game = new GameState(events, { seed: 21, speed: 'instant', practice: true });
+game.players = [
+  new HumanPlayer('Human', 'bottom', input),
+  ...['right', 'top', 'left'].map((place, i) => new BotPlayer(`Bot ${i + 1}`, place))
+];
+await game.initializeBots({ 1: 'lmts', 2: 'lmx', 3: 'lmts' });
+const recorder = new GameRecorder(events);
+const undone = [];
+events.on(GameEvents.GAME_UNDONE, data => undone.push(data));
+const over = new Promise(resolve => events.on(GameEvents.GAME_OVER, resolve));
+
+const lowest = (decision) => decision.validMoves.reduce((low, card) => (card.value < low.value ? card : low));
+let decision = input.next();
+game.initialize(game.players);
+
+// Play on until a void is known and the trick between two human decisions, which the human
+// did not lead, reveals another; then take the later play back into the middle of that trick
+let previous = null;
+let before = null;
+let after = null;
+let askedBefore = null;
+let pending = await decision;
+for (let turn = 0; turn < 13; turn++) {
+  const now = position(game);
+  const voidsNow = JSON.stringify(game.cardTracker.playerVoids);
+  const known = game.cardTracker.playerVoids.some(voids => Object.values(voids).some(Boolean));
+  if (previous?.known && previous.midTrick && (voidsNow !== previous.voids || turn === 12) && game.roundNumber === 1) {
+    after = now;
+    before = previous.position;
+    askedBefore = previous.moves;
+    break;
+  }
+  previous = { position: now, voids: voidsNow, known, midTrick: game.trick.length > 0, moves: pending.moves };
+  decision = input.next();
+  pending.resolve(lowest(pending));
+  pending = await decision;
+}
+
+const tricksBefore = JSON.parse(before).tricks;
+const tricksAfter = JSON.parse(after).tricks;
+decision = input.next();
+const tookBack = await game.undo();
+pending = await decision;
+const restored = position(game);
+const askedAgain = pending.moves;
+const recorded = recorder.getRecord().rounds[0].tricks;
+const reopened = recorded.at(-1);
+
+// Finish the game from the restored position
+let remaining = 0;
+const finish = (async () => {
+  for (;;) {
+    decision = input.next();
+    pending.resolve(lowest(pending));
+    remaining++;
+    pending = await Promise.race([decision, over.then(() => null)]);
+    if (!pending) return;
+  }
+})();
+const result = await over;
+await finish;
+
+let refused = false;
+const plain = new GameState(new GameEventEmitter(), { seed: 1 });
+try {
+  await plain.undo();
+} catch {
+  refused = true;
+}
+
+console.log = log;
+
+console.log('--- Undo across a trick ---\n');
+check('the play taken back spans a finished trick', tricksAfter === tricksBefore + 1, `${tricksBefore} -> ${tricksAfter} tricks`);
+const voids = (state) => JSON.stringify(JSON.parse(state).tracker.playerVoids);
+check('a void was known before and another shown in between', voids(before) !== voids(after)
+  && voids(before) !== JSON.stringify(new CardTracker().serialize().playerVoids));
+check('undo reports success and emits GAME_UNDONE', tookBack && undone.length === 1 && undone[0].hands !== undefined);
+const expected = JSON.parse(before);
+const actual = JSON.parse(restored);
+for (const key of Object.keys(expected)) {
+  check(`restored ${key} match the snapshot`, JSON.stringify(actual[key]) === JSON.stringify(expected[key]));
+}
+check('the human is asked the restored decision again', askedAgain === askedBefore, askedAgain);
+check('the record keeps only the plays that stand', recorded.length === tricksBefore + 1
+  && reopened.plays.map(play => `${play.player}:${play.card}`).join() === expected.trick.join());
+check('the reopened trick has no taker yet', reopened.winner === null && reopened.points === 0,
+  `winner ${reopened.winner}, ${reopened.points} pts`);
+
+console.log('\n--- After undo ---\n');
+check('the game plays on to the end', Array.isArray(result?.players) && remaining > 0, `${remaining} more human plays`);
+check('games that are not practice refuse undo', refused);
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
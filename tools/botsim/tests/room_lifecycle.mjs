@@ -0,0 +1,176 @@
+// Checks for server rooms (server/room.js): clients join as spectators,
+// claim and give up seats, a seated client starts a game that asks them for
+// every pass and play while bots fill the empty seats, and the room closes
+// once the last client has left. A lone player who drops mid-game has their
+// bot play on and gets the seat back on reconnecting, until the reconnect
+// window runs out. Run directly with
+// `node tools/botsim/tests/room_lifecycle.mjs`.
+
+import { Room } from '../../../server/room.js';
+import { GameEvents } from '../../../js/events.js';
+import { MESSAGE_TYPES, ROOM_PHASES } from '../../../js/net-protocol.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * A client connection that records what the room sends and answers every
+ * decision with the first cards it may choose. Like a closed socket, it
+ * answers nothing once it has left or been replaced (or the room has closed)
+ * @param {() => Room} getRoom
+ */
+function fakeConnection(getRoom) {
+  const connection = {
+    client: null,
+    messages: [],
+    decisions: 0,
+    send(type, payload) {
+      connection.messages.push({ type, payload });
+      if (type === MESSAGE_TYPES.DECISION_REQUEST) {
+        connection.decisions++;
+        const cards = payload.validMoves.slice(0, payload.count).map(card => card.id);
+        setTimeout(() => {
+          const room = getRoom();
+          if (room.clients.get(connection.client.id)?.connection !== connection) return;
+          room.decide(connection.client.id, payload.requestId, cards);
+        });
+      }
+    },
+    last(type) {
+      return connection.messages.filter(message => message.type === type).at(-1)?.payload;
+    },
+    events(event) {
+      return connection.messages.filter(message => message.type === MESSAGE_TYPES.GAME_EVENT && message.payload.event === event);
+    }
+  };
+  return connection;
+}
+
+const log = console.log;
+console.log = () => {};
+
+let closed = 0;
+const room = new Room('test', { speed: 'instant', onEmpty: () => closed++ });
+const alice = fakeConnection(() => room);
+const bob = fakeConnection(() => room);
+const carol = fakeConnection(() => room);
+alice.client = room.join('Alice', alice);
+bob.client = room.join('Bob', bob);
+carol.client = room.join('Carol', carol);
+
+const joined = alice.last(MESSAGE_TYPES.ROOM_STATE);
+room.claimSeat(alice.client.id, 0);
+room.claimSeat(bob.client.id, 2);
+const seatTaken = throws(() => room.claimSeat(carol.client.id, 2));
+room.claimSeat(carol.client.id, 3);
+room.claimSeat(carol.client.id, null);
+const lobby = alice.last(MESSAGE_TYPES.ROOM_STATE);
+
+let spectatorStart = false;
+try {
+  await room.start(carol.client.id);
+} catch {
+  spectatorStart = true;
+}
+
+const over = new Promise(resolve => room.events.on(GameEvents.GAME_OVER, resolve));
+await room.start(alice.client.id, { preset: 'quick', botAssignments: { 1: 'lmg', 3: 'lmx' } });
+const playing = room.phase;
+const seatsLocked = throws(() => room.claimSeat(carol.client.id, 1));
+const strangerDecides = throws(() => room.decide(carol.client.id, 1, ['2C']));
+await over;
+const finished = room.phase;
+
+console.log = log;
+
+console.log('--- Lobby ---\n');
+check('joining clients are spectators', joined?.yourSeat === null && joined.phase === ROOM_PHASES.LOBBY);
+check('seats are claimed and given up', lobby.seats.map(seat => seat.taken).join() === 'true,false,true,false'
+  && lobby.seats[0].name === 'Alice' && carol.last(MESSAGE_TYPES.ROOM_STATE).yourSeat === null);
+check('a taken seat cannot be claimed', seatTaken);
+check('spectators cannot start the game', spectatorStart);
+
+console.log('\n--- Game ---\n');
+check('the room plays while the game runs', playing === ROOM_PHASES.PLAYING);
+check('seats are locked during the game', seatsLocked);
+check('only seated players may answer decisions', strangerDecides);
+check('seated clients are asked for their passes and plays', alice.decisions > 13 && bob.decisions > 13,
+  `${alice.decisions} / ${bob.decisions} decisions`);
+check('spectators are never asked', carol.decisions === 0);
+check('bots fill the empty seats', room.lifecycle.game.botAssignments[1] === 'lmg' && room.lifecycle.game.botAssignments[3] === 'lmx');
+check('everyone sees the game end', [alice, bob, carol].every(c => c.events(GameEvents.GAME_OVER).length === 1));
+check('the room is finished after game over', finished === ROOM_PHASES.FINISHED);
+
+console.log('\n--- Leaving ---\n');
+room.leave(bob.client.id);
+const afterBob = alice.last(MESSAGE_TYPES.ROOM_STATE);
+check('leaving between games frees the seat', afterBob.seats[2].taken === false && !room.clients.has(bob.client.id));
+room.leave(alice.client.id);
+check('the room stays open while someone is there', closed === 0 && room.clients.size === 1);
+room.leave(carol.client.id);
+check('the last client leaving closes the room', closed === 1 && room.clients.size === 0);
+
+console.log('\n--- Dropped players ---\n');
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const until = async (condition, ms = 5000) => {
+  for (let waited = 0; !condition() && waited < ms; waited += 10) await wait(10);
+  return condition();
+};
+console.log = () => {};
+
+// The only human drops while asked for a pass, and comes back once the bot has taken over
+let soloClosed = 0;
+const solo = new Room('solo', { speed: 'fast', graceMs: 20, reconnectMs: 2000, onEmpty: () => soloClosed++ });
+const dave = fakeConnection(() => solo);
+dave.client = solo.join('Dave', dave);
+solo.claimSeat(dave.client.id, 0);
+await solo.start(dave.client.id);
+await until(() => dave.decisions === 1);
+dave.decisions = 0;
+solo.leave(dave.client.id);
+const botTookOver = await until(() => solo.remotePlayerAt(0).botControlled);
+const keptOpen = soloClosed === 0 && !solo.lifecycle.game.abandoned && solo.phase === ROOM_PHASES.PLAYING;
+await wait(100);
+const daveAgain = fakeConnection(() => solo);
+daveAgain.client = solo.rejoin(dave.client.id, daveAgain);
+const handedBack = daveAgain.client !== null && !solo.remotePlayerAt(0).botControlled && soloClosed === 0;
+const askedAgain = await until(() => daveAgain.decisions > 0);
+solo.close();
+
+// Nobody comes back: the room closes when the reconnect window runs out
+let goneClosed = 0;
+const gone = new Room('gone', { speed: 'fast', graceMs: 20, reconnectMs: 150, onEmpty: () => goneClosed++ });
+const erin = fakeConnection(() => gone);
+erin.client = gone.join('Erin', erin);
+gone.claimSeat(erin.client.id, 0);
+await gone.start(erin.client.id);
+gone.leave(erin.client.id);
+await until(() => gone.remotePlayerAt(0)?.botControlled);
+const openDuringWindow = goneClosed === 0;
+await until(() => goneClosed > 0, 1000);
+const game = gone.lifecycle.game;
+const lateRejoin = gone.rejoin(erin.client.id, fakeConnection(() => gone));
+
+console.log = log;
+check('the bot takes over a lone player\'s seat after the grace period', botTookOver);
+check('the room and its game stay alive with nobody connected', keptOpen);
+check('the returning player gets the seat back', handedBack);
+check('and is asked for decisions again', askedAgain);
+check('the room waits out the reconnect window', openDuringWindow);
+check('then closes and abandons the game', goneClosed === 1 && game.abandoned && lateRejoin === null);
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);
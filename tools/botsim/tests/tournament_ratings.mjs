@@ -0,0 +1,60 @@
+// Checks for the tournament runner (tools/botsim/sim/tournament.js): the
+// Bradley-Terry / Elo fit orders bots by their results, stays finite for a
+// perfect record, and its intervals narrow with more matches; a small real
+// tournament plays both sides of every deal and is reproducible from its seed.
+// Run directly with `node tools/botsim/tests/tournament_ratings.mjs`.
+
+import { fitRatings, rateBots, runTournament, formatMarkdown } from '../sim/tournament.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  if (!ok) failures++;
+  console.log(`[${ok ? 'PASS' : 'FAIL'}] ${label}${detail ? `  (${detail})` : ''}`);
+}
+
+// `count` duplicate matches between a and b, a scoring `score` in each
+const repeat = (a, b, score, count) => Array.from({ length: count }, () => ({ a, b, score }));
+
+console.log('--- Ratings ---\n');
+const even = fitRatings(['x', 'y'], repeat('x', 'y', 0.5, 10));
+check('even results give equal ratings', Math.abs(even.x - 1500) < 1e-6 && Math.abs(even.y - 1500) < 1e-6,
+  `${even.x.toFixed(1)} / ${even.y.toFixed(1)}`);
+
+const chain = [...repeat('a', 'b', 1, 6), ...repeat('a', 'b', 0, 2), ...repeat('b', 'c', 1, 6), ...repeat('b', 'c', 0, 2),
+  ...repeat('a', 'c', 1, 7), ...repeat('a', 'c', 0, 1)];
+const ordered = rateBots(['c', 'b', 'a'], chain);
+check('stronger results rate higher', ordered.a.elo > ordered.b.elo && ordered.b.elo > ordered.c.elo,
+  ['a', 'b', 'c'].map(t => Math.round(ordered[t].elo)).join(' > '));
+const mean = (ordered.a.elo + ordered.b.elo + ordered.c.elo) / 3;
+check('ratings average 1500', Math.abs(mean - 1500) < 1e-6, mean.toFixed(3));
+check('intervals contain the rating', Object.values(ordered).every(r => r.ciLow < r.elo && r.elo < r.ciHigh));
+
+const perfect = rateBots(['p', 'q'], repeat('p', 'q', 1, 10));
+check('a perfect record stays finite with a real interval',
+  Number.isFinite(perfect.p.elo) && perfect.p.ciHigh - perfect.p.ciLow > 50,
+  `${Math.round(perfect.p.elo)} [${Math.round(perfect.p.ciLow)}, ${Math.round(perfect.p.ciHigh)}]`);
+
+const width = (matches) => {
+  const r = rateBots(['x', 'y'], matches).x;
+  return r.ciHigh - r.ciLow;
+};
+const few = width([...repeat('x', 'y', 1, 3), ...repeat('x', 'y', 0, 2)]);
+const many = width([...repeat('x', 'y', 1, 30), ...repeat('x', 'y', 0, 20)]);
+check('more matches, narrower intervals', many < few, `${Math.round(few)} -> ${Math.round(many)}`);
+
+console.log('\n--- Tournament ---\n');
+const first = await runTournament({ bots: ['lmts', 'lmg'], deals: 2, seed: 42 });
+const second = await runTournament({ bots: ['lmts', 'lmg'], deals: 2, seed: 42 });
+
+const pairing = first.pairings[0];
+check('every deal is played from both sides', first.pairings.length === 1 && pairing.matches === 2
+  && pairing.aGames + pairing.bGames === 4, `${pairing.aGames}-${pairing.bGames}`);
+check('same seed, same results', JSON.stringify(first.pairings) === JSON.stringify(second.pairings));
+check('leaderboard ranks both bots', first.leaderboard.map(entry => entry.rank).join() === '1,2'
+  && first.leaderboard.every(entry => entry.games === 4));
+const markdown = formatMarkdown(first);
+check('markdown has the leaderboard and pairings', markdown.includes('| Rank | Bot |') && markdown.includes('lmts vs lmg'));
+
+console.log(`\n${failures === 0 ? 'ALL PASSED' : `${failures} FAILURE(S)`}`);
+process.exit(failures === 0 ? 0 : 1);